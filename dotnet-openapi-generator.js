@@ -1,9 +1,12 @@
 const fs = require('fs');
 const path = require('path');
+const OpenApiOutput = require('./openapi-output');
+const { extractBalanced, splitTopLevel } = require('./source-text');
 
 class DotNetOpenAPIGenerator {
-  constructor(projectPath = './') {
+  constructor(projectPath = './', options = {}) {
     this.originalCwd = process.cwd();
+    this.options = { strict: false, format: null, openapi: '3.0', merge: false, ...options };
     this.projectPath = path.resolve(projectPath);
     process.chdir(this.projectPath);
     
@@ -11,6 +14,7 @@ class DotNetOpenAPIGenerator {
     
     this.projectType = this.detectProjectType();
     this.config = this.loadConfig();
+    this.output = new OpenApiOutput(this.config);
   }
 
   detectProjectType() {
@@ -26,6 +30,16 @@ class DotNetOpenAPIGenerator {
       return 'web-api';
     }
     
+    // FastEndpoints declare routes in endpoint classes instead of Map* calls
+    if (this.findFastEndpointFiles().length > 0) {
+      return 'fast-endpoints';
+    }
+    
+    // Endpoints mapped from extension methods outside Program.cs
+    if (this.findMinimalApiFiles().length > 0) {
+      return 'minimal-api';
+    }
+    
     if (csprojFiles.length > 0) {
       return 'dotnet-project';
     }
@@ -36,56 +50,148 @@ class DotNetOpenAPIGenerator {
   hasMinimalAPIs(filePath) {
     try {
       const content = fs.readFileSync(filePath, 'utf8');
-      return content.includes('app.Map') && 
-             (content.includes('MapGet') || content.includes('MapPost') || 
-              content.includes('MapPut') || content.includes('MapDelete'));
+      return /\.\s*Map(Get|Post|Put|Delete|Patch|Methods|Group)\s*\(/.test(this.maskCsharpLiterals(content));
     } catch (e) {
       return false;
     }
   }
 
+  // Projects listed in the solution, or every .csproj below the project path when there is none
   findCsprojFiles() {
-    const files = [];
+    const solutionProjects = this.findSolutionProjects();
+    if (solutionProjects.length > 0) return solutionProjects;
+    return this.findFiles('.', '.csproj');
+  }
+
+  // Project("{FAE04EC0-...}") = "Api", "src\Api\Api.csproj", "{...}" / <Project Path="src/Api/Api.csproj" />
+  findSolutionProjects() {
+    const projects = [];
+    let solutions = [];
     try {
-      const items = fs.readdirSync('.', { withFileTypes: true });
-      for (const item of items) {
-        if (item.name.endsWith('.csproj')) {
-          files.push(item.name);
-        }
-      }
+      solutions = fs.readdirSync('.').filter(name => /\.slnx?$/.test(name));
     } catch (e) {
       // Skip
     }
-    return files;
-  }
 
-  findControllers() {
-    const controllers = [];
-    
-    const findControllersRecursive = (dir, maxDepth = 4, currentDepth = 0) => {
-      if (currentDepth > maxDepth) return;
-      
+    solutions.forEach(solution => {
       try {
-        const items = fs.readdirSync(dir, { withFileTypes: true });
-        for (const item of items) {
-          const fullPath = path.join(dir, item.name);
-          if (item.isDirectory() && !item.name.startsWith('.') && 
-              item.name !== 'node_modules' && item.name !== 'bin' && item.name !== 'obj') {
-            findControllersRecursive(fullPath, maxDepth, currentDepth + 1);
-          } else if (item.name.endsWith('Controller.cs')) {
-            controllers.push(fullPath);
-          }
+        const content = fs.readFileSync(solution, 'utf8');
+        const projectRegex = solution.endsWith('.slnx')
+          ? /<Project\s+Path\s*=\s*"([^"]+\.csproj)"/g
+          : /^Project\("\{[^}]+\}"\)\s*=\s*"[^"]*"\s*,\s*"([^"]+\.csproj)"/gm;
+        let match;
+        while ((match = projectRegex.exec(content)) !== null) {
+          const projectPath = path.normalize(match[1].replace(/\\/g, '/'));
+          if (fs.existsSync(projectPath) && !projects.includes(projectPath)) projects.push(projectPath);
         }
       } catch (e) {
-        // Skip directories we can't read
+        console.warn(`⚠️  Could not read ${solution}: ${e.message}`);
       }
+    });
+    return projects;
+  }
+
+  // <Project Sdk="Microsoft.NET.Sdk.Web"> and its <ProjectReference>s
+  parseCsproj(projectPath) {
+    if (!this.csprojCache) this.csprojCache = new Map();
+    const key = path.normalize(projectPath);
+    if (this.csprojCache.has(key)) return this.csprojCache.get(key);
+
+    let content = '';
+    try {
+      content = fs.readFileSync(key, 'utf8');
+    } catch (e) {
+      console.warn(`⚠️  Could not read ${key}: ${e.message}`);
+    }
+
+    const dir = path.dirname(key);
+    const references = [];
+    const referenceRegex = /<ProjectReference\s+Include\s*=\s*"([^"]+)"/g;
+    let match;
+    while ((match = referenceRegex.exec(content)) !== null) {
+      references.push(path.normalize(path.join(dir, match[1].replace(/\\/g, '/'))));
+    }
+
+    const project = {
+      name: path.basename(key, '.csproj'),
+      path: key,
+      dir,
+      isWebHost: /<Project\s+Sdk\s*=\s*"Microsoft\.NET\.Sdk\.Web"|<Sdk\s+Name\s*=\s*"Microsoft\.NET\.Sdk\.Web"/i.test(content),
+      references
     };
-    
-    findControllersRecursive('.');
-    return controllers;
+    this.csprojCache.set(key, project);
+    return project;
+  }
+
+  // Web host projects with the sources they compile, including referenced class libraries
+  getHostProjects() {
+    const projects = this.findCsprojFiles().map(projectPath => this.parseCsproj(projectPath));
+    const hosts = projects.filter(project => project.isWebHost);
+    if (hosts.length === 0) {
+      return [{ name: null, dir: '.', files: this.findCsFiles('.') }];
+    }
+
+    return hosts.map(host => {
+      const included = new Map();
+      const visit = project => {
+        if (included.has(project.path)) return;
+        included.set(project.path, project);
+        project.references
+          .filter(reference => fs.existsSync(reference))
+          .forEach(reference => visit(this.parseCsproj(reference)));
+      };
+      visit(host);
+
+      const projectDirs = [...projects, ...included.values()].map(project => project.dir);
+      const files = [...included.values()].flatMap(project => this.projectSourceFiles(project, projectDirs));
+      return { name: host.name, dir: host.dir, files: [...new Set(files)] };
+    });
+  }
+
+  // .cs files under the project directory, without those of projects nested inside it
+  projectSourceFiles(project, projectDirs) {
+    const nested = projectDirs.filter(dir => dir !== project.dir && this.isInsideDir(dir, project.dir));
+    return this.findCsFiles(project.dir).filter(file => !nested.some(dir => this.isInsideDir(file, dir)));
+  }
+
+  isInsideDir(child, parent) {
+    const relative = path.relative(parent, child);
+    return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+
+  // Properties/launchSettings.json applicationUrl values -> servers
+  launchSettingsServers(dir) {
+    const settingsPath = path.join(dir, 'Properties', 'launchSettings.json');
+    if (!fs.existsSync(settingsPath)) return null;
+
+    try {
+      const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+      const servers = [];
+      const add = (url, description) => {
+        const clean = url.trim().replace(/\/+$/, '');
+        if (clean && !servers.some(server => server.url === clean)) servers.push({ url: clean, description });
+      };
+
+      Object.entries(settings.profiles || {})
+        .filter(([, profile]) => profile.commandName === 'Project' && profile.applicationUrl)
+        .forEach(([name, profile]) => profile.applicationUrl.split(';').forEach(url => add(url, name)));
+
+      const iisExpress = (settings.iisSettings || {}).iisExpress || {};
+      if (iisExpress.sslPort) add(`https://localhost:${iisExpress.sslPort}`, 'IIS Express');
+      if (iisExpress.applicationUrl) add(iisExpress.applicationUrl, 'IIS Express');
+
+      return servers.length > 0 ? servers : null;
+    } catch (e) {
+      console.warn(`⚠️  Could not parse ${settingsPath}: ${e.message}`);
+      return null;
+    }
   }
 
-  loadConfig() {
+  findControllers() {
+    return this.getCsFileList().filter(file => file.endsWith('Controller.cs'));
+  }
+
+  loadConfig(dir = '.') {
     // Try to load from appsettings.json
     let config = {
       info: {
@@ -95,12 +201,13 @@ class DotNetOpenAPIGenerator {
       },
       host: 'localhost:5000',
       schemes: ['https', 'http'],
-      basePath: '/api'
+      basePath: '/'
     };
 
-    if (fs.existsSync('./appsettings.json')) {
+    const settingsPath = path.join(dir, 'appsettings.json');
+    if (fs.existsSync(settingsPath)) {
       try {
-        const appSettings = JSON.parse(fs.readFileSync('./appsettings.json', 'utf8'));
+        const appSettings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
         if (appSettings.Swagger) {
           config.info.title = appSettings.Swagger.Title || config.info.title;
           config.info.description = appSettings.Swagger.Description || config.info.description;
@@ -123,48 +230,561 @@ class DotNetOpenAPIGenerator {
       return null;
     }
     
+    const hosts = this.getHostProjects();
+    if (hosts.some(host => host.name)) {
+      console.log(`🏗️  Found ${hosts.length} web host project${hosts.length === 1 ? '' : 's'}: ${hosts.map(host => host.name).join(', ')}`);
+    }
+
+    let documents = hosts.flatMap(host => this.generateProject(host));
+    if (this.options.merge && hosts.length > 1) {
+      documents = this.mergeProjectDocuments(documents);
+    }
+    this.documents = documents;
+
+    documents.forEach(document => {
+      const label = [
+        document.project,
+        document.version && `API version ${document.version}${document.deprecated ? ' (deprecated)' : ''}`
+      ].filter(Boolean).join(' · ');
+      if (label && (documents.length > 1 || document.version)) console.log(`📚 ${label}`);
+      document.validation = this.output.validateSpec(document.spec);
+      this.output.printValidationReport(document.validation, document.spec.openapi);
+    });
+
+    // One { project, version, deprecated, spec, validation } per host project and API version
+    return documents;
+  }
+
+  // Builds the spec of one web host from the sources it compiles, split per API version
+  generateProject(host) {
+    this.csFiles = host.files;
+    this.typeIndex = null;
+    this.minimalApiFiles = null;
+    this.fastEndpointFiles = null;
+    this.fastEndpointPrefix = undefined;
+    this.authSetup = null;
+
+    const config = host.name ? this.loadConfig(host.dir) : this.config;
     const spec = {
-      openapi: '3.0.0',
-      info: this.config.info,
-      servers: [{ url: `${this.config.schemes[0]}://${this.config.host}${this.config.basePath}` }],
+      openapi: this.options.openapi === '3.1' ? '3.1.0' : '3.0.0',
+      info: { ...config.info },
+      // Route templates carry their own api/ prefix, so the fallback server is the bare host
+      servers: this.launchSettingsServers(host.dir) || [{ url: `${config.schemes[0]}://${config.host}` }],
       paths: {},
       components: { schemas: {} }
     };
+    this.components = spec.components;
+    this.schemas = spec.components.schemas;
+    this.apiVersions = new Map();
+    this.apiVersionParameters = new Set();
+    this.versionedPaths = {};
 
     const files = this.getRouteFiles();
-    console.log(`📁 Found ${files.length} route files`);
+    console.log(`📁 ${host.name ? `${host.name}: ` : ''}Found ${files.length} route files`);
 
     files.forEach(file => {
       try {
         const routes = this.parseFile(file);
-        Object.assign(spec.paths, routes);
+        Object.entries(routes).forEach(([routePath, methods]) => {
+          spec.paths[routePath] = { ...(spec.paths[routePath] || {}), ...methods };
+        });
       } catch (error) {
         console.warn(`⚠️  Could not parse ${file}: ${error.message}`);
       }
     });
 
-    return spec;
+    // Asp.Versioning: one document per declared API version
+    const versions = [...this.apiVersions.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    if (versions.length === 0) {
+      return [{ project: host.name, version: null, deprecated: false, spec }];
+    }
+    return versions.map(version => ({
+      project: host.name,
+      version,
+      deprecated: this.apiVersions.get(version).deprecated,
+      spec: this.versionSpec(spec, version)
+    }));
   }
 
-  getRouteFiles() {
-    if (this.projectType === 'minimal-api') {
-      return ['./Program.cs'];
+  // --merge: one spec per version for the whole solution, operations tagged with their host project
+  mergeProjectDocuments(documents) {
+    const merged = new Map();
+    const create = document => ({
+      project: null,
+      version: document.version,
+      deprecated: document.deprecated,
+      spec: { ...document.spec, info: { ...document.spec.info }, tags: [], paths: {}, components: {} }
+    });
+    documents.filter(document => document.version).forEach(document => {
+      if (!merged.has(document.version)) merged.set(document.version, create(document));
+    });
+    if (merged.size === 0) merged.set('', create(documents[0]));
+
+    // Hosts without Asp.Versioning are version-neutral: their operations go into every version's document
+    documents.forEach(document => (document.version ? [document.version] : [...merged.keys()]).forEach(key => {
+      const target = merged.get(key).spec;
+      target.tags.push({ name: document.project });
+
+      // A component name already taken by another project's different definition is prefixed with this project
+      const renames = {};
+      Object.entries(document.spec.components).forEach(([section, entries]) => {
+        const existing = target.components[section] || {};
+        Object.entries(entries).forEach(([name, entry]) => {
+          if (!existing[name] || JSON.stringify(existing[name]) === JSON.stringify(entry)) return;
+          if (section === 'securitySchemes') {
+            console.warn(`⚠️  Security scheme ${name} is defined differently by several projects, keeping ${document.project}`);
+            return;
+          }
+          const renamed = `${document.project.replace(/[^\w.-]/g, '_')}.${name}`;
+          console.warn(`⚠️  components.${section}.${name} is defined differently by several projects, renamed to ${renamed} for ${document.project}`);
+          renames[`#/components/${section}/${name}`] = `#/components/${section}/${renamed}`;
+        });
+      });
+      // Copies with $refs pointing at the renamed components; each version document is validated and repaired on its own
+      const copy = value => JSON.parse(JSON.stringify(value), (property, item) => (
+        property === '$ref' && renames[item] ? renames[item] : item
+      ));
+
+      Object.entries(copy(document.spec.components)).forEach(([section, entries]) => {
+        Object.entries(entries).forEach(([name, entry]) => {
+          const ref = renames[`#/components/${section}/${name}`];
+          target.components[section] = { ...(target.components[section] || {}), [ref ? ref.split('/').pop() : name]: entry };
+        });
+      });
+
+      // Operations keep their own host's launchSettings servers where they differ from the document's
+      const ownServers = JSON.stringify(document.spec.servers) !== JSON.stringify(target.servers);
+
+      Object.entries(document.spec.paths).forEach(([routePath, methods]) => {
+        Object.entries(methods).forEach(([method, operation]) => {
+          if (target.paths[routePath] && target.paths[routePath][method]) {
+            console.warn(`⚠️  ${method.toUpperCase()} ${routePath} is mapped by several projects, keeping ${document.project}`);
+          }
+          const operationCopy = copy(operation);
+          operationCopy.tags = [document.project, ...(operationCopy.tags || []).filter(tag => tag !== document.project)];
+          if (ownServers) operationCopy.servers = copy(document.spec.servers);
+          target.paths[routePath] = { ...(target.paths[routePath] || {}), [method]: operationCopy };
+        });
+      });
+    }));
+
+    return [...merged.values()];
+  }
+
+  // {version:apiVersion} substituted in paths, summaries and operation ids, operations of a deprecated version flagged
+  versionSpec(spec, version) {
+    const { deprecated } = this.apiVersions.get(version);
+    const segment = this.formatApiVersion(version);
+    const document = JSON.parse(JSON.stringify({ ...spec, paths: {} }));
+    document.info = { ...document.info, version };
+    if (deprecated) {
+      document.info.description = [document.info.description, 'This API version has been deprecated.'].filter(Boolean).join('\n\n');
     }
-    
-    if (this.projectType === 'web-api') {
-      return this.findControllers();
+
+    // The default summary quotes the route template, so it and the operation id are substituted like the path
+    const substitute = text => text.replace(/\{(\w+)\}/g, (token, name) => this.apiVersionParameters.has(name) ? segment : token);
+
+    // Version-neutral operations are shared by every document and never deprecated with it
+    [spec.paths, this.versionedPaths[version] || {}].forEach((paths, versioned) => {
+      Object.entries(paths).forEach(([routePath, methods]) => {
+        const versionPath = substitute(routePath);
+        Object.entries(methods).forEach(([method, operation]) => {
+          const copy = JSON.parse(JSON.stringify(operation));
+          ['summary', 'operationId'].forEach(key => {
+            if (typeof copy[key] === 'string') copy[key] = substitute(copy[key]);
+          });
+          copy.parameters = (copy.parameters || [])
+            .filter(parameter => !(parameter.in === 'path' && this.apiVersionParameters.has(parameter.name)));
+          if (deprecated && versioned) copy.deprecated = true;
+          document.paths[versionPath] = { ...(document.paths[versionPath] || {}), [method]: copy };
+        });
+      });
+    });
+    return document;
+  }
+
+  // Operations mapped to specific API versions are kept per version until the documents are split
+  addOperation(paths, routePath, method, operation, versions = null) {
+    const targets = versions
+      ? versions.map(version => (this.versionedPaths[version] = this.versionedPaths[version] || {}))
+      : [paths];
+    targets.forEach(target => {
+      if (!target[routePath]) {
+        target[routePath] = {};
+      }
+      target[routePath][method] = operation;
+    });
+  }
+
+  registerApiVersion(version, deprecated = false) {
+    if (!version) return null;
+    const known = this.apiVersions.get(version) || { deprecated: false };
+    this.apiVersions.set(version, { deprecated: known.deprecated || deprecated });
+    return version;
+  }
+
+  // "1.0" / 1.0 / 2 / new ApiVersion(1, 0) / ApiVersions.V1 -> "1.0"
+  apiVersionString(text) {
+    if (!text) return null;
+    const literal = part => /^\d/.test(part.trim()) ? part.trim().replace(/[dDfFmM]$/, '') : this.csharpConstant(part);
+    const constructed = text.trim().match(/^new(?:\s+ApiVersion)?\s*\(([\s\S]*)\)$/);
+    const value = constructed
+      ? this.splitTopLevel(constructed[1], ',').map(literal).filter(part => /^\d+$/.test(part) || /^\d+\.\d+$/.test(part)).slice(0, 2).join('.')
+      : literal(text);
+    if (/^\d+$/.test(value)) return `${value}.0`;
+    return value || null;
+  }
+
+  // URL segment for a version, as Asp.Versioning's "VVV" format writes it: 1.0 -> 1, 2.1 -> 2.1
+  formatApiVersion(version) {
+    return version.replace(/^(\d+)\.0$/, '$1');
+  }
+
+  // HasApiVersion(1.0) / HasApiVersion(1, 0) / HasApiVersion(new ApiVersion(2, 0))
+  chainApiVersion(args) {
+    if (args.length === 2 && args.every(arg => /^\d+$/.test(arg.trim()))) return `${args[0].trim()}.${args[1].trim()}`;
+    return this.apiVersionString(args[0]);
+  }
+
+  // var versionSet = app.NewApiVersionSet().HasApiVersion(new ApiVersion(1, 0)).Build();
+  apiVersionSet(name) {
+    const declarationRegex = new RegExp(`\\b${name.trim()}\\s*=\\s*\\w+\\s*\\.\\s*NewApiVersionSet\\s*\\(`);
+    for (const filePath of this.getCsFileList()) {
+      const { content, masked } = this.getEndpointFile(filePath);
+      const match = masked.match(declarationRegex);
+      if (!match) continue;
+
+      const openIndex = match.index + match[0].length - 1;
+      return this.readMethodChain(content, openIndex + this.extractBalanced(masked, openIndex).length + 2)
+        .filter(call => ['HasApiVersion', 'HasDeprecatedApiVersion'].includes(call.name))
+        .map(call => this.registerApiVersion(this.chainApiVersion(call.args), call.name === 'HasDeprecatedApiVersion'))
+        .filter(Boolean);
     }
-    
-    if (this.projectType === 'dotnet-project') {
-      const files = [];
-      if (fs.existsSync('./Program.cs')) files.push('./Program.cs');
-      files.push(...this.findControllers());
-      return files;
+    return [];
+  }
+
+  // [ApiVersion("1.0")] / [ApiVersion(2.0, Deprecated = true)] / [MapToApiVersion("2.0")]
+  attributeApiVersions(attributes, name) {
+    return attributes
+      .filter(attribute => attribute.name === name)
+      .map(attribute => {
+        const version = this.apiVersionString(attribute.args.find(arg => !/^\w+\s*=[^=>]/.test(arg)));
+        if (name !== 'ApiVersion') return version;
+        return this.registerApiVersion(version, this.csharpAttributeArg(attribute, 'Deprecated') === 'true');
+      })
+      .filter(Boolean);
+  }
+
+  // Versions an action belongs to; null when it is version-neutral or the controller is unversioned
+  controllerActionVersions(classAttributes, attributes) {
+    const declared = this.attributeApiVersions(classAttributes, 'ApiVersion');
+    const actionDeclared = this.attributeApiVersions(attributes, 'ApiVersion');
+    const mapped = [...actionDeclared, ...this.attributeApiVersions(attributes, 'MapToApiVersion')];
+    if ([...classAttributes, ...attributes].some(attribute => attribute.name === 'ApiVersionNeutral')) return null;
+    if (mapped.length > 0) return [...new Set(mapped)];
+    return declared.length > 0 ? [...new Set(declared)] : null;
+  }
+
+  getRouteFiles() {
+    // Minimal APIs and controllers are often mixed in one project
+    if (['minimal-api', 'web-api', 'fast-endpoints', 'dotnet-project'].includes(this.projectType)) {
+      const controllers = this.findControllers();
+      const endpointFiles = [...new Set([...this.findMinimalApiFiles(), ...this.findFastEndpointFiles()])]
+        .filter(file => !controllers.some(controller => path.normalize(controller) === path.normalize(file)));
+      return [...endpointFiles, ...controllers];
     }
     
     return [];
   }
 
+  // Every .cs file that maps endpoints or route groups
+  findMinimalApiFiles() {
+    if (this.minimalApiFiles) return this.minimalApiFiles;
+    this.minimalApiFiles = this.getCsFileList().filter(file => this.hasMinimalAPIs(file));
+    return this.minimalApiFiles;
+  }
+
+  // Every .cs file declaring a FastEndpoints endpoint class
+  findFastEndpointFiles() {
+    if (this.fastEndpointFiles) return this.fastEndpointFiles;
+    this.fastEndpointFiles = this.getCsFileList().filter(file => {
+      const { masked } = this.getEndpointFile(file);
+      return this.fastEndpointClassRegex().test(masked);
+    });
+    return this.fastEndpointFiles;
+  }
+
+  // class CreateUser : Endpoint<CreateUserRequest, UserResponse> / EndpointWithoutRequest<T> / Ep.Req<T>.Res<R>
+  fastEndpointClassRegex() {
+    return /(?:\b(?:public|internal|sealed|partial)\s+)*\bclass\s+(\w+)\s*(?:<[^>{]*>)?\s*:\s*((?:FastEndpoints\.)?(?:Endpoint(?:WithoutRequest)?|Ep\.(?:Req|NoReq))\b[^{]*)\{/g;
+  }
+
+  parseFastEndpoints(content, filePath) {
+    const paths = {};
+    const { masked } = this.getEndpointFile(filePath, content);
+    const classRegex = this.fastEndpointClassRegex();
+    let match;
+
+    while ((match = classRegex.exec(masked)) !== null) {
+      const className = match[1];
+      const openIndex = match.index + match[0].length - 1;
+      const bodyLength = this.extractBalanced(masked, openIndex).length;
+      const body = content.substr(openIndex + 1, bodyLength);
+      const bodyMasked = masked.substr(openIndex + 1, bodyLength);
+      const classAttributes = this.parseCsharpAttributes(this.precedingAttributes(masked, content, match.index));
+
+      const types = this.fastEndpointTypes(match[2]);
+      const config = this.fastEndpointConfig(body, bodyMasked);
+      if (config.excluded) continue;
+
+      // [HttpPost("/users")] on the class is the attribute alternative to Post("/users") in Configure()
+      this.actionVerbRoutes(classAttributes)
+        .filter(route => route.template !== null)
+        .forEach(route => config.routes.push({ methods: [route.method], template: route.template }));
+      if (config.routes.length === 0) continue;
+
+      const docs = this.xmlDocComment(content, match.index) || { params: {}, responses: {} };
+      const authorization = this.fastEndpointAuthorization(config, classAttributes);
+      const prefix = this.fastEndpointRoutePrefix();
+
+      config.routes.forEach(({ methods, template }) => {
+        this.routeTemplatePaths(this.joinRoutes(prefix, config.groupPrefix, template)).forEach(route => {
+          methods.forEach(method => {
+            const operation = {
+              summary: `${method.toUpperCase()} ${route.path}`,
+              description: `Endpoint: ${className}`,
+              parameters: this.extractParameters(route, content, match.index),
+              responses: {
+                '200': { description: 'Success' },
+                '400': { description: 'Bad Request' },
+                '404': { description: 'Not Found' },
+                '500': { description: 'Internal Server Error' }
+              }
+            };
+            if (types.request) this.applyFastEndpointRequest(operation, method, types.request);
+            this.applyActionSignature(operation, method, {
+              returnType: types.response,
+              parameters: [],
+              responses: config.responses,
+              docs
+            });
+
+            if (config.tags.length > 0) operation.tags = [...new Set(config.tags)];
+            if (config.name) operation.operationId = config.name;
+            if (config.summary) operation.summary = config.summary;
+            if (config.description) operation.description = config.description;
+            if (authorization) this.applyAuthorization(operation, authorization);
+            this.addOperation(paths, route.path, method, operation);
+          });
+        });
+      });
+    }
+
+    return paths;
+  }
+
+  // Endpoint<TRequest, TResponse> -> { request, response }
+  fastEndpointTypes(baseText) {
+    const base = this.splitTopLevel(baseText, ',', true)[0].trim();
+    const empty = type => (!type || /^(?:FastEndpoints\.)?(?:EmptyRequest|EmptyResponse)$|^object$/.test(type.trim()) ? null : type.trim());
+
+    const ep = base.match(/Ep\.(?:Req\s*<([\s\S]+?)>|NoReq)\s*\.\s*(?:Res\s*<([\s\S]+)>|NoRes)/);
+    if (ep) return { request: empty(ep[1]), response: empty(ep[2]) };
+
+    const generic = base.match(/^(?:FastEndpoints\.)?(Endpoint(?:WithoutRequest)?)\s*(?:<([\s\S]+)>)?$/);
+    const args = generic && generic[2] ? this.splitTopLevel(generic[2], ',', true) : [];
+    if (generic && generic[1] === 'EndpointWithoutRequest') return { request: null, response: empty(args[0]) };
+    return { request: empty(args[0]), response: empty(args[1]) };
+  }
+
+  // Post("/users"), Verbs(...) + Routes(...), AllowAnonymous(), Roles(...), Tags(...), Description(b => ...), Summary(s => ...) in Configure()
+  fastEndpointConfig(body, bodyMasked) {
+    const config = {
+      routes: [], verbs: [], templates: [], tags: [], responses: [], roles: [], policies: [], schemes: [],
+      anonymous: false, secured: false, excluded: false, groupPrefix: ''
+    };
+    const configureMatch = bodyMasked.match(/\bvoid\s+Configure\s*\(\s*\)\s*\{/);
+    if (!configureMatch) return config;
+
+    const configureOpen = configureMatch.index + configureMatch[0].length - 1;
+    const length = this.extractBalanced(bodyMasked, configureOpen).length;
+    const source = body.substr(configureOpen + 1, length);
+    const masked = bodyMasked.substr(configureOpen + 1, length);
+    const callRegex = /(?:^|[;{}])\s*(Get|Post|Put|Delete|Patch|Verbs|Routes|AllowAnonymous|Roles|Policies|AuthSchemes|Permissions|Claims|Tags|Description|Summary|Group)\s*(<[^()]*>)?\s*\(/g;
+    let match;
+
+    while ((match = callRegex.exec(masked)) !== null) {
+      const openIndex = match.index + match[0].length - 1;
+      const text = source.substr(openIndex + 1, this.extractBalanced(masked, openIndex).length);
+      const args = this.splitTopLevel(text, ',', true);
+      const strings = args.filter(arg => /^@?"/.test(arg)).map(arg => this.csharpString(arg));
+
+      switch (match[1]) {
+        case 'Get':
+        case 'Post':
+        case 'Put':
+        case 'Delete':
+        case 'Patch':
+          config.routes.push(...strings.map(template => ({ methods: [match[1].toLowerCase()], template })));
+          break;
+        case 'Verbs':
+          // Verbs(Http.POST, Http.PUT) / Verbs("GET")
+          config.verbs.push(...args.map(arg => this.csharpConstant(arg).toLowerCase()));
+          break;
+        case 'Routes':
+          config.templates.push(...args.map(arg => this.csharpConstant(arg)));
+          break;
+        case 'AllowAnonymous':
+          config.anonymous = true;
+          break;
+        case 'Roles':
+          config.roles.push(...args.map(arg => this.csharpConstant(arg)));
+          break;
+        case 'Policies':
+          config.policies.push(...args.map(arg => this.csharpConstant(arg)));
+          break;
+        case 'AuthSchemes':
+          config.schemes.push(...args.map(arg => this.csharpConstant(arg)));
+          break;
+        case 'Permissions':
+        case 'Claims':
+          config.secured = true;
+          break;
+        case 'Tags':
+          config.tags.push(...strings);
+          break;
+        case 'Description': {
+          // Description(b => b.Produces<UserResponse>(201).ProducesProblem(400).WithName("CreateUser"))
+          const lambda = text.match(/^\s*\(?\s*\w+\s*\)?\s*=>\s*\w+/);
+          if (!lambda) break;
+          const chain = this.readMethodChain(text, lambda[0].length);
+          config.responses.push(...this.chainResponses(chain));
+          chain.forEach(call => {
+            const values = call.args.filter(arg => /^@?"/.test(arg)).map(arg => this.csharpString(arg));
+            if (call.name === 'WithTags') config.tags.push(...values);
+            if (call.name === 'WithName') config.name = values[0];
+            if (call.name === 'ExcludeFromDescription') config.excluded = true;
+          });
+          break;
+        }
+        case 'Summary': {
+          // Summary(s => { s.Summary = "..."; s.Description = "..."; })
+          const summaryMatch = text.match(/\.\s*Summary\s*=\s*(@?"(?:[^"\\]|\\.)*")/);
+          const descriptionMatch = text.match(/\.\s*Description\s*=\s*(@?"(?:[^"\\]|\\.)*")/);
+          if (summaryMatch) config.summary = this.csharpString(summaryMatch[1]);
+          if (descriptionMatch) config.description = this.csharpString(descriptionMatch[1]);
+          break;
+        }
+        case 'Group':
+          // Group<Administration>() -> Configure("admin", ...) in the group's constructor
+          if (match[2]) config.groupPrefix = this.fastEndpointGroupPrefix(match[2].slice(1, -1).trim());
+          break;
+      }
+    }
+
+    if (config.templates.length > 0) {
+      const verbs = config.verbs.filter(verb => ['get', 'post', 'put', 'delete', 'patch', 'head', 'options'].includes(verb));
+      config.templates.forEach(template => config.routes.push({ methods: verbs.length > 0 ? verbs : ['get'], template }));
+    }
+    return config;
+  }
+
+  fastEndpointGroupPrefix(groupName) {
+    const declaration = this.getTypeIndex().get(groupName.split('.').pop());
+    const prefixMatch = declaration && declaration.body.match(/\bConfigure\s*\(\s*(@?"[^"]*")/);
+    return prefixMatch ? this.csharpString(prefixMatch[1]) : '';
+  }
+
+  // app.UseFastEndpoints(c => c.Endpoints.RoutePrefix = "api")
+  fastEndpointRoutePrefix() {
+    if (this.fastEndpointPrefix !== undefined) return this.fastEndpointPrefix;
+    this.fastEndpointPrefix = '';
+    for (const filePath of this.getCsFileList()) {
+      const prefixMatch = this.getEndpointFile(filePath).content.match(/\bEndpoints\s*\.\s*RoutePrefix\s*=\s*(@?"[^"]*")/);
+      if (prefixMatch) {
+        this.fastEndpointPrefix = this.csharpString(prefixMatch[1]);
+        break;
+      }
+    }
+    return this.fastEndpointPrefix;
+  }
+
+  // FastEndpoints secures every endpoint that does not call AllowAnonymous() once authentication is set up
+  fastEndpointAuthorization(config, classAttributes) {
+    const attributeRequirement = this.attributeAuthorization(classAttributes);
+    if (config.anonymous) return { anonymous: true };
+
+    const declared = config.roles.length + config.policies.length + config.schemes.length > 0 || config.secured;
+    const requirement = declared || this.getAuthSetup().schemes.length > 0
+      ? { policies: config.policies, roles: config.roles, schemes: config.schemes }
+      : null;
+    return this.resolveAuthorization(attributeRequirement, requirement);
+  }
+
+  // Route values, [QueryParam] and GET properties, [FromHeader] and the JSON body all come from one request DTO
+  applyFastEndpointRequest(operation, method, requestType) {
+    const hasBody = ['post', 'put', 'patch'].includes(method);
+    const declaration = this.getTypeIndex().get(requestType.replace(/<[\s\S]*$/, '').split('.').pop());
+    if (!declaration) {
+      if (hasBody) operation.requestBody = { required: true, content: { 'application/json': { schema: this.csharpTypeToSchema(requestType) } } };
+      return;
+    }
+
+    const pathParameters = new Map(operation.parameters
+      .filter(parameter => parameter.in === 'path')
+      .map(parameter => [parameter.name.toLowerCase(), parameter]));
+    const bodyProperties = [];
+    let bodySchema = null;
+    let moved = false;
+
+    this.csharpProperties(declaration)
+      .filter(property => !property.readOnly && !property.attributes.some(attribute => attribute.name === 'JsonIgnore'))
+      .forEach(property => {
+        const attribute = name => property.attributes.find(item => item.name === name);
+        const schema = this.applyDataAnnotations(this.csharpTypeToSchema(property.type.replace(/\?$/, '')), property.attributes);
+        const required = property.required || !!attribute('Required');
+        const bindFrom = attribute('BindFrom') && attribute('BindFrom').args[0];
+        const name = bindFrom ? this.csharpString(bindFrom) : property.name;
+        const pathParameter = pathParameters.get(name.toLowerCase());
+
+        if (attribute('FromClaim') || attribute('HasPermission')) {
+          moved = true;
+        } else if (attribute('FromBody')) {
+          bodySchema = schema;
+        } else if (pathParameter) {
+          pathParameter.schema = schema.$ref ? schema : { ...pathParameter.schema, ...schema };
+          moved = true;
+        } else if (attribute('FromHeader')) {
+          const header = attribute('FromHeader').args.find(arg => /^@?"/.test(arg));
+          operation.parameters.push({ name: header ? this.csharpString(header) : property.name, in: 'header', required, schema });
+          moved = true;
+        } else if (attribute('QueryParam') || !hasBody) {
+          operation.parameters.push({ name: this.camelCase(name), in: 'query', required, schema });
+          moved = true;
+        } else {
+          bodyProperties.push({ name: this.camelCase(name), schema, required });
+        }
+      });
+
+    if (bodySchema) {
+      operation.requestBody = { required: true, content: { 'application/json': { schema: bodySchema } } };
+    } else if (hasBody && bodyProperties.length > 0) {
+      // The whole DTO is the body unless some properties are bound from elsewhere
+      let schema;
+      if (moved) {
+        schema = { type: 'object', properties: {} };
+        bodyProperties.forEach(property => {
+          schema.properties[property.name] = property.schema;
+        });
+        const required = bodyProperties.filter(property => property.required).map(property => property.name);
+        if (required.length > 0) schema.required = required;
+      } else {
+        schema = this.csharpTypeToSchema(requestType);
+      }
+      operation.requestBody = { required: true, content: { 'application/json': { schema } } };
+    }
+  }
+
   parseFile(filePath) {
     let content;
     try {
@@ -174,172 +794,916 @@ class DotNetOpenAPIGenerator {
       return {};
     }
     
-    if (filePath.endsWith('Program.cs')) {
-      return this.parseMinimalAPIs(content, filePath);
-    } else if (filePath.endsWith('Controller.cs')) {
+    if (filePath.endsWith('Controller.cs')) {
       return this.parseController(content, filePath);
     }
     
-    return {};
+    const paths = this.parseMinimalAPIs(content, filePath);
+    Object.entries(this.parseFastEndpoints(content, filePath)).forEach(([routePath, methods]) => {
+      paths[routePath] = { ...(paths[routePath] || {}), ...methods };
+    });
+    return paths;
   }
 
   parseMinimalAPIs(content, filePath) {
     const paths = {};
-    
-    // Minimal API patterns: app.MapGet("/api/users", ...)
-    const apiRegex = /app\.Map(Get|Post|Put|Delete|Patch)\s*\(\s*["']([^"']*)["']\s*,/g;
+    const file = this.getEndpointFile(filePath, content);
+
+    // Minimal API patterns: app.MapGet("/api/users", ...), users.MapPost("/", ...), app.MapGroup("/x").MapGet(...)
+    const apiRegex = new RegExp(`\\b(\\w+)(${this.callChainPattern()})\\s*\\.\\s*Map(Get|Post|Put|Delete|Patch|Methods)\\s*\\(`, 'g');
     let match;
-    
-    while ((match = apiRegex.exec(content)) !== null) {
-      const method = match[1].toLowerCase();
-      const routePath = match[2];
-      
-      let cleanPath = routePath;
-      if (!cleanPath.startsWith('/')) {
-        cleanPath = '/' + cleanPath;
-      }
-      
-      // Convert {id} parameters
-      cleanPath = cleanPath.replace(/\{([^}]+)\}/g, '{$1}');
-      
-      if (!paths[cleanPath]) {
-        paths[cleanPath] = {};
-      }
-      
-      paths[cleanPath][method] = {
-        summary: `${method.toUpperCase()} ${cleanPath}`,
-        parameters: this.extractParameters(cleanPath, content, match.index),
-        responses: {
-          '200': { description: 'Success' },
-          '400': { description: 'Bad Request' },
-          '404': { description: 'Not Found' },
-          '500': { description: 'Internal Server Error' }
-        }
-      };
+
+    while ((match = apiRegex.exec(file.masked)) !== null) {
+      const openIndex = match.index + match[0].length - 1;
+      const callArgs = content.substr(openIndex + 1, this.extractBalanced(file.masked, openIndex).length);
+      const args = this.splitTopLevel(callArgs, ',', true);
+      if (!/^@?"/.test(args[0] || '')) continue;
+
+      const routePath = this.csharpString(args[0]);
+      const methods = match[3] === 'Methods'
+        ? this.mapMethodsVerbs(args[1] || '')
+        : [match[3].toLowerCase()];
+      const handlerArgs = args.slice(match[3] === 'Methods' ? 2 : 1).join(', ');
+      const chain = this.readMethodChain(content, openIndex + callArgs.length + 2);
+
+      // Group prefixes and conventions, then the endpoint's own .WithName()/.WithTags()/...
+      const scope = this.scopeAt(file, match.index);
+      const groupChain = this.readMethodChain(content.substr(match.index + match[1].length, match[2].length), 0);
+      const contexts = this.endpointContexts(file, scope, match[1])
+        .map(context => this.applyEndpointChain(this.applyEndpointChain(context, groupChain), chain));
+
+      contexts.forEach(context => this.routeTemplatePaths(this.joinRoutes(context.prefix, routePath)).forEach(route => {
+        const cleanPath = route.path;
+        const versions = context.versionNeutral
+          ? null
+          : context.mapToVersions.length > 0 ? context.mapToVersions : context.versions.length > 0 ? context.versions : null;
+
+        methods.forEach(method => {
+          const operation = {
+            summary: `${method.toUpperCase()} ${cleanPath}`,
+            parameters: this.extractParameters(route, content, match.index),
+            responses: {
+              '200': { description: 'Success' },
+              '400': { description: 'Bad Request' },
+              '404': { description: 'Not Found' },
+              '500': { description: 'Internal Server Error' }
+            }
+          };
+          const signature = this.parseMinimalHandler(handlerArgs, content);
+          signature.responses = this.chainResponses(chain);
+          this.applyActionSignature(operation, method, signature);
+          this.applyEndpointMetadata(operation, context);
+          this.addOperation(paths, cleanPath, method, operation, versions);
+        });
+      }));
     }
-    
+
     return paths;
   }
 
-  parseController(content, filePath) {
-    const paths = {};
-    
-    // Extract controller route prefix
-    const routeMatch = content.match(/\[Route\s*\(\s*["']([^"']*)["']\s*\)\]/);
-    const controllerRoute = routeMatch ? routeMatch[1] : '';
-    
-    // Extract HTTP attributed actions
-    const httpActionRegex = /\[Http(Get|Post|Put|Delete|Patch)(?:\s*\(\s*["']([^"']*)["']\s*\))?\]\s*(?:.*\n)*?\s*public\s+.*?\s+(\w+)\s*\(/g;
+  // new[] { "GET", "HEAD" } / new[] { HttpMethods.Put }
+  mapMethodsVerbs(text) {
+    const verbs = [];
+    const verbRegex = /"(\w+)"|HttpMethods\.(\w+)/g;
     let match;
-    
-    while ((match = httpActionRegex.exec(content)) !== null) {
-      const method = match[1].toLowerCase();
-      const actionRoute = match[2] || '';
-      const actionName = match[3];
-      
-      this.addControllerRoute(paths, filePath, controllerRoute, actionRoute, actionName, method);
-    }
-    
-    // Extract regular public actions (assume GET for MVC actions)
-    const publicActionRegex = /public\s+(?:async\s+Task<)?(?:I?ActionResult|ViewResult|JsonResult|string)>?\s+(\w+)\s*\([^)]*\)/g;
-    while ((match = publicActionRegex.exec(content)) !== null) {
-      const actionName = match[1];
-      
-      // Skip if already processed with HTTP attribute
-      const alreadyProcessed = Object.values(paths).some(pathMethods => 
-        Object.values(pathMethods).some(methodInfo => 
-          methodInfo.description && methodInfo.description.includes(`Action: ${actionName}`)
-        )
-      );
-      
-      if (!alreadyProcessed && !actionName.startsWith('_') && actionName !== 'Dispose') {
-        this.addControllerRoute(paths, filePath, controllerRoute, actionName.toLowerCase(), actionName, 'get');
-      }
+    while ((match = verbRegex.exec(text)) !== null) {
+      const verb = (match[1] || match[2]).toLowerCase();
+      if (['get', 'post', 'put', 'delete', 'patch', 'head', 'options'].includes(verb)) verbs.push(verb);
     }
-    
-    return paths;
+    return verbs;
   }
-  
-  addControllerRoute(paths, filePath, controllerRoute, actionRoute, actionName, method) {
-    // Combine controller and action routes
-    let fullPath = this.combineRoutes(controllerRoute, actionRoute);
-    
-    // Replace [controller] placeholder
-    const controllerName = path.basename(filePath, '.cs').replace('Controller', '').toLowerCase();
-    fullPath = fullPath.replace('[controller]', controllerName);
-    
-    // If no explicit route, use controller/action pattern
-    if (!fullPath || fullPath === '/') {
-      fullPath = `/${controllerName}/${actionRoute || actionName.toLowerCase()}`;
-    }
-    
-    // Convert {id} parameters
-    fullPath = fullPath.replace(/\{([^}]+)\}/g, '{$1}');
-    
-    if (!fullPath.startsWith('/')) {
-      fullPath = '/' + fullPath;
+
+  // A receiver's chained calls: .MapGroup("/x").WithTags("y")(...)
+  callChainPattern() {
+    return '(?:\\s*\\.\\s*\\w+\\s*(?:<[^()]*>)?\\s*\\((?:[^()]|\\([^()]*\\))*\\))*';
+  }
+
+  // Masked source plus the methods that take an endpoint builder (extension methods such as MapUserEndpoints)
+  getEndpointFile(filePath, content = null) {
+    if (!this.endpointFiles) this.endpointFiles = new Map();
+    const key = path.normalize(filePath);
+    if (this.endpointFiles.has(key)) return this.endpointFiles.get(key);
+
+    const source = content !== null ? content : (this.readSource(filePath) || '');
+    const masked = this.maskCsharpLiterals(source);
+    const scopes = [];
+    const methodRegex = /\b(\w+)\s*\(([^()]*\b(?:IEndpointRouteBuilder|RouteGroupBuilder|WebApplication)\s+\w+[^()]*)\)\s*(\{|=>)/g;
+    let match;
+
+    while ((match = methodRegex.exec(masked)) !== null) {
+      const rawParameters = match[2].split(',');
+      const paramIndex = rawParameters.findIndex(param => /\b(?:IEndpointRouteBuilder|RouteGroupBuilder|WebApplication)\s+\w+/.test(param));
+      const builderParam = rawParameters[paramIndex].trim().match(/(\w+)\s*(?:=.*)?$/)[1];
+      const bodyIndex = match.index + match[0].length - match[3].length;
+      const end = match[3] === '{'
+        ? bodyIndex + this.extractBalanced(masked, bodyIndex).length + 2
+        : masked.indexOf(';', bodyIndex) + 1 || masked.length;
+
+      scopes.push({
+        name: match[1],
+        nameIndex: match.index,
+        builderParam,
+        paramIndex,
+        isExtension: paramIndex === 0 && /^\s*this\s/.test(rawParameters[0]),
+        start: bodyIndex,
+        end
+      });
     }
-    
-    if (!paths[fullPath]) {
-      paths[fullPath] = {};
+
+    const file = { filePath, content: source, masked, scopes };
+    this.endpointFiles.set(key, file);
+    return file;
+  }
+
+  readSource(filePath) {
+    try {
+      return fs.readFileSync(filePath, 'utf8');
+    } catch (e) {
+      return null;
     }
-    
-    paths[fullPath][method] = {
-      summary: `${method.toUpperCase()} ${fullPath}`,
-      description: `Action: ${actionName}`,
-      parameters: this.extractControllerParameters(fullPath, '', 0),
-      responses: {
-        '200': { description: 'Success' },
-        '400': { description: 'Bad Request' },
-        '401': { description: 'Unauthorized' },
-        '404': { description: 'Not Found' },
-        '500': { description: 'Internal Server Error' }
-      }
-    };
   }
 
-  combineRoutes(controllerRoute, actionRoute) {
-    if (!controllerRoute && !actionRoute) return '/';
-    if (!controllerRoute) return actionRoute;
-    if (!actionRoute) return controllerRoute;
-    
-    const cleanController = controllerRoute.replace(/^\/+|\/+$/g, '');
-    const cleanAction = actionRoute.replace(/^\/+|\/+$/g, '');
-    
-    return `/${cleanController}/${cleanAction}`;
+  // Innermost endpoint-builder method containing index, null for top-level statements
+  scopeAt(file, index) {
+    return file.scopes
+      .filter(scope => index >= scope.start && index < scope.end)
+      .sort((a, b) => (a.end - a.start) - (b.end - b.start))[0] || null;
   }
 
-  extractParameters(cleanPath, content, matchIndex) {
-    const parameters = [];
-    
-    // Path parameters
-    const pathParams = cleanPath.match(/\{([^}]+)\}/g) || [];
-    pathParams.forEach(param => {
-      const name = param.slice(1, -1);
-      parameters.push({
-        name,
-        in: 'path',
-        required: true,
-        schema: { type: 'string' }
-      });
-    });
-    
-    return parameters;
+  rootEndpointContext() {
+    return { prefix: '', tags: [], authorization: null, anonymous: false, versions: [], mapToVersions: [], versionNeutral: false };
   }
 
-  extractControllerParameters(cleanPath, content, matchIndex) {
-    const parameters = [];
-    
-    // Path parameters
-    const pathParams = cleanPath.match(/\{([^}]+)\}/g) || [];
-    pathParams.forEach(param => {
-      const name = param.slice(1, -1);
-      parameters.push({
-        name,
-        in: 'path',
-        required: true,
-        schema: { type: 'string' }
+  // Every prefix/convention set a builder variable can stand for within a scope
+  endpointContexts(file, scope, name, seen = new Set()) {
+    const key = `${file.filePath}:${scope ? scope.start : 'top'}:${name}`;
+    if (seen.has(key)) return [this.rootEndpointContext()];
+    seen.add(key);
+
+    const range = scope || { start: 0, end: file.masked.length };
+    let contexts = null;
+
+    // var users = app.MapGroup("/users").WithTags("Users");
+    const declarationRegex = new RegExp(`\\b${name}\\s*=\\s*(\\w+)(${this.callChainPattern()})\\s*;`, 'g');
+    declarationRegex.lastIndex = range.start;
+    let match;
+    while (!contexts && (match = declarationRegex.exec(file.masked)) !== null && match.index < range.end) {
+      if (this.scopeAt(file, match.index) !== scope || !match[2]) continue;
+      const chainStart = match.index + match[0].indexOf(match[1], match[0].indexOf('=')) + match[1].length;
+      const chain = this.readMethodChain(file.content.substr(chainStart, match[2].length), 0);
+      contexts = this.endpointContexts(file, scope, match[1], seen).map(context => this.applyEndpointChain(context, chain));
+    }
+
+    if (!contexts && scope && name === scope.builderParam) {
+      contexts = this.methodCallContexts(file, scope, seen) || this.carterModuleContexts(file, scope);
+    }
+    if (!contexts) contexts = [this.rootEndpointContext()];
+
+    // users.RequireAuthorization(); conventions added to a group apply to all of its endpoints
+    const conventionRegex = new RegExp(`(?:^|[;{}])\\s*${name}((?:\\s*\\.\\s*(?:WithTags|RequireAuthorization|AllowAnonymous)\\s*\\((?:[^()]|\\([^()]*\\))*\\))+)\\s*;`, 'g');
+    conventionRegex.lastIndex = range.start;
+    while ((match = conventionRegex.exec(file.masked)) !== null && match.index < range.end) {
+      if (this.scopeAt(file, match.index + match[0].indexOf(name)) !== scope) continue;
+      const chainStart = match.index + match[0].length - 1 - match[1].length;
+      const chain = this.readMethodChain(file.content.substr(chainStart, match[1].length), 0);
+      contexts = contexts.map(context => this.applyEndpointChain(context, chain));
+    }
+    return contexts;
+  }
+
+  // Where app.MapUserEndpoints() / MapTodos(app.MapGroup("/todos")) is called from
+  methodCallContexts(file, scope, seen) {
+    const contexts = [];
+    const chainPattern = this.callChainPattern();
+
+    this.getCsFileList().forEach(filePath => {
+      const callFile = this.getEndpointFile(filePath);
+      if (!callFile.masked.includes(scope.name)) return;
+
+      const callRegex = scope.isExtension
+        ? new RegExp(`\\b(\\w+)(${chainPattern})\\s*\\.\\s*${scope.name}\\s*\\(`, 'g')
+        : new RegExp(`\\b${scope.name}\\s*\\(`, 'g');
+      let match;
+
+      while ((match = callRegex.exec(callFile.masked)) !== null) {
+        // Declarations of the method (including other classes' AddRoutes overrides) are not call sites
+        if (callFile.scopes.some(declared => declared.nameIndex === match.index)) continue;
+        const callScope = this.scopeAt(callFile, match.index);
+
+        let base;
+        let chainText;
+        if (scope.isExtension) {
+          base = match[1];
+          chainText = callFile.content.substr(match.index + match[1].length, match[2].length);
+        } else {
+          const openIndex = match.index + match[0].length - 1;
+          const args = this.splitTopLevel(callFile.content.substr(openIndex + 1, this.extractBalanced(callFile.masked, openIndex).length), ',', true);
+          const argument = (args[scope.paramIndex] || '').match(/^(\w+)([\s\S]*)$/);
+          if (!argument) continue;
+          [, base, chainText] = argument;
+        }
+
+        const chain = this.readMethodChain(chainText, 0);
+        this.endpointContexts(callFile, callScope, base, new Set(seen))
+          .forEach(context => contexts.push(this.applyEndpointChain(context, chain)));
+      }
+    });
+
+    return contexts.length > 0 ? contexts : null;
+  }
+
+  // Carter: class UserModule : CarterModule { public UserModule() : base("/users") { WithTags("Users"); } AddRoutes(app) { ... } }
+  carterModuleContexts(file, scope) {
+    const classRegex = /\bclass\s+(\w+)[^{;]*:[^{;]*\bCarterModule\b[^{;]*\{/g;
+    let match;
+
+    while ((match = classRegex.exec(file.masked)) !== null) {
+      const openIndex = match.index + match[0].length - 1;
+      const end = openIndex + this.extractBalanced(file.masked, openIndex).length + 1;
+      if (scope.start < openIndex || scope.start > end) continue;
+
+      const chain = [];
+      const ctorRegex = new RegExp(`\\b${match[1]}\\s*\\([^()]*\\)\\s*:\\s*base\\s*\\(`, 'g');
+      ctorRegex.lastIndex = openIndex;
+      const ctor = ctorRegex.exec(file.masked);
+      if (!ctor || ctor.index > end) return [this.rootEndpointContext()];
+
+      const baseOpen = ctor.index + ctor[0].length - 1;
+      const baseArgs = this.extractBalanced(file.masked, baseOpen);
+      const prefix = this.splitTopLevel(file.content.substr(baseOpen + 1, baseArgs.length), ',', true)[0] || '';
+      if (/^@?"/.test(prefix)) chain.push({ name: 'MapGroup', typeArgs: null, args: [prefix] });
+
+      // Conventions called in the constructor body apply to every route of the module
+      const bodyOpen = file.masked.indexOf('{', baseOpen + baseArgs.length + 2);
+      const bodyEnd = bodyOpen + this.extractBalanced(file.masked, bodyOpen).length + 1;
+      const callRegex = /(?:^|[;{}])\s*(?:this\s*\.\s*)?(\w+)\s*\(/g;
+      callRegex.lastIndex = bodyOpen;
+      let call;
+      while ((call = callRegex.exec(file.masked)) !== null && call.index < bodyEnd) {
+        const callOpen = call.index + call[0].length - 1;
+        const args = this.extractBalanced(file.masked, callOpen);
+        chain.push({ name: call[1], typeArgs: null, args: this.splitTopLevel(file.content.substr(callOpen + 1, args.length), ',', true) });
+        callRegex.lastIndex = callOpen + args.length + 1;
+      }
+      return [this.applyEndpointChain(this.rootEndpointContext(), chain)];
+    }
+    return null;
+  }
+
+  getCsFileList() {
+    if (!this.csFiles) this.csFiles = this.findCsFiles('.');
+    return this.csFiles;
+  }
+
+  applyEndpointChain(context, chain) {
+    const next = { ...context, tags: [...context.tags] };
+    chain.forEach(call => {
+      const strings = call.args.filter(arg => /^@?"/.test(arg)).map(arg => this.csharpString(arg));
+      switch (call.name) {
+        case 'MapGroup':
+          next.prefix = this.joinRoutes(next.prefix, strings[0] || '');
+          break;
+        case 'WithTags':
+          next.tags.push(...strings);
+          break;
+        case 'RequireAuthorization':
+          next.authorization = this.mergeAuthorization(next.authorization, this.chainAuthorization(call.args));
+          break;
+        case 'AllowAnonymous':
+          next.anonymous = true;
+          break;
+        case 'WithName':
+          next.name = strings[0];
+          break;
+        case 'WithSummary':
+          next.summary = strings[0];
+          break;
+        case 'WithDescription':
+          next.description = strings[0];
+          break;
+        case 'HasApiVersion':
+        case 'HasDeprecatedApiVersion':
+          next.versions = [...next.versions, this.registerApiVersion(this.chainApiVersion(call.args), call.name === 'HasDeprecatedApiVersion')]
+            .filter(Boolean);
+          break;
+        case 'MapToApiVersion':
+          next.mapToVersions = [...next.mapToVersions, this.chainApiVersion(call.args)].filter(Boolean);
+          break;
+        case 'IsApiVersionNeutral':
+          next.versionNeutral = true;
+          break;
+        case 'WithApiVersionSet':
+          if (call.args[0]) next.versions = [...next.versions, ...this.apiVersionSet(call.args[0])];
+          break;
+      }
+    });
+    return next;
+  }
+
+  applyEndpointMetadata(operation, context) {
+    if (context.tags.length > 0) operation.tags = [...new Set(context.tags)];
+    if (context.name) operation.operationId = context.name;
+    if (context.summary) operation.summary = context.summary;
+    if (context.description) operation.description = context.description;
+
+    const authorization = this.resolveAuthorization(context.anonymous ? { anonymous: true } : null, context.authorization);
+    if (authorization) this.applyAuthorization(operation, authorization);
+  }
+
+  // [AllowAnonymous] wins; endpoints without any authorization metadata fall back to the FallbackPolicy
+  resolveAuthorization(...requirements) {
+    const present = requirements.filter(Boolean);
+    if (present.some(requirement => requirement.anonymous)) return { anonymous: true };
+    if (present.length === 0) return this.getAuthSetup().fallback;
+    return present.reduce((merged, requirement) => this.mergeAuthorization(merged, requirement), null);
+  }
+
+  mergeAuthorization(a, b) {
+    if (!a) return { policies: [...b.policies], roles: [...b.roles], schemes: [...b.schemes] };
+    return {
+      policies: [...a.policies, ...b.policies],
+      roles: [...a.roles, ...b.roles],
+      schemes: [...a.schemes, ...b.schemes]
+    };
+  }
+
+  // [Authorize] / [Authorize("Policy")] / [Authorize(Roles = "Admin,Manager", AuthenticationSchemes = "ApiKey")] / [AllowAnonymous]
+  attributeAuthorization(attributes) {
+    if (attributes.some(attribute => attribute.name === 'AllowAnonymous')) return { anonymous: true };
+
+    return attributes
+      .filter(attribute => attribute.name === 'Authorize')
+      .reduce((requirement, attribute) => {
+        const policy = attribute.args.find(arg => !/^\w+\s*=/.test(arg)) || this.csharpAttributeArg(attribute, 'Policy');
+        return this.mergeAuthorization(requirement, {
+          policies: policy ? [this.csharpConstant(policy)] : [],
+          roles: this.splitNames(this.csharpConstant(this.csharpAttributeArg(attribute, 'Roles'))),
+          schemes: this.splitNames(this.csharpConstant(this.csharpAttributeArg(attribute, 'AuthenticationSchemes')))
+        });
+      }, null);
+  }
+
+  // RequireAuthorization("Policy") / RequireAuthorization(policy => policy.RequireRole("Admin")) / RequireAuthorization(new AuthorizeAttribute { Roles = "Admin" })
+  chainAuthorization(args) {
+    const text = args.join(', ');
+    const named = (key) => {
+      const match = text.match(new RegExp(`\\b${key}\\s*=\\s*(@?"[^"]*"|[\\w.]+)`));
+      return match ? this.splitNames(this.csharpConstant(match[1])) : [];
+    };
+    const called = (method) => {
+      const values = [];
+      const callRegex = new RegExp(`\\.\\s*${method}\\s*\\(([^()]*)\\)`, 'g');
+      let match;
+      while ((match = callRegex.exec(text)) !== null) {
+        this.splitTopLevel(match[1], ',').forEach(arg => values.push(...this.splitNames(this.csharpConstant(arg))));
+      }
+      return values;
+    };
+
+    return {
+      policies: [
+        ...args.filter(arg => /^(?:@?"|[\w.]+$)/.test(arg)).map(arg => this.csharpConstant(arg)),
+        ...named('Policy')
+      ],
+      roles: [...named('Roles'), ...called('RequireRole')],
+      schemes: [...named('AuthenticationSchemes'), ...called('AddAuthenticationSchemes')]
+    };
+  }
+
+  splitNames(text) {
+    return (text || '').split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  // "Admin" / JwtBearerDefaults.AuthenticationScheme / Policies.Admin (a const string declared in the project)
+  csharpConstant(text) {
+    if (text === undefined) return undefined;
+    const value = text.trim();
+    if (/^@?"/.test(value)) return this.csharpString(value);
+
+    const wellKnown = {
+      'JwtBearerDefaults.AuthenticationScheme': 'Bearer',
+      'CookieAuthenticationDefaults.AuthenticationScheme': 'Cookies',
+      'NegotiateDefaults.AuthenticationScheme': 'Negotiate'
+    };
+    const key = value.split('.').slice(-2).join('.');
+    if (wellKnown[key]) return wellKnown[key];
+
+    const name = value.split('.').pop();
+    const constRegex = new RegExp(`\\b(?:const|static\\s+readonly)\\s+string\\s+${name}\\s*=\\s*(@?"(?:[^"\\\\]|\\\\.)*")`);
+    for (const filePath of this.getCsFileList()) {
+      const match = this.getEndpointFile(filePath).content.match(constRegex);
+      if (match) return this.csharpString(match[1]);
+    }
+    return name;
+  }
+
+  // Authentication handlers, policies and global requirements registered in Program.cs / Startup.cs
+  getAuthSetup() {
+    if (this.authSetup) return this.authSetup;
+    const setup = { schemes: [], defaultScheme: null, policySchemes: {}, fallback: null, controllers: null };
+    this.authSetup = setup;
+
+    this.getCsFileList().forEach(filePath => {
+      const { content, masked } = this.getEndpointFile(filePath);
+      const callRegex = /\.\s*(AddAuthentication|AddJwtBearer|AddMicrosoftIdentityWebApi|AddCookie|AddAuthenticationJwtBearer|AddAuthenticationCookie|AddScheme|AddPolicy|MapControllers)\s*(<[^()]*>)?\s*\(/g;
+      let match;
+
+      while ((match = callRegex.exec(masked)) !== null) {
+        const openIndex = match.index + match[0].length - 1;
+        const text = content.substr(openIndex + 1, this.extractBalanced(masked, openIndex).length);
+        const args = this.splitTopLevel(text, ',', true);
+        const schemeArg = args.find(arg => arg && !arg.includes('=>'));
+
+        switch (match[1]) {
+          case 'AddAuthentication': {
+            const defaultMatch = text.match(/\bDefault(?:Authenticate)?Scheme\s*=\s*(@?"[^"]*"|[\w.]+)/);
+            if (schemeArg) setup.defaultScheme = this.csharpConstant(schemeArg);
+            else if (defaultMatch) setup.defaultScheme = this.csharpConstant(defaultMatch[1]);
+            break;
+          }
+          case 'AddJwtBearer':
+          case 'AddMicrosoftIdentityWebApi':
+            this.addAuthScheme(setup, schemeArg && match[1] === 'AddJwtBearer' ? this.csharpConstant(schemeArg) : 'Bearer',
+              'bearerAuth', { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' });
+            break;
+          // FastEndpoints.Security: AddAuthenticationJwtBearer(s => s.SigningKey = ...) / AddAuthenticationCookie(...)
+          case 'AddAuthenticationJwtBearer':
+            this.addAuthScheme(setup, 'Bearer', 'bearerAuth', { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' });
+            break;
+          case 'AddAuthenticationCookie':
+            this.addAuthScheme(setup, 'Cookies', 'cookieAuth', { type: 'apiKey', in: 'cookie', name: '.AspNetCore.Cookies' });
+            break;
+          case 'AddCookie': {
+            const cookieMatch = text.match(/\bCookie\.Name\s*=\s*(@?"[^"]*")/);
+            this.addAuthScheme(setup, schemeArg ? this.csharpConstant(schemeArg) : 'Cookies',
+              'cookieAuth', { type: 'apiKey', in: 'cookie', name: cookieMatch ? this.csharpString(cookieMatch[1]) : '.AspNetCore.Cookies' });
+            break;
+          }
+          case 'AddScheme': {
+            // AddScheme<ApiKeyOptions, ApiKeyHandler>("ApiKey", null)
+            const handler = match[2] ? this.splitTopLevel(match[2].slice(1, -1), ',', true).pop() : '';
+            const name = schemeArg ? this.csharpConstant(schemeArg) : handler.replace(/(?:Authentication)?Handler$/, '');
+            if (/basic/i.test(`${handler} ${name}`)) {
+              this.addAuthScheme(setup, name, 'basicAuth', { type: 'http', scheme: 'basic' });
+            } else if (/api[-_]?key/i.test(`${handler} ${name}`)) {
+              this.addAuthScheme(setup, name, 'apiKeyAuth', this.apiKeyScheme(handler));
+            }
+            break;
+          }
+          case 'AddPolicy': {
+            const schemes = this.chainAuthorization(args.slice(1)).schemes;
+            if (args[0] && schemes.length > 0) setup.policySchemes[this.csharpConstant(args[0])] = schemes;
+            break;
+          }
+          case 'MapControllers': {
+            const chain = this.readMethodChain(content, openIndex + text.length + 2);
+            chain.filter(call => call.name === 'RequireAuthorization').forEach(call => {
+              setup.controllers = this.mergeAuthorization(setup.controllers, this.chainAuthorization(call.args));
+            });
+            break;
+          }
+        }
+      }
+
+      // options.FallbackPolicy = new AuthorizationPolicyBuilder().RequireAuthenticatedUser().Build();
+      const fallbackRegex = /\bFallbackPolicy\s*=([^;]*)/g;
+      while ((match = fallbackRegex.exec(masked)) !== null) {
+        const text = content.substr(match.index, match[0].length);
+        if (/\bRequire(?:AuthenticatedUser|Role|Claim|Assertion)\s*\(/.test(text)) {
+          const requirement = this.chainAuthorization([text]);
+          setup.fallback = { policies: [], roles: requirement.roles, schemes: requirement.schemes };
+        }
+      }
+    });
+
+    if (setup.schemes.length > 0) {
+      console.log(`🔐 Found authentication schemes: ${setup.schemes.map(scheme => scheme.name).join(', ')}`);
+    }
+    return setup;
+  }
+
+  addAuthScheme(setup, name, key, definition) {
+    if (setup.schemes.some(scheme => scheme.name === name)) return;
+    const taken = setup.schemes.some(scheme => scheme.key === key);
+    setup.schemes.push({ name, key: taken ? `${this.camelCase(name.replace(/\W/g, ''))}Auth` : key, definition });
+  }
+
+  // Header (or query) name read by a custom API key handler
+  apiKeyScheme(handler) {
+    const declaration = this.getTypeIndex().get(handler.split('.').pop().replace(/<[\s\S]*$/, ''));
+    const body = declaration ? declaration.body : '';
+    const queryMatch = body.match(/\bQuery\s*(?:\[\s*|\.TryGetValue\s*\(\s*)(@?"[^"]+")/);
+    const headerMatch = body.match(/\b(?:Headers\s*(?:\[\s*|\.TryGetValue\s*\(\s*)|HeaderName\s*=\s*)(@?"[^"]+")/);
+
+    if (queryMatch && !headerMatch) return { type: 'apiKey', in: 'query', name: this.csharpString(queryMatch[1]) };
+    return { type: 'apiKey', in: 'header', name: headerMatch ? this.csharpString(headerMatch[1]) : 'X-API-Key' };
+  }
+
+  // Schemes named by the requirement or its policies, else the default scheme, else every registered scheme
+  securitySchemesFor(requirement) {
+    const setup = this.getAuthSetup();
+    if (setup.schemes.length === 0) {
+      return [{ key: 'bearerAuth', definition: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } }];
+    }
+
+    const names = [...requirement.schemes, ...requirement.policies.flatMap(policy => setup.policySchemes[policy] || [])];
+    const named = setup.schemes.filter(scheme => names.includes(scheme.name));
+    if (named.length > 0) return named;
+
+    const fallback = setup.schemes.find(scheme => scheme.name === setup.defaultScheme);
+    return fallback ? [fallback] : setup.schemes;
+  }
+
+  // Operation security plus an x-authorization record of the required roles and policies
+  applyAuthorization(operation, requirement) {
+    if (requirement.anonymous) {
+      operation.security = [];
+      operation['x-authorization'] = { anonymous: true };
+      return;
+    }
+
+    if (!this.components.securitySchemes) this.components.securitySchemes = {};
+    operation.security = this.securitySchemesFor(requirement).map(scheme => {
+      this.components.securitySchemes[scheme.key] = scheme.definition;
+      return { [scheme.key]: [] };
+    });
+
+    const policies = [...new Set(requirement.policies)];
+    const roles = [...new Set(requirement.roles)];
+    operation['x-authorization'] = { policies, roles };
+    if (requirement.schemes.length > 0) operation['x-authorization'].schemes = [...new Set(requirement.schemes)];
+
+    if (!operation.responses['401']) operation.responses['401'] = { description: 'Unauthorized' };
+    if ((policies.length > 0 || roles.length > 0) && !operation.responses['403']) {
+      operation.responses['403'] = { description: 'Forbidden' };
+    }
+  }
+
+  joinRoutes(...parts) {
+    const joined = parts
+      .map(part => (part || '').replace(/^\/+|\/+$/g, ''))
+      .filter(Boolean)
+      .join('/');
+    return `/${joined}`;
+  }
+
+  parseController(content, filePath) {
+    const paths = {};
+    const masked = this.maskCsharpLiterals(content);
+    const depths = this.braceDepths(masked);
+
+    // Every controller class in the file is routed on its own
+    const classRegex = /(?:\b(?:public|internal|sealed|abstract|partial)\s+)*\bclass\s+(\w+)[^{;]*\{/g;
+    let match;
+
+    while ((match = classRegex.exec(masked)) !== null) {
+      const className = match[1];
+      const classAttributes = this.parseCsharpAttributes(this.precedingAttributes(masked, content, match.index));
+      const isController = className.endsWith('Controller') ||
+        classAttributes.some(attribute => ['ApiController', 'Controller'].includes(attribute.name));
+      if (!isController || /\babstract\s/.test(match[0]) || classAttributes.some(attribute => attribute.name === 'NonController')) {
+        continue;
+      }
+
+      const openIndex = match.index + match[0].length - 1;
+      const end = openIndex + this.extractBalanced(masked, openIndex).length + 1;
+      this.parseControllerClass(paths, { content, masked, depths, className, classAttributes, openIndex, end });
+    }
+
+    return paths;
+  }
+
+  parseControllerClass(paths, { content, masked, depths, className, classAttributes, openIndex, end }) {
+    // [Route] and [Area] are inherited from base controllers unless the class declares its own
+    const inheritedAttributes = this.baseClassAttributes(className);
+    const routeAttributes = classAttributes.some(attribute => attribute.name === 'Route') ? classAttributes : inheritedAttributes;
+    const controllerRoutes = routeAttributes
+      .filter(attribute => attribute.name === 'Route')
+      .map(attribute => this.routeTemplateArg(attribute))
+      .filter(template => template !== null);
+    const area = [...inheritedAttributes, ...classAttributes]
+      .filter(attribute => attribute.name === 'Area' && attribute.args.length > 0)
+      .map(attribute => this.csharpConstant(attribute.args[0]))
+      .pop();
+    const controllerName = className.replace(/Controller$/, '').toLowerCase();
+
+    const actionRegex = /\bpublic\s+((?:(?:async|virtual|override|new|static|sealed)\s+)*)([\w.]+\s*(?:<[^(){};=]*>)?\s*(?:\[\])?\??)\s+(\w+)\s*\(/g;
+    actionRegex.lastIndex = openIndex;
+    let match;
+
+    while ((match = actionRegex.exec(masked)) !== null && match.index < end) {
+      if (depths[match.index] !== depths[openIndex] + 1 || /\bstatic\b/.test(match[1])) continue;
+
+      const attributes = this.parseCsharpAttributes(this.precedingAttributes(masked, content, match.index));
+      const methodName = match[3];
+      if (attributes.some(attribute => attribute.name === 'NonAction') || methodName.startsWith('_') || methodName === 'Dispose') continue;
+
+      const verbRoutes = this.actionVerbRoutes(attributes);
+      const actionRoutes = attributes
+        .filter(attribute => attribute.name === 'Route')
+        .map(attribute => this.routeTemplateArg(attribute))
+        .filter(template => template !== null);
+
+      // Actions without HTTP or route attributes are assumed to be MVC GET actions
+      const returnType = match[2].trim();
+      if (verbRoutes.length === 0 && actionRoutes.length === 0 &&
+          !/^(?:Task\s*<\s*)?(?:I?ActionResult|ViewResult|JsonResult|string)\b/.test(returnType)) {
+        continue;
+      }
+
+      const actionNameAttribute = attributes.find(attribute => attribute.name === 'ActionName' && attribute.args.length > 0);
+      const actionName = actionNameAttribute ? this.csharpConstant(actionNameAttribute.args[0]) : methodName;
+      const tokens = { controller: controllerName, action: actionName.toLowerCase(), area: area ? area.toLowerCase() : '' };
+
+      // [HttpGet("{id}")] routes carry their own verb; [Route] templates apply to every verb on the action
+      const untemplated = verbRoutes.filter(route => route.template === null).map(route => route.method);
+      const routes = verbRoutes.filter(route => route.template !== null).map(route => ({ methods: [route.method], template: route.template }));
+      if (actionRoutes.length > 0) {
+        const verbs = [...new Set(verbRoutes.map(route => route.method))];
+        const methods = verbs.length > 0 ? verbs : ['get'];
+        actionRoutes.forEach(template => routes.push({ methods, template }));
+      } else if (untemplated.length > 0 || routes.length === 0) {
+        routes.push({ methods: untemplated.length > 0 ? untemplated : ['get'], template: '' });
+      }
+
+      const publicIndex = match.index;
+      const allAttributes = [...classAttributes, ...attributes];
+      const signature = {
+        returnType,
+        parameters: this.parseCsharpParameters(this.extractBalanced(content, match.index + match[0].length - 1)),
+        responses: this.attributeResponses(allAttributes),
+        versions: this.controllerActionVersions(classAttributes, attributes),
+        deprecated: allAttributes.some(attribute => attribute.name === 'Obsolete'),
+        docs: this.xmlDocComment(content, publicIndex),
+        authorization: this.resolveAuthorization(
+          this.getAuthSetup().controllers,
+          this.attributeAuthorization([...inheritedAttributes, ...allAttributes])
+        )
+      };
+
+      routes.forEach(route => {
+        // Conventional routing ({area}/{controller}/{action}) when neither the action nor the controller is attribute-routed
+        const templates = this.isAbsoluteRoute(route.template)
+          ? [route.template]
+          : controllerRoutes.length > 0
+            ? controllerRoutes.map(controllerRoute => this.combineRoutes(controllerRoute, route.template))
+            : [route.template || this.joinRoutes(tokens.area, tokens.controller, tokens.action)];
+
+        templates.forEach(template => {
+          route.methods.forEach(method => {
+            this.addControllerRoute(paths, tokens, template, actionName, method, signature);
+          });
+        });
       });
+    }
+  }
+
+  // [HttpGet] / [HttpGet("{id}")] / [AcceptVerbs("GET", "HEAD", Route = "x")] -> [{ method, template }]
+  actionVerbRoutes(attributes) {
+    const verbs = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options'];
+    const routes = [];
+    attributes.forEach(attribute => {
+      const verbMatch = attribute.name.match(/^Http(Get|Post|Put|Delete|Patch|Head|Options)$/);
+      if (verbMatch) {
+        routes.push({ method: verbMatch[1].toLowerCase(), template: this.routeTemplateArg(attribute) });
+      } else if (attribute.name === 'AcceptVerbs') {
+        const template = this.csharpAttributeArg(attribute, 'Route');
+        attribute.args
+          .filter(arg => /^@?"/.test(arg))
+          .map(arg => this.csharpString(arg).toLowerCase())
+          .filter(method => verbs.includes(method))
+          .forEach(method => routes.push({ method, template: template !== undefined ? this.csharpConstant(template) : null }));
+      }
+    });
+    return routes;
+  }
+
+  // [Route("api/[controller]")] / [HttpGet("{id}", Name = "GetUser")] / [Route(template: ApiRoutes.Users)]
+  routeTemplateArg(attribute) {
+    const positional = attribute.args.find(arg => !/^\w+\s*=[^=>]/.test(arg));
+    const value = positional !== undefined ? positional.replace(/^template\s*:\s*/, '') : this.csharpAttributeArg(attribute, 'Template');
+    return value !== undefined ? this.csharpConstant(value) : null;
+  }
+
+  addControllerRoute(paths, tokens, template, actionName, method, signature = null) {
+    // Replace [controller] / [action] / [area] tokens; [[ and ]] are escaped brackets
+    const fullTemplate = template.replace(/\[\[|\]\]|\[(controller|action|area)\]/gi,
+      (token, name) => name ? tokens[name.toLowerCase()] : token[0]);
+
+    this.routeTemplatePaths(fullTemplate).forEach(route => {
+      const fullPath = route.path;
+      const operation = {
+        summary: `${method.toUpperCase()} ${fullPath}`,
+        description: `Action: ${actionName}`,
+        parameters: this.extractControllerParameters(route, '', 0),
+        responses: {
+          '200': { description: 'Success' },
+          '400': { description: 'Bad Request' },
+          '404': { description: 'Not Found' },
+          '500': { description: 'Internal Server Error' }
+        }
+      };
+      if (signature) this.applyActionSignature(operation, method, signature);
+      if (signature && signature.authorization) this.applyAuthorization(operation, signature.authorization);
+      if (signature && signature.deprecated) operation.deprecated = true;
+      this.addOperation(paths, fullPath, method, operation, signature && signature.versions);
+    });
+  }
+
+  // Attributes declared on the controller's base classes (e.g. an [Authorize] ApiControllerBase)
+  baseClassAttributes(className, seen = new Set()) {
+    const declaration = this.getTypeIndex().get(className);
+    if (!declaration || seen.has(className)) return [];
+    seen.add(className);
+
+    return declaration.bases.flatMap(base => {
+      const baseName = base.replace(/<[\s\S]*$/, '').split('.').pop();
+      const baseDeclaration = this.getTypeIndex().get(baseName);
+      if (!baseDeclaration || baseDeclaration.kind !== 'class') return [];
+      return [...this.baseClassAttributes(baseName, seen), ...this.parseCsharpAttributes(baseDeclaration.attributes)];
+    });
+  }
+
+  // Action templates starting with / or ~/ ignore the controller route
+  isAbsoluteRoute(template) {
+    return /^~?\//.test(template || '');
+  }
+
+  combineRoutes(controllerRoute, actionRoute) {
+    if (this.isAbsoluteRoute(actionRoute)) return actionRoute.replace(/^~/, '');
+    if (!controllerRoute && !actionRoute) return '/';
+    if (!controllerRoute) return actionRoute;
+    if (!actionRoute) return controllerRoute;
+    
+    const cleanController = controllerRoute.replace(/^\/+|\/+$/g, '');
+    const cleanAction = actionRoute.replace(/^\/+|\/+$/g, '');
+    
+    return `/${cleanController}/${cleanAction}`;
+  }
+
+  // ASP.NET Core route template -> [{ path, parameters }]. Optional, defaulted and catch-all
+  // trailing parameters also yield the path without them.
+  routeTemplatePaths(template) {
+    let tokens = this.routeTemplateTokens(template.replace(/^~/, ''));
+    const variants = [tokens];
+
+    while (tokens.length > 0) {
+      const last = tokens[tokens.length - 1].parameter;
+      if (!last || !(last.optional || last.catchAll || last.defaultValue !== undefined)) break;
+      tokens = tokens.slice(0, -1);
+      const separator = tokens[tokens.length - 1];
+      if (separator && separator.text !== undefined) {
+        const text = separator.text.replace(/[/.]$/, '');
+        tokens = [...tokens.slice(0, -1), ...(text ? [{ text }] : [])];
+      }
+      variants.push(tokens);
+    }
+
+    return variants.map(variant => {
+      const routePath = '/' + variant
+        .map(token => token.text !== undefined ? token.text : `{${token.parameter.name}}`)
+        .join('')
+        .replace(/\/{2,}/g, '/')
+        .replace(/^\/+|\/+$/g, '');
+      return {
+        path: routePath,
+        parameters: variant.filter(token => token.parameter).map(token => this.routeParameterSpec(token.parameter))
+      };
+    });
+  }
+
+  // Literal text and {parameter} tokens; {{ and }} are escaped braces
+  routeTemplateTokens(template) {
+    const tokens = [];
+    let text = '';
+
+    for (let i = 0; i < template.length; i++) {
+      const char = template[i];
+      if ((char === '{' || char === '}') && template[i + 1] === char) {
+        text += char;
+        i++;
+      } else if (char === '{') {
+        let inner = '';
+        for (i++; i < template.length; i++) {
+          if ((template[i] === '{' || template[i] === '}') && template[i + 1] === template[i]) {
+            inner += template[i];
+            i++;
+          } else if (template[i] === '}') {
+            break;
+          } else {
+            inner += template[i];
+          }
+        }
+        if (text) tokens.push({ text });
+        text = '';
+        tokens.push({ parameter: this.parseRouteParameter(inner) });
+      } else {
+        text += char;
+      }
+    }
+
+    if (text) tokens.push({ text });
+    return tokens;
+  }
+
+  // {**slug} / {id:int:min(1)} / {page=1} / {id?}
+  parseRouteParameter(text) {
+    const catchAll = text.startsWith('*');
+    let rest = text.replace(/^\*{1,2}/, '');
+    const optional = rest.endsWith('?');
+    if (optional) rest = rest.slice(0, -1);
+
+    const parts = [];
+    let current = '';
+    let depth = 0;
+    let defaultValue;
+    for (let i = 0; i < rest.length; i++) {
+      const char = rest[i];
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (depth === 0 && char === '=') {
+        defaultValue = rest.slice(i + 1);
+        break;
+      }
+      if (depth === 0 && char === ':') {
+        parts.push(current);
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return {
+      name: parts[0].trim(),
+      catchAll,
+      optional,
+      defaultValue,
+      constraints: parts.slice(1).map(constraint => {
+        const constraintMatch = constraint.match(/^(\w+)(?:\(([\s\S]*)\))?$/);
+        return constraintMatch ? { name: constraintMatch[1].toLowerCase(), args: constraintMatch[2] } : null;
+      }).filter(Boolean)
+    };
+  }
+
+  // Route constraints -> path parameter schema
+  routeParameterSpec(parameter) {
+    const schema = { type: 'string' };
+    const numbers = (args) => (args || '').split(',').map(Number);
+
+    parameter.constraints.forEach(({ name, args }) => {
+      switch (name) {
+        case 'int': Object.assign(schema, { type: 'integer', format: 'int32' }); break;
+        case 'long': Object.assign(schema, { type: 'integer', format: 'int64' }); break;
+        case 'bool': schema.type = 'boolean'; break;
+        case 'decimal':
+        case 'double': Object.assign(schema, { type: 'number', format: 'double' }); break;
+        case 'float': Object.assign(schema, { type: 'number', format: 'float' }); break;
+        case 'datetime': schema.format = 'date-time'; break;
+        case 'guid': schema.format = 'uuid'; break;
+        case 'alpha': schema.pattern = '^[a-zA-Z]+$'; break;
+        case 'regex': schema.pattern = args; break;
+        case 'minlength': schema.minLength = numbers(args)[0]; break;
+        case 'maxlength': schema.maxLength = numbers(args)[0]; break;
+        case 'length': {
+          const [min, max] = numbers(args);
+          schema.minLength = min;
+          schema.maxLength = max === undefined ? min : max;
+          break;
+        }
+        case 'min': schema.minimum = numbers(args)[0]; break;
+        case 'max': schema.maximum = numbers(args)[0]; break;
+        case 'range': [schema.minimum, schema.maximum] = numbers(args); break;
+        case 'apiversion': this.apiVersionParameters.add(parameter.name); break;
+      }
+    });
+    if ((schema.minimum !== undefined || schema.maximum !== undefined) && schema.type === 'string') {
+      Object.assign(schema, { type: 'integer', format: 'int64' });
+    }
+
+    if (parameter.defaultValue !== undefined) {
+      const numeric = Number(parameter.defaultValue);
+      schema.default = ['integer', 'number'].includes(schema.type) && !Number.isNaN(numeric)
+        ? numeric
+        : schema.type === 'boolean' ? parameter.defaultValue.toLowerCase() === 'true' : parameter.defaultValue;
+    }
+
+    const spec = { name: parameter.name, in: 'path', required: true, schema };
+    if (parameter.catchAll) spec.description = 'Catch-all parameter; may contain "/"';
+    return spec;
+  }
+
+  extractParameters(route, content, matchIndex) {
+    // Path parameters
+    return route.parameters.map(parameter => ({ ...parameter, schema: { ...parameter.schema } }));
+  }
+
+  extractControllerParameters(route, content, matchIndex) {
+    const parameters = [];
+    
+    // Path parameters
+    route.parameters.forEach(parameter => {
+      parameters.push({ ...parameter, schema: { ...parameter.schema } });
     });
     
     // Look for [FromQuery] parameters in method signature
@@ -358,38 +1722,1097 @@ class DotNetOpenAPIGenerator {
     return parameters;
   }
 
+  // Binds action parameters the way ASP.NET Core does and types the 200 response from the return type
+  applyActionSignature(operation, method, signature) {
+    if (!signature) return;
+    const pathParameters = new Map(operation.parameters
+      .filter(parameter => parameter.in === 'path')
+      .map(parameter => [parameter.name.split(/[:?=]/)[0].toLowerCase(), parameter]));
+    const form = { type: 'object', properties: {} };
+    const formRequired = [];
+    const docs = signature.docs || { params: {}, responses: {} };
+
+    (signature.parameters || []).forEach(parameter => {
+      const attribute = name => parameter.attributes.find(item => item.name === name);
+      const source = ['FromServices', 'FromBody', 'FromForm', 'FromHeader', 'FromRoute', 'FromQuery', 'AsParameters'].find(attribute);
+      const kind = this.csharpBindingKind(parameter.type);
+      const boundName = source && this.csharpAttributeArg(attribute(source), 'Name');
+      const name = boundName ? this.csharpString(boundName) : parameter.name;
+      const optional = parameter.type.endsWith('?') || parameter.defaultValue !== undefined;
+      const required = !!(attribute('Required') || attribute('BindRequired')) || (!!signature.minimal && !optional);
+      const describe = target => {
+        if (docs.params[parameter.name]) target.description = docs.params[parameter.name];
+        return target;
+      };
+      const schema = () => {
+        const result = this.applyDataAnnotations(this.csharpTypeToSchema(parameter.type.replace(/\?$/, '')), parameter.attributes);
+        const defaultValue = this.csharpLiteral(parameter.defaultValue);
+        if (defaultValue !== undefined && defaultValue !== null && !result.$ref) result.default = defaultValue;
+        return result;
+      };
+
+      if (source === 'FromServices' || (!source && (kind === 'service' || kind === 'unknown'))) return;
+
+      if (source === 'FromForm' || kind === 'file') {
+        if (kind === 'complex') {
+          this.csharpTypeProperties(parameter.type).forEach(property => {
+            form.properties[property.name] = property.schema;
+            if (property.required) formRequired.push(property.name);
+          });
+        } else {
+          form.properties[name] = describe(schema());
+          if (required) formRequired.push(name);
+        }
+        return;
+      }
+
+      if (source === 'FromHeader') {
+        operation.parameters.push(describe({ name, in: 'header', required, schema: schema() }));
+        return;
+      }
+
+      const pathParameter = pathParameters.get(name.toLowerCase());
+      if (source === 'FromRoute' || (!source && pathParameter)) {
+        if (pathParameter) {
+          // Keep route constraint facets (pattern, minimum, ...) the C# type does not express
+          const typed = schema();
+          describe(Object.assign(pathParameter, { schema: typed.$ref ? typed : { ...pathParameter.schema, ...typed } }));
+        }
+        return;
+      }
+
+      if (source === 'FromBody' || (!source && kind === 'complex' && ['post', 'put', 'patch'].includes(method))) {
+        operation.requestBody = describe({ required: !optional, content: { 'application/json': { schema: schema() } } });
+        return;
+      }
+
+      // [FromQuery] objects and [AsParameters] expand into one query parameter per property
+      if (kind === 'complex' || source === 'AsParameters') {
+        this.csharpTypeProperties(parameter.type).forEach(property => {
+          operation.parameters.push({ name: property.name, in: 'query', required: property.required, schema: property.schema });
+        });
+        return;
+      }
+
+      operation.parameters.push(describe({ name, in: 'query', required, schema: schema() }));
+    });
+
+    if (Object.keys(form.properties).length > 0) {
+      if (formRequired.length > 0) form.required = formRequired;
+      operation.requestBody = { required: true, content: { 'multipart/form-data': { schema: form } } };
+    }
+
+    const returnType = this.unwrapResultType(signature.returnType);
+    const returnSchema = returnType ? this.csharpTypeToSchema(returnType) : null;
+
+    // Declared metadata and Results<...> return types are combined with the TypedResults a handler returns,
+    // the declared entry winning when both describe the same status code
+    const declared = [...(signature.responses || []), ...this.resultTypeResponses(signature.returnType)];
+    this.typedResultsResponses(signature.body).forEach(response => {
+      if (!declared.some(existing => String(existing.status) === String(response.status))) declared.push(response);
+    });
+    if (declared.length > 0) {
+      // Like ApiExplorer, an action that declares only errors still succeeds with its return type
+      if (!declared.some(response => response.status >= 200 && response.status < 300)) declared.push({ status: 200 });
+      operation.responses = this.buildResponses(declared, returnSchema);
+    } else if (returnSchema) {
+      operation.responses['200'].content = { 'application/json': { schema: returnSchema } };
+    }
+
+    if (signature.docs) this.applyXmlDocs(operation, signature.docs);
+  }
+
+  // <summary> / <remarks> / <returns> / <response code="404"> -> operation text
+  applyXmlDocs(operation, docs) {
+    if (docs.summary) operation.summary = docs.summary;
+    if (docs.remarks) {
+      operation.description = [docs.remarks, operation.description].filter(Boolean).join('\n\n');
+    }
+
+    const success = Object.keys(operation.responses).find(code => /^2\d\d$/.test(code));
+    if (docs.returns && success) operation.responses[success].description = docs.returns;
+    Object.entries(docs.responses).forEach(([code, description]) => {
+      if (!operation.responses[code]) operation.responses[code] = {};
+      operation.responses[code].description = description;
+    });
+  }
+
+  // The /// block above the member whose declaration (or attribute list) starts at index
+  xmlDocComment(content, index) {
+    const lines = content.slice(0, content.lastIndexOf('\n', index - 1) + 1).split('\n');
+    lines.pop();
+
+    const doc = [];
+    for (let i = lines.length - 1; i >= 0; i--) {
+      const line = lines[i].trim();
+      if (line.startsWith('///')) doc.unshift(line.slice(3));
+      else if (line.startsWith('[') && doc.length === 0) continue;
+      else break;
+    }
+    return doc.length > 0 ? this.parseXmlDoc(doc.join('\n')) : null;
+  }
+
+  parseXmlDoc(text) {
+    const clean = value => value
+      .replace(/<see\s+(?:cref|langword|href)="(?:\w:)?([^"]*)"\s*\/>/g, (match, ref) => ref.split('.').pop())
+      .replace(/<(?:paramref|typeparamref)\s+name="([^"]*)"\s*\/>/g, '$1')
+      .replace(/<\/?para>|<br\s*\/?>/g, '\n\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&')
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n\n');
+    const tag = name => {
+      const match = text.match(new RegExp(`<${name}>([\\s\\S]*?)<\\/${name}>`));
+      return match ? clean(match[1]) || undefined : undefined;
+    };
+
+    const docs = { summary: tag('summary'), remarks: tag('remarks'), returns: tag('returns'), params: {}, responses: {} };
+    const paramRegex = /<param\s+name="([^"]+)"\s*>([\s\S]*?)<\/param>/g;
+    const responseRegex = /<response\s+code="(\d{3})"\s*>([\s\S]*?)<\/response>/g;
+    let match;
+    while ((match = paramRegex.exec(text)) !== null) docs.params[match[1]] = clean(match[2]);
+    while ((match = responseRegex.exec(text)) !== null) docs.responses[match[1]] = clean(match[2]);
+    return docs;
+  }
+
+  // [ProducesResponseType(typeof(UserDto), StatusCodes.Status201Created)], [ProducesResponseType<T>(200)], ...
+  attributeResponses(attributes) {
+    const responses = [];
+    const errorType = attributes.find(attribute => attribute.name === 'ProducesErrorResponseType');
+
+    attributes.forEach(attribute => {
+      if (attribute.name === 'ProducesDefaultResponseType') {
+        responses.push({ status: 'default', problem: true });
+        return;
+      }
+      if (attribute.name !== 'ProducesResponseType') return;
+
+      const positional = attribute.args.filter(arg => !/^\w+\s*=[^=]/.test(arg));
+      const typeArg = positional.find(arg => /^typeof\s*\(/.test(arg)) || this.csharpAttributeArg(attribute, 'Type');
+      const statusArg = positional.find(arg => !/^typeof\s*\(/.test(arg) && !/^@?"/.test(arg)) ||
+        this.csharpAttributeArg(attribute, 'StatusCode');
+      const contentType = positional.find(arg => /^@?"/.test(arg));
+      const type = attribute.typeArgs || (typeArg && typeArg.replace(/^typeof\s*\(\s*|\s*\)$/g, ''));
+      const status = statusArg ? this.csharpStatusCode(statusArg) : 200;
+      if (!status) return;
+
+      const response = { status };
+      if (type && type !== 'void') response.schema = this.csharpTypeToSchema(type);
+      else if (status >= 400) response.problem = errorType ? errorType.args[0].replace(/^typeof\s*\(\s*|\s*\)$/g, '') : true;
+      if (contentType) response.contentType = this.csharpString(contentType);
+      else if (/ProblemDetails$/.test(type || '')) response.contentType = 'application/problem+json';
+      responses.push(response);
+    });
+    return responses;
+  }
+
+  // .Produces<T>(201), .Produces(404), .ProducesProblem(500), .ProducesValidationProblem()
+  chainResponses(chain) {
+    const responses = [];
+    chain.forEach(call => {
+      const status = call.args[0] && !/^@?"/.test(call.args[0]) ? this.csharpStatusCode(call.args[0]) : null;
+      if (call.name === 'Produces') {
+        const typeArg = call.args.find(arg => /^typeof\s*\(/.test(arg));
+        const type = call.typeArgs || (typeArg && typeArg.replace(/^typeof\s*\(\s*|\s*\)$/g, ''));
+        const contentType = call.args.find(arg => /^@?"/.test(arg));
+        const response = { status: status || 200 };
+        if (type) response.schema = this.csharpTypeToSchema(type);
+        if (contentType) response.contentType = this.csharpString(contentType);
+        responses.push(response);
+      } else if (call.name === 'ProducesProblem') {
+        responses.push({ status: status || 500, problem: true });
+      } else if (call.name === 'ProducesValidationProblem') {
+        responses.push({ status: status || 400, problem: 'HttpValidationProblemDetails' });
+      }
+    });
+    return responses;
+  }
+
+  // Results<Ok<UserDto>, NotFound> / Task<Created<UserDto>> -> one response per result type
+  resultTypeResponses(typeText) {
+    if (!typeText) return [];
+    const type = typeText.trim();
+    const generic = type.match(/^([\w.]+)\s*<([\s\S]+)>$/);
+    const name = (generic ? generic[1] : type).split('.').pop();
+
+    if (generic && ['Task', 'ValueTask'].includes(name)) return this.resultTypeResponses(generic[2]);
+    if (generic && name === 'Results') {
+      return this.splitTopLevel(generic[2], ',', true)
+        .map(arg => this.typedResultResponse(arg))
+        .filter(Boolean);
+    }
+    const response = this.typedResultResponse(type);
+    return response ? [response] : [];
+  }
+
+  typedResultResponse(typeText) {
+    const generic = typeText.trim().match(/^([\w.]+)\s*(?:<([\s\S]+)>)?$/);
+    if (!generic) return null;
+    const name = generic[1].split('.').pop();
+    const typedResults = {
+      Ok: 200, JsonHttpResult: 200, Created: 201, CreatedAtRoute: 201, Accepted: 202, AcceptedAtRoute: 202,
+      NoContent: 204, RedirectHttpResult: 302, RedirectToRouteHttpResult: 302, BadRequest: 400,
+      UnauthorizedHttpResult: 401, ForbidHttpResult: 403, NotFound: 404, Conflict: 409, UnprocessableEntity: 422,
+      InternalServerError: 500, ValidationProblem: 400, ProblemHttpResult: 500,
+      ContentHttpResult: 200, FileContentHttpResult: 200, FileStreamHttpResult: 200, PhysicalFileHttpResult: 200,
+      PushStreamHttpResult: 200
+    };
+    if (!typedResults[name]) return null;
+
+    const response = { status: typedResults[name] };
+    if (generic[2]) response.schema = this.csharpTypeToSchema(generic[2]);
+    if (name === 'ValidationProblem') response.problem = 'HttpValidationProblemDetails';
+    if (name === 'ProblemHttpResult') response.problem = true;
+    if (name === 'ContentHttpResult') response.schema = { type: 'string' };
+    if (name === 'ContentHttpResult') response.contentType = 'text/plain';
+    if (/^(File|PhysicalFile|PushStream)/.test(name)) {
+      response.schema = { type: 'string', format: 'binary' };
+      response.contentType = 'application/octet-stream';
+    }
+    return response;
+  }
+
+  // return TypedResults.Ok(new UserDto(...)) / Results.NotFound() inside a handler body
+  typedResultsResponses(body) {
+    if (!body) return [];
+    const methods = {
+      Ok: 'Ok', Json: 'JsonHttpResult', Created: 'Created', CreatedAtRoute: 'CreatedAtRoute', Accepted: 'Accepted',
+      AcceptedAtRoute: 'AcceptedAtRoute', NoContent: 'NoContent', Redirect: 'RedirectHttpResult',
+      LocalRedirect: 'RedirectHttpResult', RedirectToRoute: 'RedirectToRouteHttpResult', BadRequest: 'BadRequest',
+      Unauthorized: 'UnauthorizedHttpResult', Forbid: 'ForbidHttpResult', NotFound: 'NotFound', Conflict: 'Conflict',
+      UnprocessableEntity: 'UnprocessableEntity', InternalServerError: 'InternalServerError',
+      ValidationProblem: 'ValidationProblem', Problem: 'ProblemHttpResult', Text: 'ContentHttpResult',
+      Content: 'ContentHttpResult', File: 'FileContentHttpResult', Bytes: 'FileContentHttpResult',
+      Stream: 'FileStreamHttpResult', PhysicalFile: 'PhysicalFileHttpResult'
+    };
+    const responses = [];
+    const callRegex = /\b(?:TypedResults|Results)\.(\w+)\s*(?:<([^>(]*)>)?\s*\(/g;
+    let match;
+
+    while ((match = callRegex.exec(body)) !== null) {
+      if (match[1] === 'StatusCode') {
+        const status = this.csharpStatusCode(this.extractBalanced(body, match.index + match[0].length - 1));
+        if (status) responses.push({ status });
+        continue;
+      }
+      if (!methods[match[1]]) continue;
+
+      // The payload type is only known for TypedResults.Ok<T>(...) or TypedResults.Ok(new T(...))
+      const args = this.splitTopLevel(this.extractBalanced(body, match.index + match[0].length - 1), ',', true);
+      const payload = ['Created', 'Accepted', 'CreatedAtRoute', 'AcceptedAtRoute'].includes(match[1]) ? args[args.length - 1] : args[0];
+      const created = payload && args.length > (['Created', 'Accepted'].includes(match[1]) ? 1 : 0) &&
+        payload.match(/^new\s+([\w.]+(?:\s*<[^(){}]*>)?)\s*[({]/);
+      const type = match[2] || (created && created[1]);
+      const response = this.typedResultResponse(type ? `${methods[match[1]]}<${type}>` : methods[match[1]]);
+      if (response) responses.push(response);
+    }
+    return responses;
+  }
+
+  buildResponses(declared, returnSchema) {
+    const responses = {};
+    const descriptions = {
+      200: 'Success', 201: 'Created', 202: 'Accepted', 204: 'No Content', 301: 'Moved Permanently', 302: 'Found',
+      304: 'Not Modified', 400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found',
+      405: 'Method Not Allowed', 409: 'Conflict', 410: 'Gone', 415: 'Unsupported Media Type',
+      422: 'Unprocessable Entity', 429: 'Too Many Requests', 500: 'Internal Server Error', 501: 'Not Implemented',
+      503: 'Service Unavailable', default: 'Error'
+    };
+
+    const order = status => (status === 'default' ? 1000 : Number(status));
+    [...declared].sort((a, b) => order(a.status) - order(b.status)).forEach(item => {
+      const code = String(item.status);
+      const response = responses[code] || { description: descriptions[code] || `Status ${code}` };
+      let schema = item.schema;
+      if (!schema && item.problem) schema = this.problemDetailsSchema(item.problem === true ? 'ProblemDetails' : item.problem);
+      if (!schema && code === '200' && returnSchema) schema = returnSchema;
+
+      if (schema) {
+        const contentType = item.contentType || (item.problem ? 'application/problem+json' : 'application/json');
+        response.content = { ...(response.content || {}), [contentType]: { schema } };
+      }
+      responses[code] = response;
+    });
+    return responses;
+  }
+
+  // RFC 7807 bodies; a ProblemDetails class declared in the project takes precedence
+  problemDetailsSchema(name = 'ProblemDetails') {
+    const declaration = this.getTypeIndex().get(name);
+    if (declaration && declaration.kind !== 'interface') return this.csharpTypeToSchema(name);
+
+    if (!this.schemas.ProblemDetails) {
+      this.schemas.ProblemDetails = {
+        type: 'object',
+        properties: {
+          type: { type: 'string', nullable: true },
+          title: { type: 'string', nullable: true },
+          status: { type: 'integer', format: 'int32', nullable: true },
+          detail: { type: 'string', nullable: true },
+          instance: { type: 'string', nullable: true }
+        },
+        additionalProperties: {}
+      };
+    }
+    if (name !== 'ValidationProblemDetails' && name !== 'HttpValidationProblemDetails') {
+      return { $ref: '#/components/schemas/ProblemDetails' };
+    }
+
+    if (!this.schemas[name]) {
+      this.schemas[name] = {
+        allOf: [
+          { $ref: '#/components/schemas/ProblemDetails' },
+          {
+            type: 'object',
+            properties: {
+              errors: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } }
+            }
+          }
+        ]
+      };
+    }
+    return { $ref: `#/components/schemas/${name}` };
+  }
+
+  // 201, StatusCodes.Status201Created, (int)HttpStatusCode.Created
+  csharpStatusCode(text) {
+    const value = (text || '').trim().replace(/^\(int\)\s*/, '');
+    const numeric = value.match(/^(?:StatusCodes\.Status)?(\d{3})\w*$/);
+    if (numeric) return Number(numeric[1]);
+
+    const named = value.match(/HttpStatusCode\.(\w+)$/);
+    const codes = {
+      OK: 200, Created: 201, Accepted: 202, NoContent: 204, MovedPermanently: 301, Found: 302, Redirect: 302,
+      NotModified: 304, BadRequest: 400, Unauthorized: 401, Forbidden: 403, NotFound: 404, MethodNotAllowed: 405,
+      Conflict: 409, Gone: 410, UnsupportedMediaType: 415, UnprocessableEntity: 422, UnprocessableContent: 422,
+      TooManyRequests: 429, InternalServerError: 500, NotImplemented: 501, ServiceUnavailable: 503
+    };
+    return named && codes[named[1]] ? codes[named[1]] : null;
+  }
+
+  // .WithName("x").Produces<T>(201) after a Map call -> [{ name, typeArgs, args }]
+  readMethodChain(content, index) {
+    const chain = [];
+    const callRegex = /^\s*\.\s*(\w+)\s*(<[^()]*?>)?\s*\(/;
+    let rest = content.slice(index);
+    let match;
+
+    while ((match = rest.match(callRegex)) !== null) {
+      const args = this.extractBalanced(rest, match[0].length - 1);
+      chain.push({
+        name: match[1],
+        typeArgs: match[2] ? match[2].slice(1, -1).trim() : null,
+        args: this.splitTopLevel(args, ',', true)
+      });
+      rest = rest.slice(match[0].length + args.length + 1);
+    }
+    return chain;
+  }
+
+  // Handler passed to MapGet/MapPost: a lambda with typed parameters or a method group
+  parseMinimalHandler(handler, content) {
+    let text = handler.trim();
+    while (text.startsWith('[')) {
+      text = text.slice(this.extractBalanced(text, 0).length + 2).trim();
+    }
+    text = text.replace(/^(?:(?:static|async)\s+)*/, '');
+
+    if (/^[\w.]+$/.test(text)) {
+      return this.findCsharpMethod(text, content);
+    }
+
+    const lambda = text.match(/^([\w.<>,[\]?\s]*?)\s*\(/);
+    if (!lambda) return { returnType: null, parameters: [], body: text, minimal: true };
+    const parameters = this.extractBalanced(text, lambda[0].length - 1);
+    return {
+      returnType: lambda[1] || null,
+      parameters: this.parseCsharpParameters(parameters),
+      body: text.slice(lambda[0].length + parameters.length + 1),
+      minimal: true
+    };
+  }
+
+  findCsharpMethod(name, content) {
+    const parts = name.split('.');
+    const methodName = parts.pop();
+    const declaration = parts.length > 0 && this.getTypeIndex().get(parts[parts.length - 1]);
+    const source = declaration ? declaration.body : content;
+    const masked = this.maskCsharpLiterals(source);
+    const methodRegex = new RegExp(`([\\w.]+(?:\\s*<[^;{}()=]*>)?(?:\\[\\])*\\??)\\s+${methodName}\\s*\\(`, 'g');
+    let match;
+
+    while ((match = methodRegex.exec(masked)) !== null) {
+      if (['return', 'await', 'new', 'throw', 'else', 'yield', 'case', 'in', 'is', 'as'].includes(match[1])) continue;
+      const parameters = this.extractBalanced(masked, match.index + match[0].length - 1);
+      const bodyStart = match.index + match[0].length + parameters.length + 1;
+      const bodyOpen = masked.slice(bodyStart).search(/[{;]|=>/);
+      let body = '';
+      if (bodyOpen !== -1 && masked[bodyStart + bodyOpen] === '{') {
+        body = source.substr(bodyStart + bodyOpen + 1, this.extractBalanced(masked, bodyStart + bodyOpen).length);
+      } else if (bodyOpen !== -1 && masked[bodyStart + bodyOpen] === '=') {
+        const end = masked.indexOf(';', bodyStart + bodyOpen);
+        body = source.slice(bodyStart + bodyOpen + 2, end === -1 ? undefined : end);
+      }
+      return {
+        returnType: match[1],
+        parameters: this.parseCsharpParameters(source.substr(match.index + match[0].length, parameters.length)),
+        body,
+        docs: this.xmlDocComment(source, match.index),
+        minimal: true
+      };
+    }
+    return { returnType: null, parameters: [], minimal: true };
+  }
+
+  // "[FromBody] CreateUserDto dto, [FromQuery] int page = 1" -> [{ attributes, type, name, defaultValue }]
+  parseCsharpParameters(text) {
+    return this.splitTopLevel(text || '', ',', true).map(part => {
+      let rest = part.trim();
+      let attributeText = '';
+      while (rest.startsWith('[')) {
+        const inner = this.extractBalanced(rest, 0);
+        attributeText += `[${inner}]`;
+        rest = rest.slice(inner.length + 2).trim();
+      }
+      rest = rest.replace(/^(?:(?:this|ref|out|in|params|scoped)\s+)*/, '');
+
+      const [declaration, ...defaults] = this.splitTopLevel(rest, '=', true);
+      const match = (declaration || '').match(/^([\s\S]+?)\s+(@?\w+)$/);
+      if (!match) return null;
+      return {
+        attributes: this.parseCsharpAttributes(attributeText),
+        type: match[1].replace(/\s+/g, ' ').trim(),
+        name: match[2].replace(/^@/, ''),
+        defaultValue: defaults.length > 0 ? defaults.join('=').trim() : undefined
+      };
+    }).filter(Boolean);
+  }
+
+  // "[Required, StringLength(50, MinimumLength = 2)]" -> [{ name: 'Required', args: [] }, { name: 'StringLength', args: [...] }]
+  parseCsharpAttributes(text) {
+    const attributes = [];
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] !== '[') continue;
+      const inner = this.extractBalanced(text, i);
+      i += inner.length + 1;
+
+      this.splitTopLevel(inner, ',', true).forEach(entry => {
+        const match = entry.match(/^(?:\w+\s*:\s*)?([\w.]+?)(?:Attribute)?\s*(?:<([\s\S]+)>)?\s*(?:\(([\s\S]*)\))?$/);
+        if (!match) return;
+        attributes.push({
+          name: match[1].split('.').pop(),
+          typeArgs: match[2] ? match[2].trim() : null,
+          args: this.splitTopLevel(match[3] || '', ',')
+        });
+      });
+    }
+    return attributes;
+  }
+
+  csharpAttributeArg(attribute, name) {
+    const named = attribute.args.map(arg => arg.match(new RegExp(`^${name}\\s*=\\s*([\\s\\S]+)$`))).find(Boolean);
+    return named ? named[1].trim() : undefined;
+  }
+
+  csharpString(text) {
+    const value = (text || '').trim();
+    if (/^@"/.test(value)) return value.slice(2, -1).replace(/""/g, '"');
+    if (/^"/.test(value)) {
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return value.slice(1, -1);
+      }
+    }
+    return value;
+  }
+
+  csharpLiteral(text) {
+    if (text === undefined) return undefined;
+    const value = text.trim();
+    if (/^@?"/.test(value)) return this.csharpString(value);
+    if (/^-?\d[\d_]*(\.\d+)?[dDfFmMlLuU]*$/.test(value)) return Number(value.replace(/[_dDfFmMlLuU]/g, ''));
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (value === 'null' || value === 'default') return null;
+    return undefined;
+  }
+
+  // [Required] / [StringLength] / [Range] / ... on properties and parameters
+  applyDataAnnotations(schema, attributes) {
+    const constraints = {};
+    const number = value => Number(this.csharpString(String(value)).replace(/[_dDfFmMlLuU]+$/g, ''));
+    const isArray = schema.type === 'array';
+
+    attributes.forEach(attribute => {
+      const args = attribute.args.filter(arg => !/^\w+\s*=[^=]/.test(arg));
+      switch (attribute.name) {
+        case 'StringLength': {
+          constraints.maxLength = number(args[0]);
+          const minimum = this.csharpAttributeArg(attribute, 'MinimumLength');
+          if (minimum !== undefined) constraints.minLength = number(minimum);
+          break;
+        }
+        case 'MaxLength':
+          if (args[0] !== undefined) constraints[isArray ? 'maxItems' : 'maxLength'] = number(args[0]);
+          break;
+        case 'MinLength':
+          constraints[isArray ? 'minItems' : 'minLength'] = number(args[0]);
+          break;
+        case 'Length':
+          constraints[isArray ? 'minItems' : 'minLength'] = number(args[0]);
+          constraints[isArray ? 'maxItems' : 'maxLength'] = number(args[1]);
+          break;
+        case 'Range': {
+          // [Range(typeof(decimal), "0.01", "100")] passes the bounds as strings
+          const bounds = /^typeof\s*\(/.test(args[0] || '') ? args.slice(1) : args;
+          const [minimum, maximum] = bounds.map(number);
+          if (!Number.isNaN(minimum)) constraints.minimum = minimum;
+          if (!Number.isNaN(maximum)) constraints.maximum = maximum;
+          if (this.csharpAttributeArg(attribute, 'MinimumIsExclusive') === 'true') constraints.exclusiveMinimum = true;
+          if (this.csharpAttributeArg(attribute, 'MaximumIsExclusive') === 'true') constraints.exclusiveMaximum = true;
+          break;
+        }
+        case 'RegularExpression':
+          constraints.pattern = this.csharpString(args[0]);
+          break;
+        case 'EmailAddress':
+          constraints.format = 'email';
+          break;
+        case 'Url':
+          constraints.format = 'uri';
+          break;
+        case 'Base64String':
+          constraints.format = 'byte';
+          break;
+        case 'DefaultValue': {
+          const value = this.csharpLiteral(args[0]);
+          if (value !== undefined) constraints.default = value;
+          break;
+        }
+        case 'Description':
+          constraints.description = this.csharpString(args[0]);
+          break;
+        case 'Obsolete':
+          constraints.deprecated = true;
+          break;
+      }
+    });
+
+    Object.keys(constraints).forEach(key => {
+      if (typeof constraints[key] === 'number' && Number.isNaN(constraints[key])) delete constraints[key];
+    });
+    if (Object.keys(constraints).length === 0) return schema;
+    if (schema.$ref) return { allOf: [schema], ...constraints };
+    return { ...schema, ...constraints };
+  }
+
+  // C# type name -> OpenAPI schema, registering project classes, records and enums in components.schemas
+  csharpTypeToSchema(typeText, generics = {}) {
+    const type = (typeText || '').trim().replace(/^global::/, '');
+    if (!type) return {};
+
+    if (type.endsWith('?')) {
+      const schema = this.csharpTypeToSchema(type.slice(0, -1), generics);
+      return schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true };
+    }
+    if (type.endsWith('[]')) {
+      const item = type.slice(0, -2).trim();
+      if (item === 'byte') return { type: 'string', format: 'byte' };
+      return { type: 'array', items: this.csharpTypeToSchema(item, generics) };
+    }
+    if (generics[type]) return generics[type].schema;
+
+    const generic = type.match(/^([\w.]+)\s*<([\s\S]+)>$/);
+    const name = (generic ? generic[1] : type).split('.').pop();
+    const args = generic ? this.splitTopLevel(generic[2], ',', true) : [];
+
+    if (name === 'Nullable' && args.length === 1) {
+      return { ...this.csharpTypeToSchema(args[0], generics), nullable: true };
+    }
+    const collections = ['List', 'IList', 'IEnumerable', 'ICollection', 'IReadOnlyList', 'IReadOnlyCollection',
+      'Collection', 'ReadOnlyCollection', 'IAsyncEnumerable', 'IQueryable', 'ImmutableArray', 'ImmutableList',
+      'HashSet', 'ISet', 'IReadOnlySet', 'SortedSet'];
+    if (collections.includes(name) && args.length === 1) {
+      const schema = { type: 'array', items: this.csharpTypeToSchema(args[0], generics) };
+      if (/Set$/.test(name)) schema.uniqueItems = true;
+      return schema;
+    }
+    const dictionaries = ['Dictionary', 'IDictionary', 'IReadOnlyDictionary', 'ImmutableDictionary',
+      'ConcurrentDictionary', 'SortedDictionary'];
+    if (dictionaries.includes(name) && args.length === 2) {
+      return { type: 'object', additionalProperties: this.csharpTypeToSchema(args[1], generics) };
+    }
+
+    const primitive = !generic && this.csharpPrimitiveSchema(name);
+    if (primitive) return primitive;
+
+    const declaration = this.getTypeIndex().get(name);
+    if (declaration && declaration.kind !== 'interface') {
+      return this.declarationSchemaRef(declaration, args, generics);
+    }
+    if (['ProblemDetails', 'ValidationProblemDetails', 'HttpValidationProblemDetails'].includes(name)) {
+      return this.problemDetailsSchema(name);
+    }
+    return { type: 'object' };
+  }
+
+  csharpPrimitiveSchema(name) {
+    const int32 = { type: 'integer', format: 'int32' };
+    const int64 = { type: 'integer', format: 'int64' };
+    const primitives = {
+      string: { type: 'string' }, String: { type: 'string' }, char: { type: 'string' }, Char: { type: 'string' },
+      bool: { type: 'boolean' }, Boolean: { type: 'boolean' },
+      byte: int32, sbyte: int32, short: int32, ushort: int32, int: int32, uint: int32,
+      Byte: int32, SByte: int32, Int16: int32, UInt16: int32, Int32: int32, UInt32: int32,
+      long: int64, ulong: int64, Int64: int64, UInt64: int64,
+      float: { type: 'number', format: 'float' }, Single: { type: 'number', format: 'float' },
+      double: { type: 'number', format: 'double' }, Double: { type: 'number', format: 'double' },
+      decimal: { type: 'number', format: 'double' }, Decimal: { type: 'number', format: 'double' },
+      DateTime: { type: 'string', format: 'date-time' }, DateTimeOffset: { type: 'string', format: 'date-time' },
+      DateOnly: { type: 'string', format: 'date' }, TimeOnly: { type: 'string', format: 'time' },
+      TimeSpan: { type: 'string', example: '00:00:00' },
+      Guid: { type: 'string', format: 'uuid' }, Uri: { type: 'string', format: 'uri' },
+      IFormFile: { type: 'string', format: 'binary' },
+      IFormFileCollection: { type: 'array', items: { type: 'string', format: 'binary' } },
+      object: {}, dynamic: {}, JsonElement: {}, JsonNode: {}, JsonObject: { type: 'object' }, JObject: { type: 'object' }
+    };
+    return primitives[name] ? { ...primitives[name] } : null;
+  }
+
+  declarationSchemaRef(declaration, args, generics) {
+    if (declaration.kind === 'enum') {
+      if (!this.schemas[declaration.name]) {
+        const stringEnums = this.stringEnums || /JsonStringEnumConverter/.test(declaration.attributes);
+        this.schemas[declaration.name] = stringEnums
+          ? { type: 'string', enum: declaration.members.map(member => member.name) }
+          : { type: 'integer', format: 'int32', enum: declaration.members.map(member => member.value) };
+      }
+      return { $ref: `#/components/schemas/${declaration.name}` };
+    }
+
+    // PagedResult<UserDto> -> UserDtoPagedResult, the Swashbuckle naming
+    const schemaName = [...args.map(arg => this.csharpSchemaName(arg, generics)), declaration.name].join('');
+    if (!this.schemas[schemaName]) {
+      // Placeholder first so self-referencing types terminate
+      this.schemas[schemaName] = { type: 'object' };
+      const typeGenerics = {};
+      declaration.generics.forEach((param, index) => {
+        typeGenerics[param] = {
+          schema: args[index] ? this.csharpTypeToSchema(args[index], generics) : {},
+          name: args[index] ? this.csharpSchemaName(args[index], generics) : param
+        };
+      });
+      this.schemas[schemaName] = this.declarationToSchema(declaration, typeGenerics);
+    }
+    return { $ref: `#/components/schemas/${schemaName}` };
+  }
+
+  csharpSchemaName(typeText, generics = {}) {
+    const type = typeText.trim().replace(/\?$/, '');
+    if (generics[type]) return generics[type].name;
+    if (type.endsWith('[]')) return `${this.csharpSchemaName(type.slice(0, -2), generics)}Array`;
+    const generic = type.match(/^([\w.]+)\s*<([\s\S]+)>$/);
+    if (!generic) return type.split('.').pop().replace(/^\w/, char => char.toUpperCase());
+    return [...this.splitTopLevel(generic[2], ',', true).map(arg => this.csharpSchemaName(arg, generics)),
+      generic[1].split('.').pop()].join('');
+  }
+
+  declarationToSchema(declaration, generics = {}) {
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+    if (declaration.docs && declaration.docs.summary) schema.description = declaration.docs.summary;
+
+    this.csharpProperties(declaration).forEach(property => {
+      const attribute = name => property.attributes.find(item => item.name === name);
+      if (attribute('JsonIgnore')) return;
+
+      const jsonName = attribute('JsonPropertyName')
+        ? this.csharpString(attribute('JsonPropertyName').args[0])
+        : this.camelCase(property.name);
+      let propertySchema = this.applyDataAnnotations(this.csharpTypeToSchema(property.type, generics), property.attributes);
+      const defaultValue = this.csharpLiteral(property.defaultValue);
+      const extras = {};
+      if (property.readOnly) extras.readOnly = true;
+      if (defaultValue !== undefined && defaultValue !== null) extras.default = defaultValue;
+      if (property.docs && !propertySchema.description) extras.description = property.docs;
+      if (Object.keys(extras).length > 0) {
+        propertySchema = propertySchema.$ref ? { allOf: [propertySchema], ...extras } : { ...propertySchema, ...extras };
+      }
+
+      schema.properties[jsonName] = propertySchema;
+      if (property.required || attribute('Required')) required.push(jsonName);
+    });
+    if (required.length > 0) schema.required = required;
+
+    // Derived DTOs extend their base class
+    const index = this.getTypeIndex();
+    const baseType = declaration.bases.find(base => {
+      const baseDeclaration = index.get(base.replace(/<[\s\S]*$/, '').split('.').pop());
+      return baseDeclaration && baseDeclaration.kind !== 'interface' && baseDeclaration.kind !== 'enum';
+    });
+    if (baseType) {
+      return { allOf: [this.csharpTypeToSchema(baseType, generics), schema] };
+    }
+    return schema;
+  }
+
+  // Public instance properties (and positional record parameters) of a class, record or struct
+  csharpProperties(declaration) {
+    // Positional record parameters are documented with <param> on the record
+    const parameterDocs = (declaration.docs && declaration.docs.params) || {};
+    const properties = this.parseCsharpParameters(declaration.primaryParameters).map(parameter => ({
+      name: parameter.name,
+      type: parameter.type,
+      attributes: parameter.attributes,
+      defaultValue: parameter.defaultValue,
+      required: false,
+      readOnly: false,
+      docs: parameterDocs[parameter.name]
+    }));
+
+    const body = declaration.body;
+    const masked = this.maskCsharpLiterals(body);
+    const depths = this.braceDepths(masked);
+    const propertyRegex = /\bpublic\s+((?:(?:required|virtual|override|new|sealed|abstract)\s+)*)(?!(?:static|const|class|record|struct|enum|interface|event|delegate|readonly)\b)([\w.]+(?:\s*<[^;{}()=]*>)?(?:\s*\[\s*\])*\??)\s+(\w+)\s*(\{|=>)/g;
+    let match;
+
+    while ((match = propertyRegex.exec(masked)) !== null) {
+      if (depths[match.index] !== 0) continue;
+
+      let readOnly = match[4] === '=>';
+      let defaultValue;
+      if (match[4] === '{') {
+        const accessorStart = match.index + match[0].length - 1;
+        const accessors = this.extractBalanced(masked, accessorStart);
+        if (!/\bget\b/.test(accessors)) continue;
+        readOnly = !/\b(set|init)\b/.test(accessors);
+
+        const initializer = body.slice(accessorStart + accessors.length + 2).match(/^\s*=\s*([^;]+);/);
+        if (initializer) defaultValue = initializer[1].trim();
+      }
+
+      properties.push({
+        name: match[3],
+        type: match[2].replace(/\s+/g, ' ').trim(),
+        attributes: this.parseCsharpAttributes(this.precedingAttributes(masked, body, match.index)),
+        defaultValue,
+        required: /\brequired\b/.test(match[1]),
+        readOnly,
+        docs: (this.xmlDocComment(body, match.index) || {}).summary
+      });
+    }
+    return properties;
+  }
+
+  csharpTypeProperties(typeText) {
+    const name = typeText.replace(/\?$/, '').replace(/<[\s\S]*$/, '').split('.').pop();
+    const declaration = this.getTypeIndex().get(name);
+    if (!declaration) return [];
+
+    return this.csharpProperties(declaration)
+      .filter(property => !property.readOnly && !property.attributes.some(attribute => attribute.name === 'JsonIgnore'))
+      .map(property => ({
+        name: this.camelCase(property.name),
+        schema: this.applyDataAnnotations(this.csharpTypeToSchema(property.type.replace(/\?$/, '')), property.attributes),
+        required: property.required || property.attributes.some(attribute => attribute.name === 'Required')
+      }));
+  }
+
+  // Where a parameter comes from when it has no [From*] attribute
+  csharpBindingKind(typeText) {
+    const type = typeText.replace(/\?$/, '').trim();
+    const generic = type.match(/^([\w.]+)\s*<([\s\S]+)>$/);
+    const name = (generic ? generic[1] : type.replace(/\[\]$/, '')).split('.').pop();
+    const frameworkTypes = ['HttpContext', 'HttpRequest', 'HttpResponse', 'CancellationToken', 'ClaimsPrincipal',
+      'Stream', 'PipeReader', 'LinkGenerator', 'IServiceProvider', 'IConfiguration'];
+    const index = this.getTypeIndex();
+
+    if (name === 'IFormFile' || name === 'IFormFileCollection') return 'file';
+    if (frameworkTypes.includes(name) || this.serviceTypes.has(name)) return 'service';
+    if (generic && !['Nullable', 'List', 'IList', 'IEnumerable', 'ICollection', 'IReadOnlyList', 'HashSet'].includes(name)) {
+      return /^I[A-Z]/.test(name) ? 'service' : 'unknown';
+    }
+    if (generic || type.endsWith('[]')) {
+      return this.csharpBindingKind(generic ? generic[2] : type.slice(0, -2)) === 'simple' ? 'simple' : 'complex';
+    }
+    if (this.csharpPrimitiveSchema(name)) return 'simple';
+
+    const declaration = index.get(name);
+    if (!declaration) return /^I[A-Z]/.test(name) ? 'service' : 'unknown';
+    if (declaration.kind === 'enum') return 'simple';
+    if (declaration.kind === 'interface' || declaration.bases.some(base => /DbContext|Controller(Base)?$|Hub$/.test(base))) {
+      return 'service';
+    }
+    return 'complex';
+  }
+
+  // Task<ActionResult<UserDto>> -> UserDto; IActionResult / Task -> null
+  unwrapResultType(typeText) {
+    if (!typeText) return null;
+    const type = typeText.trim();
+    const generic = type.match(/^([\w.]+)\s*<([\s\S]+)>$/);
+    const name = (generic ? generic[1] : type).split('.').pop();
+
+    if (generic && ['Task', 'ValueTask', 'ActionResult', 'Ok', 'Created', 'CreatedAtRoute', 'Accepted', 'AcceptedAtRoute'].includes(name)) {
+      return this.unwrapResultType(generic[2]);
+    }
+    if (generic && name === 'Results') return null;
+    const untyped = ['void', 'Task', 'ValueTask', 'IActionResult', 'ActionResult', 'IResult', 'Ok', 'NoContent', 'NotFound',
+      'BadRequest', 'Created', 'Accepted', 'ViewResult', 'PartialViewResult', 'JsonResult', 'ContentResult',
+      'RedirectResult', 'RedirectToActionResult', 'FileResult', 'StatusCodeResult', 'EmptyResult', 'Delegate'];
+    if (!generic && untyped.includes(name)) return null;
+    return type;
+  }
+
+  // System.Text.Json's default camelCase policy: UserId -> userId, ID -> id, URLValue -> urlValue
+  camelCase(name) {
+    return name.replace(/^[A-Z]+(?![a-z])|^[A-Z]/, match => match.toLowerCase());
+  }
+
+  getTypeIndex() {
+    if (this.typeIndex) return this.typeIndex;
+    this.typeIndex = new Map();
+    this.serviceTypes = new Set();
+    this.stringEnums = false;
+
+    this.getCsFileList().forEach(file => {
+      let content;
+      try {
+        content = fs.readFileSync(file, 'utf8');
+      } catch (e) {
+        return;
+      }
+      const masked = this.maskCsharpLiterals(content);
+      this.indexCsharpDeclarations(content, masked, file);
+
+      // Types registered in DI are injected, never bound from the request
+      const serviceRegex = /\.(?:Add(?:Scoped|Singleton|Transient|HostedService)|AddDbContext\w*|AddHttpClient)\s*<\s*([\w.]+)(?:\s*,\s*([\w.]+))?\s*>/g;
+      let match;
+      while ((match = serviceRegex.exec(masked)) !== null) {
+        [match[1], match[2]].filter(Boolean).forEach(name => this.serviceTypes.add(name.split('.').pop()));
+      }
+      if (/new\s+JsonStringEnumConverter\b|Converters\.Add\s*\(\s*new\s+JsonStringEnumConverter/.test(masked)) {
+        this.stringEnums = true;
+      }
+    });
+    return this.typeIndex;
+  }
+
+  indexCsharpDeclarations(content, masked, filePath) {
+    const declarationRegex = /(^|[;{}\]])[ \t]*((?:(?:public|internal|private|protected|sealed|abstract|static|partial|readonly|file|unsafe|new)\s+)*)(class|record\s+struct|record\s+class|record|struct|interface|enum)\s+(\w+)\s*(<[^>{(;]*>)?/gm;
+    let match;
+
+    while ((match = declarationRegex.exec(masked)) !== null) {
+      const name = match[4];
+      let index = match.index + match[0].length;
+      while (/\s/.test(masked[index])) index++;
+
+      let primaryParameters = '';
+      if (masked[index] === '(') {
+        const parameters = this.extractBalanced(masked, index);
+        primaryParameters = content.substr(index + 1, parameters.length);
+        index += parameters.length + 2;
+      }
+
+      const terminator = masked.slice(index).search(/[{;]/);
+      if (terminator === -1) continue;
+      const header = masked.slice(index, index + terminator).replace(/\bwhere\b[\s\S]*$/, '');
+      const basesMatch = header.match(/^\s*:\s*([\s\S]+)$/);
+      const bases = basesMatch
+        ? this.splitTopLevel(basesMatch[1], ',', true).map(base => base.replace(/\([\s\S]*\)$/, '').trim())
+        : [];
+
+      let body = '';
+      const openIndex = index + terminator;
+      if (masked[openIndex] === '{') {
+        body = content.substr(openIndex + 1, this.extractBalanced(masked, openIndex).length);
+      }
+
+      const kind = match[3].startsWith('record') ? 'record' : match[3];
+      const declaration = {
+        kind,
+        name,
+        generics: match[5] ? match[5].slice(1, -1).split(',').map(param => param.trim().replace(/^(in|out)\s+/, '')) : [],
+        bases,
+        primaryParameters,
+        body,
+        attributes: this.precedingAttributes(masked, content, match.index + match[1].length),
+        docs: this.xmlDocComment(content, match.index + match[1].length),
+        filePath
+      };
+
+      if (kind === 'enum') {
+        let next = 0;
+        declaration.members = this.splitTopLevel(this.maskCsharpLiterals(body), ',').map(member => {
+          const enumMatch = member.replace(/^(\s*\[[^\]]*\])*/, '').trim().match(/^(\w+)(?:\s*=\s*(.+))?$/);
+          if (!enumMatch) return null;
+          const value = enumMatch[2] !== undefined ? Number(enumMatch[2]) : next;
+          next = (Number.isNaN(value) ? next : value) + 1;
+          return { name: enumMatch[1], value: Number.isNaN(value) ? enumMatch[2] : value };
+        }).filter(Boolean);
+      }
+
+      if (!this.typeIndex.has(name) || this.typeIndex.get(name).kind === 'interface') {
+        this.typeIndex.set(name, declaration);
+      }
+    }
+  }
+
+  // Attribute blocks written directly above the member that starts at index
+  precedingAttributes(masked, content, index) {
+    let start = index;
+    let cursor = index - 1;
+    while (cursor >= 0) {
+      while (cursor >= 0 && /\s/.test(masked[cursor])) cursor--;
+      if (masked[cursor] !== ']') break;
+
+      let depth = 0;
+      for (; cursor >= 0; cursor--) {
+        if (masked[cursor] === ']') depth++;
+        else if (masked[cursor] === '[' && --depth === 0) break;
+      }
+      if (cursor < 0) break;
+      start = cursor;
+      cursor--;
+    }
+    return content.slice(start, index);
+  }
+
+  // Blanks out comments and string/char literals without moving any offsets
+  maskCsharpLiterals(text) {
+    return text.replace(/\/\/.*$|\/\*[\s\S]*?\*\/|(?:\$@|@\$?)"(?:[^"]|"")*"|\$?"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)+'/gm,
+      literal => literal.replace(/[^\n]/g, ' '));
+  }
+
+  braceDepths(text) {
+    const depths = new Array(text.length);
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '}') depth--;
+      depths[i] = depth;
+      if (text[i] === '{') depth++;
+    }
+    return depths;
+  }
+
+  findCsFiles(dir) {
+    return this.findFiles(dir, '.cs');
+  }
+
+  findFiles(dir, extension) {
+    const files = [];
+    const skip = ['node_modules', 'bin', 'obj', 'packages', 'TestResults'];
+
+    const traverse = (current) => {
+      try {
+        const items = fs.readdirSync(current, { withFileTypes: true });
+        for (const item of items) {
+          const fullPath = path.join(current, item.name);
+          if (item.isDirectory() && !item.name.startsWith('.') && !skip.includes(item.name)) {
+            traverse(fullPath);
+          } else if (item.isFile() && item.name.endsWith(extension)) {
+            files.push(fullPath);
+          }
+        }
+      } catch (e) {
+        // Skip directories we can't read
+      }
+    };
+
+    traverse(dir);
+    return files;
+  }
+
+  // Bracket and separator scanning is shared with the universal generator through source-text.js
+  extractBalanced(content, openIndex) {
+    return extractBalanced(content, openIndex);
+  }
+
+  splitTopLevel(text, separator, angleBrackets = false) {
+    return splitTopLevel(text, separator, angleBrackets);
+  }
+
   save(outputPath = './swagger-output.json') {
-    const spec = this.generate();
+    const documents = this.generate();
     
     process.chdir(this.originalCwd);
     
-    if (!spec) {
+    if (!documents) {
       return null;
     }
     
-    fs.writeFileSync(outputPath, JSON.stringify(spec, null, 2));
-    console.log(`✅ OpenAPI spec generated: ${outputPath}`);
-    console.log(`📊 Found ${Object.keys(spec.paths).length} endpoints`);
-    return spec;
+    const errors = documents.reduce((count, document) => count + document.validation.errors.length, 0);
+    const warnings = documents.reduce((count, document) => count + document.validation.warnings.length, 0);
+    if (this.options.strict && errors + warnings > 0) {
+      console.error(`❌ Strict mode: ${errors} errors and ${warnings} warnings, spec not written`);
+      return null;
+    }
+    
+    // An explicit --format wins; otherwise a *.yaml / *.yml output name selects YAML
+    const format = this.options.format || (/\.ya?ml$/i.test(outputPath) ? 'yaml' : 'json');
+    let output = null;
+    
+    documents.forEach(document => {
+      // The spec is built and validated as OpenAPI 3.x; Swagger 2.0 is derived from it
+      output = this.options.openapi === '2.0' ? this.output.convertToSwagger2(document.spec) : document.spec;
+      const documentPath = this.documentOutputPath(outputPath, document);
+      
+      fs.writeFileSync(documentPath, format === 'yaml' ? this.output.toYaml(output) : JSON.stringify(output, null, 2));
+      console.log(`✅ ${output.swagger ? 'Swagger ' + output.swagger : 'OpenAPI ' + output.openapi} spec generated: ${documentPath}`);
+      console.log(`📊 Found ${Object.keys(output.paths).length} endpoints`);
+    });
+    return output;
+  }
+
+  // swagger.json -> swagger.Api.json, swagger.v1.json, swagger.Api.v2.json, ...
+  documentOutputPath(outputPath, document) {
+    const multipleProjects = new Set(this.documents.map(item => item.project)).size > 1;
+    const suffixes = [
+      multipleProjects ? document.project : null,
+      document.version ? `v${this.formatApiVersion(document.version)}` : null
+    ].filter(Boolean);
+    if (suffixes.length === 0) return outputPath;
+
+    const parsed = path.parse(outputPath);
+    return path.join(parsed.dir, `${parsed.name}.${suffixes.join('.')}${parsed.ext}`);
   }
 }
 
 // Run if called directly
 if (require.main === module) {
-  const projectPath = process.argv[2] || './';
-  let outputPath = process.argv[3];
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('--'));
+  const flag = name => {
+    const arg = args.find(item => item.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : undefined;
+  };
+  const options = {
+    strict: args.includes('--strict'),
+    format: flag('format'),
+    openapi: flag('openapi') || '3.0',
+    merge: args.includes('--merge')
+  };
+  const projectPath = positional[0] || './';
+  let outputPath = positional[1];
   
   console.log('🚀 .NET OpenAPI Generator');
-  console.log('Usage: node dotnet-openapi-generator.js [project-path] [output-file]');
+  console.log('Usage: node dotnet-openapi-generator.js [project-path] [output-file] [--strict] [--format=json|yaml] [--openapi=2.0|3.0|3.1] [--merge]');
   console.log('');
   
+  if ((options.format !== undefined && !['json', 'yaml'].includes(options.format)) || !['2.0', '3.0', '3.1'].includes(options.openapi)) {
+    console.error('❌ Error: --format must be json or yaml, --openapi must be 2.0, 3.0 or 3.1');
+    process.exit(1);
+  }
+  
   try {
-    const generator = new DotNetOpenAPIGenerator(projectPath);
+    const generator = new DotNetOpenAPIGenerator(projectPath, options);
     
     if (!outputPath) {
       const projectName = path.basename(path.resolve(projectPath));
       const today = new Date().toISOString().split('T')[0];
-      outputPath = `./swagger-output-${projectName}-dotnet-${today}.json`;
+      outputPath = `./swagger-output-${projectName}-dotnet-${today}.${options.format || 'json'}`;
     }
     
     const result = generator.save(outputPath);
@@ -0,0 +1,12 @@
+const express = require('express');
+const auth = require('./routes/auth');
+const usersRouter = require('./routes/users');
+
+const app = express();
+app.use(express.json());
+
+app.get('/health', (req, res) => res.json({ ok: true }));
+app.use('/api/v2/auth', auth);
+app.use('/api/v2/users', usersRouter);
+
+app.listen(3000);
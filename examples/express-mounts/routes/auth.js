@@ -0,0 +1,9 @@
+const express = require('express');
+
+const router = express.Router();
+
+router.post('/login', (req, res) => {
+  res.json({ token: 'token' });
+});
+
+module.exports = router;
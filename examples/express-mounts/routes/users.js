@@ -0,0 +1,24 @@
+const express = require('express');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json([]);
+});
+
+/**
+ * @openapi
+ * /users/{id}:
+ *   get:
+ *     summary: Get a user by id
+ *     tags: [Users]
+ */
+router.get('/:id', (req, res) => {
+  res.json({ id: req.params.id });
+});
+
+router.post('/', (req, res) => {
+  res.status(201).json(req.body);
+});
+
+module.exports = router;
@@ -0,0 +1,630 @@
+// OpenAPI output shared by both generators: the 3.0 / 3.1 compliance pass,
+// the Swagger 2.0 conversion and the YAML serializer.
+class OpenApiOutput {
+  // host, basePath and schemes are the fallback when a spec has no parseable server URL
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  // OpenAPI 3.0 / 3.1 compliance pass. Repairs what can be fixed in place and
+  // reports everything else as structured errors and warnings.
+  validateSpec(spec) {
+    const report = { errors: [], warnings: [], repairs: [] };
+    const error = (location, message) => report.errors.push({ location, message });
+    const warn = (location, message) => report.warnings.push({ location, message });
+    const repair = (location, message) => report.repairs.push({ location, message });
+
+    const version = String(spec.openapi || '');
+    const is31 = version.startsWith('3.1');
+    if (!/^3\.[01]\.\d+$/.test(version)) {
+      error('openapi', `Unsupported OpenAPI version "${version}"`);
+    }
+
+    if (!spec.info || typeof spec.info !== 'object') spec.info = {};
+    [['title', 'API Documentation'], ['version', '1.0.0']].forEach(([field, fallback]) => {
+      if (spec.info[field] === undefined || spec.info[field] === '') {
+        spec.info[field] = fallback;
+        repair(`info.${field}`, `Added missing info.${field}`);
+      } else if (typeof spec.info[field] !== 'string') {
+        spec.info[field] = String(spec.info[field]);
+        repair(`info.${field}`, `Converted info.${field} to a string`);
+      }
+    });
+
+    if (!spec.paths || typeof spec.paths !== 'object') {
+      spec.paths = {};
+      repair('paths', 'Added missing paths object');
+    }
+    this.normalizePathTemplates(spec, repair);
+
+    const httpMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+    const operations = [];
+    Object.entries(spec.paths).forEach(([routePath, item]) => {
+      httpMethods.forEach(method => {
+        if (item[method]) operations.push({ routePath, method, item, operation: item[method] });
+      });
+    });
+
+    operations.forEach(({ routePath, method, item, operation }) => {
+      const location = `paths.${routePath}.${method}`;
+      this.validateParameters(routePath, method, item, operation, location, { error, warn, repair });
+      this.validateResponses(operation, location, { error, repair });
+
+      if (operation.requestBody) {
+        if (!operation.requestBody.content && !operation.requestBody.$ref) {
+          operation.requestBody.content = { 'application/json': { schema: { type: 'object' } } };
+          repair(`${location}.requestBody`, 'Added missing requestBody content');
+        }
+        if (['get', 'head', 'delete'].includes(method)) {
+          warn(`${location}.requestBody`, `${method.toUpperCase()} operations should not have a request body`);
+        }
+      }
+
+      if (typeof operation.tags === 'string') {
+        operation.tags = [operation.tags];
+        repair(`${location}.tags`, 'Converted tags to an array');
+      }
+
+      const schemes = (spec.components && spec.components.securitySchemes) || {};
+      (operation.security || []).forEach(requirement => {
+        Object.keys(requirement).forEach(name => {
+          if (!schemes[name]) error(`${location}.security`, `Security scheme "${name}" is not defined in components.securitySchemes`);
+        });
+      });
+    });
+
+    this.assignOperationIds(operations, repair);
+    this.validateSchemas(spec, is31, { error, warn, repair });
+    this.validateReferences(spec, error);
+
+    return report;
+  }
+
+  // Express ':id', ASP.NET '{id:int}' / '{id?}' / '{**slug}' and relative keys become OpenAPI templates
+  normalizePathTemplates(spec, repair) {
+    const normalized = {};
+    Object.entries(spec.paths).forEach(([routePath, item]) => {
+      let fixed = routePath
+        .replace(/\{\*{0,2}([A-Za-z_]\w*)(?::[^{}=]*(?:\{[^}]*\}[^{}=]*)*)?(?:=[^{}]*)?\??\}/g, '{$1}')
+        .replace(/(^|\/):([A-Za-z_]\w*)\??/g, '$1{$2}');
+      if (!fixed.startsWith('/')) fixed = '/' + fixed.replace(/^\.?\/*/, '');
+      fixed = fixed.replace(/\/{2,}/g, '/');
+
+      if (fixed !== routePath) {
+        repair(`paths.${routePath}`, 'Rewrote path into an OpenAPI path template');
+      }
+      if (normalized[fixed]) {
+        Object.assign(normalized[fixed], item);
+        repair(`paths.${fixed}`, 'Merged duplicate path templates');
+      } else {
+        normalized[fixed] = item;
+      }
+    });
+    spec.paths = normalized;
+  }
+
+  validateParameters(routePath, method, item, operation, location, { error, warn, repair }) {
+    if (operation.parameters && !Array.isArray(operation.parameters)) {
+      operation.parameters = [];
+      repair(`${location}.parameters`, 'Replaced invalid parameters with an empty list');
+    }
+    let parameters = operation.parameters || [];
+
+    // Swagger 2.0 body / formData parameters become a requestBody
+    const body = parameters.find(param => param.in === 'body');
+    const formData = parameters.filter(param => param.in === 'formData');
+    if (body && !operation.requestBody) {
+      operation.requestBody = {
+        required: body.required !== false,
+        content: { 'application/json': { schema: body.schema || { type: 'object' } } }
+      };
+    }
+    if (formData.length > 0 && !operation.requestBody) {
+      const schema = { type: 'object', properties: {} };
+      formData.forEach(param => {
+        schema.properties[param.name] = param.schema || (param.type ? { type: param.type } : { type: 'string' });
+      });
+      const required = formData.filter(param => param.required).map(param => param.name);
+      if (required.length > 0) schema.required = required;
+      operation.requestBody = { content: { 'multipart/form-data': { schema } } };
+    }
+    if (body || formData.length > 0) {
+      parameters = parameters.filter(param => param.in !== 'body' && param.in !== 'formData');
+      repair(`${location}.parameters`, 'Converted Swagger 2.0 body/formData parameters to requestBody');
+    }
+
+    const templateNames = (routePath.match(/\{([^}]+)\}/g) || []).map(name => name.slice(1, -1));
+    const seen = new Set();
+    parameters = parameters.filter(param => {
+      if (param.$ref) return true;
+      if (!param.name || !param.in) {
+        error(`${location}.parameters`, 'Parameter is missing "name" or "in"');
+        return true;
+      }
+      if (!['query', 'header', 'path', 'cookie'].includes(param.in)) {
+        error(`${location}.parameters.${param.name}`, `Invalid parameter location "${param.in}"`);
+        return true;
+      }
+
+      const key = `${param.in}:${param.name}`;
+      if (seen.has(key)) {
+        repair(`${location}.parameters.${param.name}`, 'Removed duplicate parameter');
+        return false;
+      }
+      seen.add(key);
+
+      if (param.in === 'path' && !templateNames.includes(param.name)) {
+        repair(`${location}.parameters.${param.name}`, 'Removed path parameter missing from the path template');
+        return false;
+      }
+      if (param.in === 'path' && param.required !== true) {
+        param.required = true;
+        repair(`${location}.parameters.${param.name}`, 'Marked path parameter as required');
+      }
+      if (!param.schema && !param.content) {
+        param.schema = param.type ? { type: param.type } : { type: 'string' };
+        delete param.type;
+        repair(`${location}.parameters.${param.name}`, 'Added missing parameter schema');
+      }
+      return true;
+    });
+
+    const pathLevel = (item.parameters || []).filter(param => param.in === 'path').map(param => param.name);
+    templateNames.forEach(name => {
+      if (!seen.has(`path:${name}`) && !pathLevel.includes(name)) {
+        parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+        repair(`${location}.parameters.${name}`, 'Added path parameter declared in the path template');
+      }
+    });
+
+    if (parameters.length > 0 || operation.parameters) operation.parameters = parameters;
+  }
+
+  validateResponses(operation, location, { error, repair }) {
+    if (!operation.responses || typeof operation.responses !== 'object' || Object.keys(operation.responses).length === 0) {
+      operation.responses = { '200': { description: 'Success' } };
+      repair(`${location}.responses`, 'Added a default 200 response');
+      return;
+    }
+
+    Object.entries(operation.responses).forEach(([code, response]) => {
+      if (!/^([1-5](\d\d|XX)|default)$/.test(code)) {
+        error(`${location}.responses.${code}`, `Invalid response code "${code}"`);
+      }
+      if (response && !response.$ref && typeof response.description !== 'string') {
+        response.description = response.description ? String(response.description) : 'Response';
+        repair(`${location}.responses.${code}`, 'Added missing response description');
+      }
+    });
+  }
+
+  assignOperationIds(operations, repair) {
+    const used = new Set();
+    const unique = base => {
+      let candidate = base;
+      for (let i = 2; used.has(candidate); i++) candidate = `${base}${i}`;
+      used.add(candidate);
+      return candidate;
+    };
+
+    operations.forEach(({ routePath, method, operation }) => {
+      const location = `paths.${routePath}.${method}`;
+      if (operation.operationId && used.has(operation.operationId)) {
+        operation.operationId = unique(operation.operationId);
+        repair(`${location}.operationId`, 'Renamed duplicate operationId');
+      } else if (operation.operationId) {
+        used.add(operation.operationId);
+      }
+    });
+
+    operations.forEach(({ routePath, method, operation }) => {
+      if (operation.operationId) return;
+      const name = routePath.split('/').filter(Boolean).map(segment => {
+        const param = segment.match(/^\{(.+)\}$/);
+        const words = (param ? `by ${param[1]}` : segment).split(/[^A-Za-z0-9]+/).filter(Boolean);
+        return words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+      }).join('');
+      operation.operationId = unique(`${method}${name || 'Root'}`);
+      repair(`paths.${routePath}.${method}.operationId`, 'Generated missing operationId');
+    });
+  }
+
+  validateSchemas(spec, is31, { error, warn, repair }) {
+    const visit = (schema, location) => {
+      if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return;
+
+      // OpenAPI 3.0 ignores keywords next to $ref
+      const siblings = Object.keys(schema).filter(key => key !== '$ref' && key !== 'description');
+      if (schema.$ref && siblings.length > 0 && !is31) {
+        const ref = schema.$ref;
+        delete schema.$ref;
+        schema.allOf = [{ $ref: ref }, ...(schema.allOf || [])];
+        repair(location, 'Moved $ref with sibling keywords into allOf');
+      }
+
+      if (is31) {
+        if (schema.nullable !== undefined) {
+          const nullable = schema.nullable === true;
+          if (nullable && typeof schema.type === 'string') {
+            schema.type = [schema.type, 'null'];
+          }
+          delete schema.nullable;
+          if (nullable && !schema.type) {
+            // $ref / allOf schemas have no type to extend, so null becomes an alternative
+            const alternative = {};
+            Object.keys(schema).filter(key => key !== 'description').forEach(key => {
+              alternative[key] = schema[key];
+              delete schema[key];
+            });
+            const keys = Object.keys(alternative);
+            schema.anyOf = [keys.length === 1 && alternative.allOf && alternative.allOf.length === 1 ? alternative.allOf[0] : alternative, { type: 'null' }];
+          }
+          repair(location, 'Replaced nullable with a null type for OpenAPI 3.1');
+        }
+        ['Minimum', 'Maximum'].forEach(bound => {
+          const key = `exclusive${bound}`;
+          const limit = bound.toLowerCase();
+          if (typeof schema[key] === 'boolean') {
+            if (schema[key] && schema[limit] !== undefined) {
+              schema[key] = schema[limit];
+              delete schema[limit];
+            } else {
+              delete schema[key];
+            }
+            repair(location, `Converted boolean ${key} to a number for OpenAPI 3.1`);
+          }
+        });
+      } else {
+        if (Array.isArray(schema.type)) {
+          const types = schema.type.filter(type => type !== 'null');
+          if (types.length === 1) {
+            if (types.length < schema.type.length) schema.nullable = true;
+            schema.type = types[0];
+            repair(location, 'Replaced type array with a single type for OpenAPI 3.0');
+          } else {
+            error(location, 'OpenAPI 3.0 does not allow multiple types on a schema');
+          }
+        }
+        ['Minimum', 'Maximum'].forEach(bound => {
+          const key = `exclusive${bound}`;
+          if (typeof schema[key] === 'number') {
+            schema[bound.toLowerCase()] = schema[key];
+            schema[key] = true;
+            repair(location, `Converted numeric ${key} to a boolean for OpenAPI 3.0`);
+          }
+        });
+      }
+
+      if (Array.isArray(schema.required) && schema.required.length === 0) {
+        delete schema.required;
+        repair(location, 'Removed empty required list');
+      } else if (schema.required !== undefined && !Array.isArray(schema.required)) {
+        error(location, 'Schema "required" must be an array of property names');
+      }
+      if (schema.type === 'array' && !schema.items) {
+        schema.items = {};
+        repair(location, 'Added missing items to array schema');
+      }
+      if (schema.type && ![].concat(schema.type).every(type => ['string', 'number', 'integer', 'boolean', 'array', 'object', 'null'].includes(type))) {
+        warn(location, `Unknown schema type "${schema.type}"`);
+      }
+
+      Object.entries(schema.properties || {}).forEach(([name, property]) => visit(property, `${location}.properties.${name}`));
+      ['items', 'not'].forEach(key => visit(schema[key], `${location}.${key}`));
+      if (typeof schema.additionalProperties === 'object') visit(schema.additionalProperties, `${location}.additionalProperties`);
+      ['allOf', 'oneOf', 'anyOf'].forEach(key => {
+        (schema[key] || []).forEach((child, index) => visit(child, `${location}.${key}.${index}`));
+      });
+    };
+
+    const visitContent = (content, location) => {
+      Object.entries(content || {}).forEach(([mediaType, media]) => visit(media && media.schema, `${location}.content.${mediaType}.schema`));
+    };
+
+    Object.entries((spec.components && spec.components.schemas) || {}).forEach(([name, schema]) => {
+      visit(schema, `components.schemas.${name}`);
+    });
+    Object.entries(spec.paths).forEach(([routePath, item]) => {
+      Object.entries(item).forEach(([method, operation]) => {
+        if (!operation || typeof operation !== 'object' || Array.isArray(operation)) return;
+        const location = `paths.${routePath}.${method}`;
+        (operation.parameters || []).forEach(param => visit(param.schema, `${location}.parameters.${param.name}.schema`));
+        if (operation.requestBody) visitContent(operation.requestBody.content, `${location}.requestBody`);
+        Object.entries(operation.responses || {}).forEach(([code, response]) => {
+          if (response) visitContent(response.content, `${location}.responses.${code}`);
+        });
+      });
+    });
+  }
+
+  validateReferences(spec, error) {
+    const resolve = ref => ref.substring(2).split('/').reduce((node, token) => {
+      const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+      return node && typeof node === 'object' ? node[key] : undefined;
+    }, spec);
+
+    const walk = (node, location) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) {
+        node.forEach((child, index) => walk(child, `${location}.${index}`));
+        return;
+      }
+      if (typeof node.$ref === 'string' && node.$ref.startsWith('#/') && resolve(node.$ref) === undefined) {
+        error(location, `$ref "${node.$ref}" does not resolve`);
+      }
+      Object.entries(node).forEach(([key, child]) => walk(child, location ? `${location}.${key}` : key));
+    };
+    walk(spec, '');
+  }
+
+  printValidationReport(report, version) {
+    console.log(`🩺 OpenAPI ${version} compliance: ${report.repairs.length} repaired, ${report.warnings.length} warnings, ${report.errors.length} errors`);
+
+    const grouped = {};
+    report.repairs.forEach(item => {
+      grouped[item.message] = (grouped[item.message] || 0) + 1;
+    });
+    Object.entries(grouped).forEach(([message, count]) => console.log(`   🔧 ${message} (${count})`));
+    report.warnings.forEach(item => console.warn(`   ⚠️  ${item.location}: ${item.message}`));
+    report.errors.forEach(item => console.error(`   ❌ ${item.location}: ${item.message}`));
+  }
+
+  // Structural OpenAPI 3.0 -> Swagger 2.0 conversion
+  convertToSwagger2(spec) {
+    const components = spec.components || {};
+    const server = ((spec.servers || [])[0] || {}).url || '';
+    const serverMatch = server.match(/^(\w+):\/\/([^/]+)(\/.*)?$/);
+
+    const swagger = {
+      swagger: '2.0',
+      info: spec.info,
+      host: serverMatch ? serverMatch[2] : this.config.host,
+      basePath: serverMatch ? (serverMatch[3] || '/') : this.config.basePath,
+      schemes: serverMatch ? [serverMatch[1]] : this.config.schemes
+    };
+    if (spec.tags) swagger.tags = spec.tags;
+
+    swagger.paths = {};
+    Object.entries(spec.paths).forEach(([routePath, item]) => {
+      swagger.paths[routePath] = {};
+      Object.entries(item).forEach(([method, operation]) => {
+        if (method === 'parameters') {
+          swagger.paths[routePath].parameters = this.convertParametersToSwagger2(operation);
+        } else if (operation && typeof operation === 'object' && !['servers', 'summary', 'description'].includes(method)) {
+          swagger.paths[routePath][method] = this.convertOperationToSwagger2(operation, components);
+        }
+      });
+    });
+
+    if (components.schemas && Object.keys(components.schemas).length > 0) {
+      swagger.definitions = {};
+      Object.entries(components.schemas).forEach(([name, schema]) => {
+        swagger.definitions[name] = this.convertSchemaToSwagger2(schema);
+      });
+    }
+
+    if (components.securitySchemes) {
+      swagger.securityDefinitions = {};
+      Object.entries(components.securitySchemes).forEach(([name, scheme]) => {
+        const definition = this.convertSecuritySchemeToSwagger2(scheme);
+        if (definition) swagger.securityDefinitions[name] = definition;
+      });
+    }
+    if (spec.security) swagger.security = spec.security;
+
+    return this.rewriteSwagger2Refs(swagger);
+  }
+
+  convertOperationToSwagger2(operation, components) {
+    const converted = {};
+    ['tags', 'summary', 'description', 'operationId', 'deprecated', 'security'].forEach(key => {
+      if (operation[key] !== undefined) converted[key] = operation[key];
+    });
+    Object.keys(operation).filter(key => key.startsWith('x-')).forEach(key => {
+      converted[key] = operation[key];
+    });
+
+    const parameters = this.convertParametersToSwagger2(operation.parameters || []);
+
+    let requestBody = operation.requestBody;
+    if (requestBody && requestBody.$ref) {
+      requestBody = (components.requestBodies || {})[requestBody.$ref.split('/').pop()];
+    }
+    if (requestBody && requestBody.content) {
+      const mediaTypes = Object.keys(requestBody.content);
+      const formType = mediaTypes.find(type => type === 'multipart/form-data' || type === 'application/x-www-form-urlencoded');
+
+      if (formType) {
+        const schema = requestBody.content[formType].schema || {};
+        const required = schema.required || [];
+        Object.entries(schema.properties || {}).forEach(([name, property]) => {
+          const param = { name, in: 'formData', required: required.includes(name) };
+          if (property.format === 'binary') {
+            param.type = 'file';
+          } else {
+            Object.assign(param, this.flattenParameterSchema(property));
+          }
+          parameters.push(param);
+        });
+      } else {
+        const media = requestBody.content[mediaTypes.find(type => /json/.test(type)) || mediaTypes[0]] || {};
+        const param = { name: 'body', in: 'body', required: requestBody.required !== false };
+        if (requestBody.description) param.description = requestBody.description;
+        param.schema = this.convertSchemaToSwagger2(media.schema || { type: 'object' });
+        parameters.push(param);
+      }
+      converted.consumes = formType ? [formType] : mediaTypes;
+    }
+    if (parameters.length > 0) converted.parameters = parameters;
+
+    const produces = new Set();
+    converted.responses = {};
+    Object.entries(operation.responses || {}).forEach(([code, response]) => {
+      if (response.$ref) {
+        converted.responses[code] = { $ref: response.$ref };
+        return;
+      }
+      const convertedResponse = { description: response.description || '' };
+      const mediaTypes = Object.keys(response.content || {});
+      mediaTypes.forEach(type => produces.add(type));
+      const media = response.content && response.content[mediaTypes.find(type => /json/.test(type)) || mediaTypes[0]];
+      if (media && media.schema) convertedResponse.schema = this.convertSchemaToSwagger2(media.schema);
+      if (response.headers) {
+        convertedResponse.headers = {};
+        Object.entries(response.headers).forEach(([name, header]) => {
+          convertedResponse.headers[name] = this.flattenParameterSchema(header.schema || {});
+          if (header.description) convertedResponse.headers[name].description = header.description;
+        });
+      }
+      converted.responses[code] = convertedResponse;
+    });
+    if (produces.size > 0) converted.produces = [...produces];
+
+    return converted;
+  }
+
+  convertParametersToSwagger2(parameters) {
+    return parameters
+      .filter(param => param.$ref || param.in !== 'cookie')
+      .map(param => {
+        if (param.$ref) return { $ref: param.$ref };
+        const converted = { name: param.name, in: param.in };
+        if (param.description) converted.description = param.description;
+        converted.required = param.in === 'path' ? true : !!param.required;
+        return Object.assign(converted, this.flattenParameterSchema(param.schema || {}));
+      });
+  }
+
+  // Non-body parameters in Swagger 2.0 carry their schema keywords inline
+  flattenParameterSchema(schema) {
+    const schema2 = this.convertSchemaToSwagger2(schema);
+    const flattened = {};
+    flattened.type = ['string', 'number', 'integer', 'boolean', 'array'].includes(schema2.type) ? schema2.type : 'string';
+    ['format', 'enum', 'default', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems', 'uniqueItems'].forEach(key => {
+      if (schema2[key] !== undefined) flattened[key] = schema2[key];
+    });
+    if (flattened.type === 'array') {
+      flattened.items = this.flattenParameterSchema(schema2.items || {});
+      flattened.collectionFormat = 'multi';
+    }
+    return flattened;
+  }
+
+  convertSchemaToSwagger2(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return schema;
+    const converted = {};
+
+    Object.entries(schema).forEach(([key, value]) => {
+      if (key === 'nullable') {
+        if (value) converted['x-nullable'] = true;
+      } else if (key === 'type' && Array.isArray(value)) {
+        const types = value.filter(type => type !== 'null');
+        converted.type = types[0] || 'string';
+        if (types.length < value.length) converted['x-nullable'] = true;
+      } else if (key === 'const') {
+        converted.enum = [value];
+      } else if (key === 'oneOf' || key === 'anyOf') {
+        // Swagger 2.0 has no union types, so keep the first concrete alternative
+        const alternatives = value.filter(option => option.type !== 'null');
+        if (alternatives.length < value.length) converted['x-nullable'] = true;
+        if (alternatives.length > 0) Object.assign(converted, this.convertSchemaToSwagger2(alternatives[0]));
+      } else if (['exclusiveMinimum', 'exclusiveMaximum'].includes(key) && typeof value === 'number') {
+        converted[key.replace('exclusiveM', 'm')] = value;
+        converted[key] = true;
+      } else if (key === 'properties') {
+        converted.properties = {};
+        Object.entries(value).forEach(([name, property]) => {
+          converted.properties[name] = this.convertSchemaToSwagger2(property);
+        });
+      } else if (key === 'allOf') {
+        converted.allOf = value.map(part => this.convertSchemaToSwagger2(part));
+      } else if (['items', 'additionalProperties', 'not'].includes(key)) {
+        converted[key] = this.convertSchemaToSwagger2(value);
+      } else if (!['writeOnly', 'deprecated', 'examples', '$schema'].includes(key)) {
+        converted[key] = value;
+      }
+    });
+
+    return converted;
+  }
+
+  convertSecuritySchemeToSwagger2(scheme) {
+    if (scheme.type === 'http' && scheme.scheme === 'basic') return { type: 'basic' };
+    if (scheme.type === 'http') {
+      return { type: 'apiKey', in: 'header', name: 'Authorization', description: `HTTP ${scheme.scheme} authentication via the Authorization header` };
+    }
+    if (scheme.type === 'apiKey' && scheme.in === 'cookie') {
+      return { type: 'apiKey', in: 'header', name: 'Cookie', description: `Cookie authentication via the ${scheme.name} cookie` };
+    }
+    if (scheme.type === 'apiKey') {
+      return { type: 'apiKey', in: scheme.in === 'query' ? 'query' : 'header', name: scheme.name };
+    }
+    if (scheme.type === 'oauth2') {
+      const flowNames = { authorizationCode: 'accessCode', implicit: 'implicit', password: 'password', clientCredentials: 'application' };
+      const [flowName, flow] = Object.entries(scheme.flows || {})[0] || ['implicit', {}];
+      const converted = { type: 'oauth2', flow: flowNames[flowName] || 'implicit', scopes: flow.scopes || {} };
+      if (flow.authorizationUrl) converted.authorizationUrl = flow.authorizationUrl;
+      if (flow.tokenUrl) converted.tokenUrl = flow.tokenUrl;
+      return converted;
+    }
+    console.warn(`⚠️  Security scheme type "${scheme.type}" has no Swagger 2.0 equivalent`);
+    return null;
+  }
+
+  rewriteSwagger2Refs(node) {
+    if (Array.isArray(node)) return node.map(item => this.rewriteSwagger2Refs(item));
+    if (!node || typeof node !== 'object') return node;
+
+    const rewritten = {};
+    Object.entries(node).forEach(([key, value]) => {
+      rewritten[key] = key === '$ref' && typeof value === 'string'
+        ? value.replace('#/components/schemas/', '#/definitions/')
+          .replace('#/components/parameters/', '#/parameters/')
+          .replace('#/components/responses/', '#/responses/')
+        : this.rewriteSwagger2Refs(value);
+    });
+    return rewritten;
+  }
+
+  // Block-style YAML serializer; strings that YAML would reinterpret are double-quoted
+  toYaml(value) {
+    return this.yamlLines(value, 0).join('\n') + '\n';
+  }
+
+  yamlLines(value, depth) {
+    const pad = '  '.repeat(depth);
+    const lines = [];
+    const entries = Array.isArray(value) ? value.map(item => [null, item]) : Object.entries(value);
+
+    entries.forEach(([key, item]) => {
+      const prefix = key === null ? `${pad}-` : `${pad}${this.yamlScalar(key)}:`;
+      const isBlock = item && typeof item === 'object' && Object.keys(item).length > 0;
+
+      if (!isBlock) {
+        lines.push(`${prefix} ${this.yamlScalar(item)}`);
+      } else if (key === null && !Array.isArray(item)) {
+        const nested = this.yamlLines(item, depth + 1);
+        lines.push(`${prefix} ${nested[0].trimStart()}`, ...nested.slice(1));
+      } else {
+        lines.push(prefix, ...this.yamlLines(item, depth + 1));
+      }
+    });
+    return lines;
+  }
+
+  yamlScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) return '[]';
+    if (typeof value === 'object') return '{}';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '.nan';
+    if (typeof value === 'boolean') return String(value);
+
+    const text = String(value);
+    const plain = /^[A-Za-z_\/][\w\/.\- ]*$/.test(text) &&
+      !/ $/.test(text) &&
+      !/^(true|false|yes|no|on|off|null|y|n)$/i.test(text);
+    return plain ? text : JSON.stringify(text);
+  }
+}
+
+module.exports = OpenApiOutput;
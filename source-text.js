@@ -0,0 +1,67 @@
+// Bracket and separator scanning shared by both generators. Strings, `//` and `/* */`
+// comments are skipped, which covers JavaScript, TypeScript and C# sources alike.
+
+// Returns the text between the bracket at openIndex and its matching closer
+function extractBalanced(content, openIndex) {
+  const pairs = { '(': ')', '{': '}', '[': ']' };
+  const stack = [];
+  let quote = null;
+
+  for (let i = openIndex; i < content.length; i++) {
+    const char = content[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (char === '/' && content[i + 1] === '/') {
+      const end = content.indexOf('\n', i);
+      i = end === -1 ? content.length : end;
+    } else if (char === '/' && content[i + 1] === '*') {
+      const end = content.indexOf('*/', i + 2);
+      i = end === -1 ? content.length : end + 1;
+    } else if (pairs[char]) {
+      stack.push(pairs[char]);
+    } else if (char === stack[stack.length - 1]) {
+      stack.pop();
+      if (stack.length === 0) return content.substring(openIndex + 1, i);
+    }
+  }
+  return content.substring(openIndex + 1);
+}
+
+// Splits on a separator that is not nested inside brackets or strings.
+// Angle brackets only count as nesting for TypeScript and C# generic type expressions.
+function splitTopLevel(text, separator, angleBrackets = false) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      current += char;
+      if (char === '\\') current += text[++i] || '';
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'" || char === '`') quote = char;
+    else if ('([{'.includes(char) || (angleBrackets && char === '<')) depth++;
+    else if (')]}'.includes(char) || (angleBrackets && char === '>' && text[i - 1] !== '=')) depth--;
+
+    if (depth === 0 && text.startsWith(separator, i)) {
+      parts.push(current.trim());
+      current = '';
+      i += separator.length - 1;
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+module.exports = { extractBalanced, splitTopLevel };
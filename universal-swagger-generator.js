@@ -1,9 +1,12 @@
 const fs = require('fs');
 const path = require('path');
+const OpenApiOutput = require('./openapi-output');
+const { extractBalanced, splitTopLevel } = require('./source-text');
 
 class UniversalSwaggerGenerator {
-  constructor(projectPath = './') {
+  constructor(projectPath = './', options = {}) {
     this.originalCwd = process.cwd();
+    this.options = { strict: false, format: null, openapi: '3.0', ...options };
     this.projectPath = path.resolve(projectPath);
     process.chdir(this.projectPath);
     
@@ -11,6 +14,7 @@ class UniversalSwaggerGenerator {
     
     this.projectType = this.detectProjectType();
     this.config = this.loadConfig();
+    this.output = new OpenApiOutput(this.config);
   }
 
   detectProjectType() {
@@ -22,6 +26,10 @@ class UniversalSwaggerGenerator {
     if (this.hasStrapiProject()) return 'strapi';
     if (this.hasPlayFrameworkProject()) return 'play-framework';
     if (this.hasDjangoProject()) return 'django';
+    if (this.hasNestProject()) return 'nestjs';
+    if (this.hasFastifyProject()) return 'fastify';
+    if (this.hasDependency('@hapi/hapi', 'hapi')) return 'hapi';
+    if (this.hasDependency('koa')) return 'koa';
     if (fs.existsSync('./app/api')) return 'nextjs-app';
     if (fs.existsSync('./pages/api')) return 'nextjs-pages';
     if (fs.existsSync('./routes')) return 'express';
@@ -149,6 +157,8 @@ class UniversalSwaggerGenerator {
 
   hasPlayFrameworkProject() {
     if (fs.existsSync('./build.sbt')) {
+      if (fs.existsSync('./conf/routes')) return true;
+
       const findRouters = (dir) => {
         try {
           const items = fs.readdirSync(dir, { withFileTypes: true });
@@ -240,8 +250,77 @@ class UniversalSwaggerGenerator {
       },
       host: process.env.API_HOST || 'localhost:3000',
       schemes: ['http'],
-      basePath: '/api'
+      basePath: '/api',
+      auth: {
+        middleware: this.loadAuthMiddleware(),
+        apiKeyHeader: process.env.API_KEY_HEADER || 'x-api-key',
+        authorizationUrl: process.env.API_OAUTH_AUTHORIZATION_URL || '/oauth/authorize',
+        tokenUrl: process.env.API_OAUTH_TOKEN_URL || '/oauth/token'
+      }
+    };
+  }
+
+  // The /api base path belongs in the server URL only while the paths leave it out. Nest, Fastify
+  // and Hapi paths, and routers reached through resolved mounts, already carry the app's own
+  // prefixes, so their server is the bare host the app listens on.
+  serverUrl() {
+    const { schemes, host, basePath } = this.config;
+    const prefixed = ['nestjs', 'fastify', 'hapi'].includes(this.projectType)
+      || (this.isExpressProject() && this.expressMountFiles && this.expressMountFiles.size > 0);
+    if (!prefixed) return `${schemes[0]}://${host}${basePath}`;
+    return `${schemes[0]}://${process.env.API_HOST ? host : this.listenHost() || host}`;
+  }
+
+  // app.listen(4000), fastify.listen({ port: 4000 }), Hapi.server({ port: process.env.PORT || 4000 })
+  // or app.listen(PORT) with const PORT = process.env.PORT || 4000
+  listenHost() {
+    const files = this.findJSFiles('.')
+      .filter(file => /\.(js|ts)$/.test(file) && !file.endsWith('.d.ts') && !/\.(spec|test)\.[jt]s$/.test(file));
+    for (const file of files) {
+      const source = this.stripComments(this.readSource(file) || '');
+      const match = source.match(/(?:\.\s*listen|\bHapi\s*\.\s*[sS]erver)\s*\(\s*(?:\{[^}]*?\bport\s*:\s*)?([^,(){}\n]+)/);
+      if (!match) continue;
+      const literal = value => (value.trim().match(/(?:^|\|\||\?\?)\s*(\d+)$/) || [])[1];
+      const value = match[1].trim();
+      let port = literal(value);
+      if (!port && /^[\w$]+$/.test(value)) {
+        const declaration = source.match(new RegExp(`\\b(?:const|let|var)\\s+${value.replace(/\$/g, '\\$&')}\\s*=\\s*([^;\\n]+)`));
+        port = declaration && literal(declaration[1]);
+      }
+      if (port) return `localhost:${port}`;
+    }
+    return null;
+  }
+
+  // Middleware names that protect a route, mapped to the scheme they enforce.
+  // Extend with API_AUTH_MIDDLEWARE="requireAdmin:bearer,checkKey:apiKey"
+  loadAuthMiddleware() {
+    const middleware = {
+      auth: 'bearer', authenticate: 'bearer', authenticated: 'bearer', authenticateToken: 'bearer',
+      authenticateJWT: 'bearer', authMiddleware: 'bearer', authGuard: 'bearer', authorize: 'bearer',
+      requireAuth: 'bearer', requireAuthentication: 'bearer', requireUser: 'bearer', requireLogin: 'bearer',
+      requireJwt: 'bearer', requireRole: 'bearer', checkRole: 'bearer', hasRole: 'bearer', isAdmin: 'bearer',
+      isAuthenticated: 'bearer', ensureAuthenticated: 'bearer', ensureLoggedIn: 'bearer', isLoggedIn: 'bearer',
+      verifyToken: 'bearer', verifyJWT: 'bearer', verifyJwt: 'bearer', checkJwt: 'bearer', jwtAuth: 'bearer',
+      protect: 'bearer', protectedRoute: 'bearer',
+      apiKey: 'apiKey', apiKeyAuth: 'apiKey', requireApiKey: 'apiKey', checkApiKey: 'apiKey',
+      verifyApiKey: 'apiKey', validateApiKey: 'apiKey',
+      oauth: 'oauth2', oauth2: 'oauth2', requireOAuth: 'oauth2', ensureOAuth: 'oauth2', requiresAuth: 'oauth2',
+      basicAuth: 'basic'
     };
+
+    (process.env.API_AUTH_MIDDLEWARE || '').split(',').forEach(entry => {
+      const [name, scheme = 'bearer'] = entry.split(':').map(part => part.trim());
+      if (!name) return;
+      if (!['bearer', 'apiKey', 'oauth2', 'basic'].includes(scheme)) {
+        console.warn(`⚠️  Unknown auth scheme "${scheme}" for ${name}, using bearer`);
+        middleware[name] = 'bearer';
+      } else {
+        middleware[name] = scheme;
+      }
+    });
+
+    return middleware;
   }
 
   getRouteFiles() {
@@ -255,11 +334,23 @@ class UniversalSwaggerGenerator {
       return this.findDjangoUrls();
     }
     if (this.projectType === 'play-framework') {
-      return this.findPlayFrameworkRouters();
+      return [...this.findPlayRoutesFiles(), ...this.findPlayFrameworkRouters()];
     }
     if (this.projectType === 'strapi') {
       return this.findStrapiRoutes();
     }
+    if (this.projectType === 'nestjs') {
+      return this.findNestControllers();
+    }
+    if (this.projectType === 'fastify') {
+      return this.findFastifyFiles();
+    }
+    if (this.projectType === 'hapi') {
+      return this.findHapiRouteFiles();
+    }
+    if (this.projectType === 'koa') {
+      return this.findKoaRouteFiles();
+    }
     if (this.projectType === 'auto-detected') {
       let allFiles = [];
       for (const pattern of this.customPatterns) {
@@ -330,14 +421,17 @@ class UniversalSwaggerGenerator {
       return isInAppApi && isRouteFile;
     }
     
-    // Handle other patterns
-    let regex = pattern
+    // Escape first, then expand wildcards; path.join() drops the leading ./ of the pattern
+    const normalize = value => value.replace(/\\/g, '/').replace(/^\.\//, '');
+    const regex = normalize(pattern)
+      .replace(/[.+?^$()|[\]\\]/g, '\\$&')
+      .replace(/\{([^}]+)\}/g, (match, group) => `(${group.split(',').join('|')})`)
+      .replace(/\*\*\//g, '\u0000')
       .replace(/\*\*/g, '.*')
       .replace(/\*/g, '[^/]*')
-      .replace(/\{([^}]+)\}/g, (match, group) => `(${group.replace(/,/g, '|')})`)
-      .replace(/\./g, '\\.');
-    
-    return new RegExp(`^${regex}$`).test(filePath);
+      .replace(/\u0000/g, '(?:.*/)?');
+
+    return new RegExp(`^${regex}$`).test(normalize(filePath));
   }
 
   generate() {
@@ -345,17 +439,22 @@ class UniversalSwaggerGenerator {
     
     if (this.projectType === 'unsupported') {
       console.log(`❌ Unsupported project type: ${this.unsupportedType}`);
-      console.log('💡 This generator supports: Node.js, Next.js, Express.js, Django REST API, Scala Play Framework');
+      console.log('💡 This generator supports: Node.js, Next.js, Express.js, Koa, Hapi, NestJS, Fastify, Django REST API, Scala Play Framework');
       return null;
     }
     
     const spec = {
-      openapi: '3.0.0',
+      openapi: this.options.openapi === '3.1' ? '3.1.0' : '3.0.0',
       info: this.config.info,
-      servers: [{ url: `${this.config.schemes[0]}://${this.config.host}${this.config.basePath}` }],
+      servers: [],
       paths: {},
       components: { schemas: {} }
     };
+    this.components = spec.components;
+    this.schemas = spec.components.schemas;
+    this.pendingAnnotations = [];
+    this.annotationTags = [];
+    this.unmountedPaths = new Set();
 
     const files = this.getRouteFiles();
     console.log(`📁 Found ${files.length} route files`);
@@ -364,9 +463,44 @@ class UniversalSwaggerGenerator {
       console.log('💡 No API routes found. Ensure your project follows supported patterns:');
       console.log('   - Next.js: app/api/**/route.{js,ts} or pages/api/**/*.{js,ts}');
       console.log('   - Express: routes/**/*.{js,ts} or src/routes/**/*.{js,ts}');
+      console.log('   - NestJS: @Controller() classes with @nestjs/core in package.json');
+      console.log('   - Fastify: fastify in package.json dependencies');
+      console.log('   - Koa / Hapi: koa or @hapi/hapi in package.json dependencies');
       console.log('   - Django: */urls.py files with manage.py');
-      console.log('   - Play Framework: **/Router.scala files');
+      console.log('   - Play Framework: conf/routes or **/Router.scala files');
+    }
+
+    if (this.projectType === 'play-framework') {
+      this.playIncludes = this.buildPlayRouteGraph(files);
+    }
+
+    if (this.projectType === 'strapi') {
+      this.strapiModels = this.getStrapiModels();
+      this.strapiModels.contentTypes.forEach((model, uid) => this.strapiSchemaRef(uid));
+      if (this.strapiModels.contentTypes.size > 0) {
+        console.log(`🧩 Found ${this.strapiModels.contentTypes.size} content types`);
+      }
+    }
+
+    if (this.projectType === 'django') {
+      this.djangoIncludes = this.buildDjangoIncludeGraph(files);
+      this.djangoIncludes.forEach((prefixes, file) => {
+        if (!files.some(existing => path.normalize(existing) === file)) files.push(file);
+      });
+    }
+
+    if (this.isExpressProject()) {
+      this.expressMounts = this.buildExpressMountGraph();
+      if (this.expressMounts.size > 0) {
+        console.log(`🔗 Resolved ${this.expressMounts.size} mounted routers`);
+      }
+
+      // The app entry (app.js / server.js) and the routers it mounts are parsed wherever they live
+      this.expressMountFiles.forEach(file => {
+        if (!files.some(existing => path.resolve(existing) === file)) files.push(path.relative('.', file));
+      });
     }
+    spec.servers.push({ url: this.serverUrl() });
 
     files.forEach(file => {
       try {
@@ -377,6 +511,16 @@ class UniversalSwaggerGenerator {
       }
     });
 
+    // Annotated paths documented outside the file that defines them
+    this.pendingAnnotations.forEach(annotation => this.applyAnnotations(spec.paths, annotation, false, annotation.routePrefixes));
+    if (this.annotationTags.length > 0) {
+      spec.tags = this.annotationTags;
+    }
+    this.pruneValidationComponents(spec);
+
+    this.validation = this.output.validateSpec(spec);
+    this.output.printValidationReport(this.validation, spec.openapi);
+
     return spec;
   }
 
@@ -389,6 +533,33 @@ class UniversalSwaggerGenerator {
       return {};
     }
     
+    // NestJS controllers route through decorators, not router calls
+    if (this.projectType === 'nestjs') {
+      const nestPaths = this.parseNestControllers(content, filePath);
+      if (/@(openapi|swagger)\b/.test(content)) {
+        this.applyAnnotations(nestPaths, this.parseAnnotations(content, filePath), true);
+      }
+      return nestPaths;
+    }
+
+    // Fastify routes declare their own JSON Schemas
+    if (this.projectType === 'fastify') {
+      const fastifyPaths = this.parseFastifyRoutes(content, filePath);
+      if (/@(openapi|swagger)\b/.test(content)) {
+        this.applyAnnotations(fastifyPaths, this.parseAnnotations(content, filePath), true);
+      }
+      return fastifyPaths;
+    }
+
+    // Hapi route objects: { method, path, options: { validate, auth, response } }
+    if (this.projectType === 'hapi') {
+      const hapiPaths = this.parseHapiRoutes(content, filePath);
+      if (/@(openapi|swagger)\b/.test(content)) {
+        this.applyAnnotations(hapiPaths, this.parseAnnotations(content, filePath), true);
+      }
+      return hapiPaths;
+    }
+
     const basePath = this.getRoutePath(filePath);
     const allPaths = {};
 
@@ -397,37 +568,68 @@ class UniversalSwaggerGenerator {
     // Next.js API routes
     httpMethods.forEach(method => {
       const regex = new RegExp(`export\\s+async\\s+function\\s+${method.toUpperCase()}`, 'i');
-      if (regex.test(content)) {
+      const match = regex.exec(content);
+      if (match) {
+        const paramsStart = content.indexOf('(', match.index);
+        const params = this.extractBalanced(content, paramsStart);
+        const bodyStart = content.indexOf('{', paramsStart + params.length + 1);
+        const handler = `(${params}) {${this.extractBalanced(content, bodyStart)}}`;
         if (!allPaths[basePath]) allPaths[basePath] = {};
-        allPaths[basePath][method] = this.parseMethod(content, method);
+        allPaths[basePath][method] = this.parseMethod(content, method, handler, filePath);
       }
     });
 
-    // Express router methods
-    httpMethods.forEach(method => {
-      const routerRegex = new RegExp(`\\.${method}\\s*\\(['"]([^'"]*)['"]`, 'g');
+    // Express router and app methods
+    const moduleKey = path.resolve(filePath);
+    const guards = this.findAuthGuards(content, filePath);
+    const routePrefixes = new Set();
+    const routeVerbs = this.projectType === 'koa' ? [...httpMethods, 'del'] : httpMethods;
+    routeVerbs.forEach(verb => {
+      const method = verb === 'del' ? 'delete' : verb;
+      const routerRegex = new RegExp(`(\\w+)\\.${verb}\\s*\\(\\s*['"]([^'"]*)['"]`, 'g');
       let match;
       while ((match = routerRegex.exec(content)) !== null) {
-        const endpoint = match[1];
-        const fullPath = this.combineRouterPath(basePath, endpoint);
-        if (!allPaths[fullPath]) allPaths[fullPath] = {};
-        allPaths[fullPath][method] = this.parseExpressMethod(content, method, endpoint);
-      }
-    });
-    
-    // Express app methods
-    httpMethods.forEach(method => {
-      const appRegex = new RegExp(`app\\.${method}\\s*\\(['"]([^'"]*)['"]`, 'g');
-      let match;
-      while ((match = appRegex.exec(content)) !== null) {
-        const endpoint = match[1];
-        if (!allPaths[endpoint]) allPaths[endpoint] = {};
-        allPaths[endpoint][method] = this.parseExpressMethod(content, method, endpoint);
+        const receiver = match[1];
+        let endpoint = match[2];
+        const handler = this.extractBalanced(content, match.index + match[0].indexOf('('));
+
+        // @koa/router named routes: router.get('user', '/users/:id', handler)
+        if (this.projectType === 'koa') {
+          const named = handler.match(/^\s*['"][^'"]*['"]\s*,\s*['"]([^'"]*)['"]/);
+          if (!endpoint.startsWith('/') && named) endpoint = named[1];
+          if (!endpoint.startsWith('/')) continue;
+        }
+        const mounts = this.expressMounts && this.expressMounts.get(`${moduleKey}#${receiver}`);
+
+        // Auth middleware on the route itself and router.use(requireAuth) guards declared before it
+        const routeSecurity = this.findRouteAuth(handler);
+        guards
+          .filter(guard => guard.receiver === receiver && guard.index < match.index)
+          .forEach(guard => routeSecurity.push(...guard.schemes));
+
+        let targets;
+        if (mounts) {
+          // Router is mounted somewhere in the project, use its mount chain
+          targets = mounts.map(mount => ({ path: this.joinUrlPaths(mount.prefix, endpoint), security: mount.security }));
+          mounts.forEach(mount => routePrefixes.add(mount.prefix));
+        } else if (receiver === 'app' || this.projectType === 'koa') {
+          targets = [{ path: endpoint, security: [] }];
+        } else {
+          targets = [{ path: this.combineRouterPath(basePath, endpoint), security: [] }];
+          if (this.unmountedPaths) this.unmountedPaths.add(targets[0].path);
+        }
+
+        targets.forEach(target => {
+          if (!allPaths[target.path]) allPaths[target.path] = {};
+          const operation = this.parseExpressMethod(content, method, endpoint, handler, filePath, mounts ? target.path : endpoint);
+          this.applySecurity(operation, [...target.security, ...routeSecurity]);
+          allPaths[target.path][method] = operation;
+        });
       }
     });
     
     // Django URL patterns
-    if (filePath.endsWith('urls.py')) {
+    if (filePath.endsWith('urls.py') || (this.djangoIncludes && this.djangoIncludes.has(path.normalize(filePath)))) {
       const djangoPaths = this.parseDjangoUrls(content, filePath);
       Object.assign(allPaths, djangoPaths);
     }
@@ -437,6 +639,9 @@ class UniversalSwaggerGenerator {
       const playPaths = this.parsePlayFrameworkRoutes(content, filePath);
       Object.assign(allPaths, playPaths);
     }
+    if (this.isPlayRoutesFile(filePath)) {
+      Object.assign(allPaths, this.parsePlayRoutesFile(content, filePath));
+    }
     
     // Strapi routes
     if (filePath.includes('/routes/') && (filePath.endsWith('.js') || filePath.endsWith('.ts'))) {
@@ -444,18 +649,23 @@ class UniversalSwaggerGenerator {
       Object.assign(allPaths, strapiPaths);
     }
 
+    // Hand-written @openapi / @swagger blocks take priority over inferred data
+    if (/@(openapi|swagger)\b/.test(content)) {
+      this.applyAnnotations(allPaths, this.parseAnnotations(content, filePath), true, [...routePrefixes]);
+    }
+
     return allPaths;
   }
 
   getRoutePath(filePath) {
     let routePath = filePath;
     
-    routePath = routePath.replace(/^\.\/app\/api/, '');
-    routePath = routePath.replace(/^\.\/pages\/api/, '');
-    routePath = routePath.replace(/^\.\/routes/, '');
-    routePath = routePath.replace(/^\.\/src\/routes/, '');
-    routePath = routePath.replace(/^\.\/src\/modules/, '');
-    routePath = routePath.replace(/^\.\/backend\/src\/modules/, '');
+    routePath = routePath.replace(/^(\.\/)?app\/api/, '');
+    routePath = routePath.replace(/^(\.\/)?pages\/api/, '');
+    routePath = routePath.replace(/^(\.\/)?routes/, '');
+    routePath = routePath.replace(/^(\.\/)?src\/routes/, '');
+    routePath = routePath.replace(/^(\.\/)?src\/modules/, '');
+    routePath = routePath.replace(/^(\.\/)?backend\/src\/modules/, '');
     
     routePath = routePath.replace(/\/route\.(ts|js)$/, '');
     routePath = routePath.replace(/\.router\.(ts|js)$/, '');
@@ -466,30 +676,23 @@ class UniversalSwaggerGenerator {
     return routePath || '/';
   }
 
-  parseMethod(content, method) {
+  parseMethod(content, method, handler = '', filePath = '') {
     const parameters = [];
+    // Only what this exported handler reads: GET and POST in one route.ts must not share a body
+    const source = handler || content;
     
-    const queryParams = content.match(/searchParams\.get\(['"`]([^'"`]+)['"`]\)/g) || [];
+    const queryParams = source.match(/searchParams\.get\(['"`]([^'"`]+)['"`]\)/g) || [];
     queryParams.forEach(param => {
       const name = param.match(/['"`]([^'"`]+)['"`]/)[1];
       parameters.push({
         name,
         in: 'query',
-        required: content.includes(`!${name}`),
+        required: source.includes(`!${name}`),
         schema: { type: 'string' }
       });
     });
 
-    if (content.includes('request.json()') || content.includes('req.body')) {
-      parameters.push({
-        name: 'body',
-        in: 'body',
-        required: true,
-        schema: { type: 'object' }
-      });
-    }
-
-    return {
+    const operation = {
       summary: `${method.toUpperCase()} operation`,
       parameters,
       responses: {
@@ -498,6 +701,16 @@ class UniversalSwaggerGenerator {
         '500': { description: 'Internal Server Error' }
       }
     };
+
+    if (source.includes('request.json()') || source.includes('req.body')) {
+      operation.requestBody = {
+        required: true,
+        content: { 'application/json': { schema: this.inferBodySchema(handler) || { type: 'object' } } }
+      };
+    }
+
+    this.applyValidationSchemas(operation, handler, filePath);
+    return operation;
   }
 
   findRouterFiles(baseDir) {
@@ -566,7 +779,384 @@ class UniversalSwaggerGenerator {
     return result.replace(/\/+/g, '/').replace(/^\/$/, '') || '/';
   }
 
-  parseExpressMethod(content, method, endpoint) {
+  joinUrlPaths(...parts) {
+    const joined = ('/' + parts.filter(Boolean).join('/')).replace(/\/+/g, '/');
+    return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+  }
+
+  isExpressProject() {
+    return ['express', 'express-src', 'express-modules', 'express-backend-modules',
+      'express-server-routers', 'auto-detected', 'koa'].includes(this.projectType);
+  }
+
+  // Follows require/import of router modules and app.use()/router.use() mount
+  // points so every router knows the full prefix chain it is served under.
+  buildExpressMountGraph() {
+    const modules = new Map();
+    this.findJSFiles('.')
+      .filter(file => /\.(js|ts)$/.test(file) && !file.endsWith('.d.ts'))
+      .forEach(file => {
+        try {
+          const content = fs.readFileSync(file, 'utf8');
+          if (/\.use\s*\(|Router\s*\(|express\s*\(/.test(content)) {
+            modules.set(path.resolve(file), this.analyzeExpressModule(content, file));
+          }
+        } catch (e) {
+          // Skip files we can't read
+        }
+      });
+
+    // child router -> [{ parent, prefix }]
+    const edges = new Map();
+    const ownPrefixes = new Map();
+    this.expressMountFiles = new Set();
+    for (const [file, mod] of modules) {
+      mod.prefixes.forEach((prefix, receiver) => ownPrefixes.set(`${file}#${receiver}`, prefix));
+      mod.mounts.forEach(mount => {
+        const parent = `${file}#${mount.receiver}`;
+        mount.targets.forEach(target => {
+          const child = this.resolveExpressTarget(modules, file, mod, target);
+          if (!child || child === parent) return;
+          if (!edges.has(child)) edges.set(child, []);
+          edges.get(child).push({ parent, prefix: mount.prefix, security: mount.security });
+          this.expressMountFiles.add(file);
+          this.expressMountFiles.add(child.split('#')[0]);
+        });
+      });
+    }
+
+    const mounts = new Map();
+    const resolveMounts = (node, visiting) => {
+      if (mounts.has(node)) return mounts.get(node);
+      const incoming = edges.get(node);
+      const ownPrefix = ownPrefixes.get(node) || '';
+      if (!incoming) return [{ prefix: ownPrefix, security: [] }];
+      if (visiting.has(node)) return [];
+
+      visiting.add(node);
+      const result = [];
+      incoming.forEach(edge => {
+        resolveMounts(edge.parent, visiting).forEach(parentMount => {
+          const prefix = this.joinUrlPaths(parentMount.prefix, edge.prefix, ownPrefix);
+          const security = [...new Set([...parentMount.security, ...edge.security])];
+          const key = `${prefix} ${security.sort().join(',')}`;
+          if (!result.some(existing => `${existing.prefix} ${existing.security.join(',')}` === key)) {
+            result.push({ prefix, security });
+          }
+        });
+      });
+      visiting.delete(node);
+
+      mounts.set(node, result);
+      return result;
+    };
+
+    for (const node of new Set([...edges.keys(), ...ownPrefixes.keys()])) {
+      mounts.set(node, resolveMounts(node, new Set()));
+    }
+    return mounts;
+  }
+
+  analyzeExpressModule(content, filePath) {
+    const mod = {
+      imports: this.parseImports(content),
+      exports: this.parseExports(content),
+      mounts: [],
+      prefixes: new Map()
+    };
+    let match;
+
+    // @koa/router prefixes owned by the router itself: new Router({ prefix: '/api' }) / router.prefix('/api')
+    const prefixRegex = /(?:const|let|var)\s+(\w+)\s*=\s*new\s+\w*Router\s*\(\s*\{[^}]*?\bprefix\s*:\s*['"`]([^'"`]*)['"`]|(\w+)\.prefix\s*\(\s*['"`]([^'"`]*)['"`]\s*\)/g;
+    while ((match = prefixRegex.exec(content)) !== null) {
+      mod.prefixes.set(match[1] || match[3], match[2] !== undefined ? match[2] : match[4]);
+    }
+
+    // String constants used as mount prefixes: const API_PREFIX = '/api/v1'
+    const constants = {};
+    const constRegex = /(?:const|let|var)\s+(\w+)\s*=\s*['"`]([^'"`$]*)['"`]/g;
+    while ((match = constRegex.exec(content)) !== null) {
+      constants[match[1]] = match[2];
+    }
+
+    const guards = this.findAuthGuards(content, filePath);
+
+    // Mount points: app.use('/api', apiRouter) / router.use('/users', require('./users'))
+    const useRegex = /(\w+)\.use\s*\(/g;
+    while ((match = useRegex.exec(content)) !== null) {
+      const args = this.splitTopLevel(this.extractBalanced(content, match.index + match[0].length - 1), ',');
+      if (args.length === 0) continue;
+
+      let prefix = '';
+      const prefixArg = args[0];
+      const literal = prefixArg.match(/^['"`]([^'"`]*)['"`]$/);
+      if (literal) {
+        prefix = literal[1].replace(/\$\{(\w+)\}/g, (m, name) => constants[name] || '');
+        args.shift();
+      } else if (constants[prefixArg] !== undefined) {
+        prefix = constants[prefixArg];
+        args.shift();
+      }
+
+      const targets = [];
+      const security = guards
+        .filter(guard => guard.receiver === match[1] && guard.index < match.index)
+        .reduce((schemes, guard) => schemes.concat(guard.schemes), []);
+      args.forEach(mountArg => {
+        // Koa mounts the middleware a router produces: router.use('/users', users.routes())
+        const arg = mountArg.replace(/\s*\.\s*(?:routes|middleware)\s*\(\s*\)$/, '');
+        const scheme = this.isRouterBinding(arg, content, filePath) ? null : this.classifyAuthMiddleware(arg);
+        const required = arg.match(/^require\s*\(\s*['"]([^'"]+)['"]\s*\)(?:\.(\w+))?$/);
+        if (scheme) {
+          security.push(scheme);
+        } else if (required) {
+          targets.push({ source: required[1], name: required[2] || 'default' });
+        } else if (/^\w+$/.test(arg)) {
+          targets.push({ local: arg });
+        }
+      });
+
+      if (targets.length > 0) {
+        mod.mounts.push({ receiver: match[1], prefix, targets, security: [...new Set(security)] });
+      }
+    }
+
+    return mod;
+  }
+
+  // Maps local identifiers to the module and export name they were imported from
+  parseImports(content) {
+    const imports = new Map();
+    let match;
+
+    // CommonJS: const users = require('./users') / require('./users').router
+    const requireRegex = /(?:const|let|var)\s+(\w+)\s*=\s*require\s*\(\s*['"]([^'"]+)['"]\s*\)(?:\.(\w+))?/g;
+    while ((match = requireRegex.exec(content)) !== null) {
+      imports.set(match[1], { source: match[2], name: match[3] || 'default' });
+    }
+
+    // CommonJS destructuring: const { usersRouter, admin: adminRouter } = require('./routes')
+    const destructureRegex = /(?:const|let|var)\s*\{([^}]+)\}\s*=\s*require\s*\(\s*['"]([^'"]+)['"]\s*\)/g;
+    while ((match = destructureRegex.exec(content)) !== null) {
+      const source = match[2];
+      match[1].split(',').forEach(part => {
+        const [name, alias] = part.split(':').map(s => s.trim());
+        if (name) imports.set(alias || name, { source, name });
+      });
+    }
+
+    // ES modules: import users, { admin as adminRouter } from './routes'
+    const importRegex = /import\s+(?:type\s+)?(\w+)?\s*,?\s*(?:\{([^}]*)\})?\s*from\s*['"]([^'"]+)['"]/g;
+    while ((match = importRegex.exec(content)) !== null) {
+      const source = match[3];
+      if (match[1]) imports.set(match[1], { source, name: 'default' });
+      if (match[2]) {
+        match[2].split(',').forEach(part => {
+          const [name, alias] = part.replace(/^\s*type\s+/, '').split(/\s+as\s+/).map(s => s.trim());
+          if (name) imports.set(alias || name, { source, name });
+        });
+      }
+    }
+
+    return imports;
+  }
+
+  // Maps export names ('default' for the default export) to local identifiers
+  parseExports(content) {
+    const exports = new Map();
+    let match;
+
+    // module.exports = router / export default router / export const usersRouter = ...
+    const defaultExport = content.match(/module\.exports\s*=\s*(\w+)\s*;?\s*$/m) ||
+      content.match(/export\s+default\s+(\w+)\s*;?\s*$/m);
+    if (defaultExport) exports.set('default', defaultExport[1]);
+
+    const objectExport = content.match(/module\.exports\s*=\s*\{([^}]*)\}/);
+    if (objectExport) {
+      objectExport[1].split(',').forEach(part => {
+        const [name, local] = part.split(':').map(s => s.trim());
+        if (name) exports.set(name, local || name);
+      });
+    }
+
+    const namedExportRegex = /(?:module\.)?exports\.(\w+)\s*=\s*(\w+)|export\s+(?:const|let|var)\s+(\w+)/g;
+    while ((match = namedExportRegex.exec(content)) !== null) {
+      if (match[1]) exports.set(match[1], match[2]);
+      else exports.set(match[3], match[3]);
+    }
+
+    const exportListRegex = /export\s*\{([^}]+)\}/g;
+    while ((match = exportListRegex.exec(content)) !== null) {
+      match[1].split(',').forEach(part => {
+        const [local, name] = part.split(/\s+as\s+/).map(s => s.trim());
+        if (local) exports.set(name || local, local);
+      });
+    }
+
+    return exports;
+  }
+
+  resolveExpressTarget(modules, file, mod, target) {
+    let imported = target.source ? target : null;
+    if (target.local) {
+      imported = mod.imports.get(target.local);
+      if (!imported) return `${file}#${target.local}`;
+    }
+
+    const resolved = this.resolveModulePath(file, imported.source);
+    if (!resolved) return null;
+
+    const targetModule = modules.get(resolved);
+    const local = targetModule && targetModule.exports.get(imported.name);
+    return local ? `${resolved}#${local}` : null;
+  }
+
+  resolveModulePath(fromFile, source) {
+    let base;
+    if (source.startsWith('.')) {
+      base = path.resolve(path.dirname(fromFile), source);
+    } else if (/^[@~]\//.test(source)) {
+      // Common tsconfig alias: '@/lib/schemas' -> ./src/lib/schemas or ./lib/schemas
+      const aliased = source.substring(2);
+      base = fs.existsSync(path.resolve('src')) && !fs.existsSync(path.resolve(aliased.split('/')[0]))
+        ? path.resolve('src', aliased)
+        : path.resolve(aliased);
+    } else {
+      return null;
+    }
+
+    const withoutExt = base.replace(/\.(js|ts|mjs|cjs)$/, '');
+    const candidates = [
+      base,
+      `${withoutExt}.ts`, `${withoutExt}.js`,
+      path.join(base, 'index.ts'), path.join(base, 'index.js')
+    ];
+    return candidates.find(candidate => {
+      try {
+        return fs.statSync(candidate).isFile();
+      } catch (e) {
+        return false;
+      }
+    }) || null;
+  }
+
+  classifyAuthMiddleware(expression) {
+    const text = expression.trim();
+
+    // Login flows (local, google, github...) are not protections, only token strategies are
+    const passport = text.match(/^passport\s*\.\s*authenticate\s*\(\s*\[?\s*['"]([\w-]+)['"]/);
+    if (passport) {
+      const strategies = {
+        jwt: 'bearer', bearer: 'bearer', headerapikey: 'apiKey', localapikey: 'apiKey', apikey: 'apiKey',
+        'api-key': 'apiKey', basic: 'basic', digest: 'basic', oauth2: 'oauth2', 'oauth-bearer': 'oauth2'
+      };
+      return strategies[passport[1].toLowerCase()] || null;
+    }
+    if (/^(expressjwt|expressJwt|jwt)\s*\(/.test(text)) return 'bearer';
+
+    const callee = text.match(/^([\w$]+(?:\.[\w$]+)*)\s*(?:\(|$)/);
+    if (!callee || /optional/i.test(callee[1])) return null;
+
+    const middleware = this.config.auth.middleware;
+    const parts = callee[1].split('.');
+    return middleware[callee[1]] || middleware[parts[parts.length - 1]] ||
+      (parts.length > 1 && middleware[parts[0]]) || null;
+  }
+
+  flattenMiddleware(args) {
+    return args.reduce((all, arg) => {
+      if (arg.startsWith('[') && arg.endsWith(']')) {
+        return all.concat(this.flattenMiddleware(this.splitTopLevel(arg.slice(1, -1), ',')));
+      }
+      return all.concat(arg);
+    }, []);
+  }
+
+  // app.use(passport.authenticate('jwt')) / router.use(requireAuth) protect everything registered after them
+  findAuthGuards(content, filePath = '') {
+    const guards = [];
+    const useRegex = /(\w+)\.use\s*\(/g;
+    let match;
+
+    while ((match = useRegex.exec(content)) !== null) {
+      const args = this.splitTopLevel(this.extractBalanced(content, match.index + match[0].length - 1), ',');
+      if (args.length === 0 || /^['"`]/.test(args[0])) continue;
+
+      const schemes = this.flattenMiddleware(args)
+        .filter(arg => !this.isRouterBinding(arg, content, filePath))
+        .map(arg => this.classifyAuthMiddleware(arg))
+        .filter(Boolean);
+      if (schemes.length > 0) {
+        guards.push({ receiver: match[1], index: match.index, schemes });
+      }
+    }
+    return guards;
+  }
+
+  // const auth = require('./routes/auth') / const auth = express.Router(): a router, whatever its name says
+  isRouterBinding(name, content, filePath) {
+    if (!/^[\w$]+$/.test(name)) return false;
+    const local = new RegExp(`\\b${name.replace(/\$/g, '\\$')}\\s*=\\s*(?:new\\s+)?(?:[\\w$]+\\s*\\.\\s*)?\\w*Router\\s*\\(`);
+    if (local.test(content)) return true;
+
+    const imported = filePath && this.parseImports(content).get(name);
+    const resolved = imported && this.resolveModulePath(path.resolve(filePath), imported.source);
+    const source = resolved && this.readSource(resolved);
+    return Boolean(source) && /\bRouter\s*\(|\.\s*(?:get|post|put|delete|patch)\s*\(\s*['"`]\//.test(source);
+  }
+
+  // router.get('/me', requireAuth, handler): everything between the path and the handler
+  findRouteAuth(handler) {
+    const args = this.splitTopLevel(handler, ',');
+    return this.flattenMiddleware(args.slice(1, -1))
+      .map(arg => this.classifyAuthMiddleware(arg))
+      .filter(Boolean);
+  }
+
+  applySecurity(operation, schemes) {
+    const unique = [...new Set(schemes)];
+    if (unique.length === 0) return;
+
+    const requirement = {};
+    unique.forEach(scheme => {
+      requirement[this.registerSecurityScheme(scheme)] = [];
+    });
+    operation.security = [requirement];
+    operation.responses['401'] = { description: 'Unauthorized' };
+  }
+
+  registerSecurityScheme(scheme) {
+    const auth = this.config.auth;
+    const schemes = {
+      bearer: ['bearerAuth', { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }],
+      apiKey: ['apiKeyAuth', { type: 'apiKey', in: 'header', name: auth.apiKeyHeader }],
+      basic: ['basicAuth', { type: 'http', scheme: 'basic' }],
+      oauth2: ['oauth2', {
+        type: 'oauth2',
+        flows: {
+          authorizationCode: { authorizationUrl: auth.authorizationUrl, tokenUrl: auth.tokenUrl, scopes: {} }
+        }
+      }]
+    };
+
+    const [name, definition] = schemes[scheme] || schemes.bearer;
+    if (!this.components.securitySchemes) this.components.securitySchemes = {};
+    this.components.securitySchemes[name] = definition;
+    return name;
+  }
+
+  // Bracket and separator scanning is shared with the .NET generator through source-text.js
+  extractBalanced(content, openIndex) {
+    return extractBalanced(content, openIndex);
+  }
+
+  splitTopLevel(text, separator, angleBrackets = false) {
+    return splitTopLevel(text, separator, angleBrackets);
+  }
+
+  // routePath is where the operation is documented: the mounted path for routers mounted with app.use()
+  parseExpressMethod(content, method, endpoint, handler = '', filePath = '', routePath = endpoint) {
+    const source = this.resolveHandlerSource(content, handler);
     const parameters = [];
     
     const pathParams = endpoint.match(/:([a-zA-Z_][a-zA-Z0-9_]*)/g) || [];
@@ -580,9 +1170,19 @@ class UniversalSwaggerGenerator {
       });
     });
 
-    const queryParams = content.match(/req\.query\.([a-zA-Z_][a-zA-Z0-9_]*)/g) || [];
-    queryParams.forEach(param => {
-      const name = param.split('.')[2];
+    // Only what this handler reads: req.query.page / Koa: ctx.query.page, ctx.request.query.page,
+    // and const { page, limit = 10 } = ctx.query
+    const queryParams = (source.match(/(?:req|ctx(?:\.request)?)\.query\.([a-zA-Z_][a-zA-Z0-9_]*)/g) || [])
+      .map(param => param.split('.').pop());
+    const destructuringRegex = /(?:const|let|var)\s*\{([^}]*)\}\s*=\s*(?:req|ctx(?:\.request)?)\.query\b/g;
+    let destructuring;
+    while ((destructuring = destructuringRegex.exec(source)) !== null) {
+      destructuring[1].split(',').forEach(entry => {
+        const name = entry.trim().match(/^([a-zA-Z_][a-zA-Z0-9_]*)/);
+        if (name) queryParams.push(name[1]);
+      });
+    }
+    queryParams.forEach(name => {
       if (!parameters.find(p => p.name === name)) {
         parameters.push({
           name,
@@ -593,286 +1193,4647 @@ class UniversalSwaggerGenerator {
       }
     });
 
-    if (content.includes('req.body') && ['post', 'put', 'patch'].includes(method)) {
-      parameters.push({
-        name: 'body',
-        in: 'body',
-        required: true,
-        schema: { type: 'object' }
-      });
-    }
-
-    return {
-      summary: `${method.toUpperCase()} ${endpoint || '/'}`,
+    const successStatus = this.handlerSuccessStatus(source);
+    const operation = {
+      summary: `${method.toUpperCase()} ${routePath || '/'}`,
       parameters,
       responses: {
-        '200': { description: 'Success' },
+        [successStatus]: { description: { 201: 'Created', 204: 'No Content' }[successStatus] || 'Success' },
         '400': { description: 'Bad Request' },
-        '401': { description: 'Unauthorized' },
         '404': { description: 'Not Found' },
         '500': { description: 'Internal Server Error' }
       }
     };
-  }
 
-  parseDjangoUrls(content, filePath) {
-    const paths = {};
-    
-    const pathRegex = /path\s*\(\s*['"]([^'"]*)['"]\s*,\s*([^,)]+)/g;
-    let match;
-    
-    while ((match = pathRegex.exec(content)) !== null) {
-      const urlPattern = match[1];
-      const viewName = match[2].trim();
-      
-      let cleanPath = '/' + urlPattern.replace(/\/$/, '');
-      if (cleanPath === '/') cleanPath = '/';
-      
-      cleanPath = cleanPath.replace(/<str:([^>]+)>/g, '{$1}');
-      cleanPath = cleanPath.replace(/<int:([^>]+)>/g, '{$1}');
-      cleanPath = cleanPath.replace(/<slug:([^>]+)>/g, '{$1}');
-      cleanPath = cleanPath.replace(/<uuid:([^>]+)>/g, '{$1}');
-      
-      if (!paths[cleanPath]) {
-        paths[cleanPath] = {};
-      }
-      
-      const methods = ['get', 'post', 'put', 'patch', 'delete'];
-      methods.forEach(method => {
-        paths[cleanPath][method] = {
-          summary: `${method.toUpperCase()} ${cleanPath}`,
-          parameters: this.extractDjangoParameters(cleanPath),
-          responses: {
-            '200': { description: 'Success' },
-            '400': { description: 'Bad Request' },
-            '401': { description: 'Unauthorized' },
-            '403': { description: 'Forbidden' },
-            '404': { description: 'Not Found' },
-            '500': { description: 'Internal Server Error' }
-          }
-        };
-      });
+    if ((source.includes('req.body') || source.includes('ctx.request.body')) && ['post', 'put', 'patch'].includes(method)) {
+      operation.requestBody = {
+        required: true,
+        content: { 'application/json': { schema: this.inferBodySchema(source) || { type: 'object' } } }
+      };
     }
-    
-    return paths;
+
+    this.applyValidationSchemas(operation, source, filePath);
+    return operation;
   }
-  
-  extractDjangoParameters(cleanPath) {
-    const parameters = [];
-    
-    const pathParams = cleanPath.match(/\{([^}]+)\}/g) || [];
-    pathParams.forEach(param => {
-      const name = param.slice(1, -1);
-      parameters.push({
-        name,
-        in: 'path',
-        required: true,
-        schema: { type: 'string' }
-      });
-    });
-    
-    return parameters;
+
+  // The 2xx a handler sets explicitly: Koa ctx.status = 201, Hapi h.response(user).code(201)
+  handlerSuccessStatus(source) {
+    const match = (source || '').match(/\bctx\s*\.\s*status\s*=\s*(2\d\d)\b|\.\s*response\s*\([^;]*?\)\s*\.\s*code\s*\(\s*(2\d\d)\s*\)/);
+    return match ? match[1] || match[2] : '200';
   }
 
-  findPlayFrameworkRouters() {
-    const routerFiles = [];
-    
+  // Express handlers are often passed by name: router.post('/', validate, createUser)
+  resolveHandlerSource(content, handler) {
+    const args = this.splitTopLevel(handler, ',');
+    const last = args[args.length - 1] || '';
+    const name = (last.match(/^(?:\w+\.)?(\w+)$/) || [])[1];
+    if (!name) return handler;
+
+    const definition = new RegExp(
+      `(?:function\\s+${name}\\s*(?:<[^>]*>)?\\s*\\(|(?:const|let|var)\\s+${name}\\s*(?::[^=]+)?=\\s*(?:async\\s*)?(?:function\\s*)?\\(|^\\s*(?:public\\s+)?(?:async\\s+)?${name}\\s*\\()`,
+      'm'
+    ).exec(content);
+    if (!definition) return handler;
+
+    const paramsStart = definition.index + definition[0].length - 1;
+    const params = this.extractBalanced(content, paramsStart);
+    const bodyStart = content.indexOf('{', paramsStart + params.length + 1);
+    return `${handler}\n${definition[0]}${params}) {${this.extractBalanced(content, bodyStart)}}`;
+  }
+
+  inferBodySchema(source) {
+    const typeText = this.findBodyType(source);
+    return typeText ? this.typeToSchema(typeText) : null;
+  }
+
+  findBodyType(source) {
+    if (!source) return null;
+
+    const patterns = [
+      // const body: CreateUserDto = await request.json() / const { name }: CreateUserDto = req.body
+      /(?:\w|\})\s*:\s*([^=;{}]+?)\s*=\s*(?:await\s+\w+\.json\s*\(\s*\)|\w+\.body\b)/,
+      // (await request.json()) as CreateUserDto / req.body as CreateUserDto
+      /(?:\.json\s*\(\s*\)\s*\)?|\b\w+\.body)\s+as\s+([^;,)\n]+)/,
+      // request.json<CreateUserDto>()
+      /\.json\s*<([^>()]+)>\s*\(/
+    ];
+    for (const pattern of patterns) {
+      const match = source.match(pattern);
+      if (match && !/^(any|unknown|object|const|\{\s*\})$/.test(match[1].trim())) {
+        return match[1].trim();
+      }
+    }
+
+    // req: Request<Params, ResBody, ReqBody> / RequestHandler<Params, ResBody, ReqBody>
+    const generic = source.match(/\b(Request|RequestHandler|TypedRequestBody)\s*</);
+    if (generic) {
+      const args = this.extractTypeArguments(source, generic.index + generic[0].length - 1);
+      const body = generic[1] === 'TypedRequestBody' ? args[0] : args[2];
+      if (body && !/^(any|unknown|object|\{\s*\})$/.test(body)) return body;
+    }
+
+    return null;
+  }
+
+  extractTypeArguments(text, openIndex) {
+    return this.splitTopLevel(text.substring(openIndex + 1, this.findClosingAngle(text, openIndex)), ',', true);
+  }
+
+  findClosingAngle(text, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < text.length; i++) {
+      if (text[i] === '<') depth++;
+      else if (text[i] === '>' && text[i - 1] !== '=') depth--;
+      if (depth === 0) return i;
+    }
+    return text.length;
+  }
+
+  // Project-wide index of TypeScript interfaces, type aliases, enums and classes
+  getTypeIndex() {
+    if (this.typeIndex) return this.typeIndex;
+
+    this.typeIndex = new Map();
+    this.findJSFiles('.')
+      .filter(file => file.endsWith('.ts') && !file.endsWith('.d.ts'))
+      .forEach(file => {
+        try {
+          this.indexTypeDeclarations(fs.readFileSync(file, 'utf8'), file);
+        } catch (e) {
+          // Skip files we can't read
+        }
+      });
+    return this.typeIndex;
+  }
+
+  indexTypeDeclarations(content, filePath) {
+    const source = this.stripComments(content);
+    const declarationRegex = /(?:^|[\s;])(?:export\s+)?(?:declare\s+)?(?:default\s+)?(?:abstract\s+)?(?:const\s+)?(interface|type|enum|class)\s+([A-Za-z_$][\w$]*)\s*/g;
+    let match;
+
+    while ((match = declarationRegex.exec(source)) !== null) {
+      const [, kind, name] = match;
+      if (this.typeIndex.has(name)) continue;
+
+      let cursor = match.index + match[0].length;
+      let generics = [];
+      if (source[cursor] === '<') {
+        const closeIndex = this.findClosingAngle(source, cursor);
+        generics = this.splitTopLevel(source.substring(cursor + 1, closeIndex), ',', true)
+          .map(param => param.split(/\s+extends\s+|=/)[0].trim());
+        cursor = closeIndex + 1;
+      }
+
+      const declaration = { kind, name, generics, heritage: [], file: filePath };
+      if (kind === 'type') {
+        const assignment = source.substring(cursor).match(/^\s*=/);
+        if (!assignment) continue;
+        declaration.text = this.readExpression(source, cursor + assignment[0].length, true);
+      } else {
+        const braceIndex = source.indexOf('{', cursor);
+        if (braceIndex === -1) continue;
+        const heading = source.substring(cursor, braceIndex);
+        const extendsClause = heading.match(/extends\s+([\s\S]+?)(?:\s+implements\s|$)/);
+        if (extendsClause) {
+          declaration.heritage = this.splitTopLevel(extendsClause[1], ',', true);
+        }
+        declaration.body = this.extractBalanced(source, braceIndex);
+      }
+
+      this.typeIndex.set(name, declaration);
+    }
+  }
+
+  // Reads an expression up to the end of its statement. Angle brackets only
+  // nest for TypeScript type expressions.
+  readExpression(source, start, angleBrackets = false) {
+    let depth = 0;
+    let quote = null;
+    for (let i = start; i < source.length; i++) {
+      const char = source[i];
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+        continue;
+      }
+      if (char === '"' || char === "'" || char === '`') quote = char;
+      else if ('([{'.includes(char) || (angleBrackets && char === '<')) depth++;
+      else if (')]}'.includes(char) || (angleBrackets && char === '>' && source[i - 1] !== '=')) depth--;
+      else if (depth === 0 && char === ';') return source.substring(start, i);
+      else if (depth === 0 && char === '\n') {
+        const before = source.substring(start, i).trim();
+        const after = source.substring(i + 1).trimStart();
+        if (before && !/[|&=:,<(.]$/.test(before) && !/^[|&.?]/.test(after)) {
+          return source.substring(start, i);
+        }
+      }
+      if (depth < 0) return source.substring(start, i);
+    }
+    return source.substring(start);
+  }
+
+  stripComments(content) {
+    return content
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/(^|[^:\\'"`])\/\/.*$/gm, '$1');
+  }
+
+  typeToSchema(typeText, generics = {}) {
+    let text = typeText.trim().replace(/^[|&]\s*/, '').replace(/^readonly\s+/, '');
+    if (!text) return {};
+
+    while (text.startsWith('(') && this.extractBalanced(text, 0).length === text.length - 2) {
+      text = text.slice(1, -1).trim();
+    }
+
+    const union = this.splitTopLevel(text, '|', true).filter(Boolean);
+    if (union.length > 1) return this.unionToSchema(union, generics);
+
+    const intersection = this.splitTopLevel(text, '&', true).filter(Boolean);
+    if (intersection.length > 1) {
+      return { allOf: intersection.map(part => this.typeToSchema(part, generics)) };
+    }
+
+    if (text.endsWith('[]')) {
+      return { type: 'array', items: this.typeToSchema(text.slice(0, -2), generics) };
+    }
+
+    if (text.startsWith('{') && this.extractBalanced(text, 0).length === text.length - 2) {
+      return this.objectTypeToSchema(text.slice(1, -1), generics);
+    }
+
+    if (text.startsWith('[') && text.endsWith(']')) {
+      const elements = this.splitTopLevel(text.slice(1, -1), ',', true);
+      return {
+        type: 'array',
+        items: elements.length === 1
+          ? this.typeToSchema(elements[0], generics)
+          : { oneOf: elements.map(element => this.typeToSchema(element, generics)) },
+        minItems: elements.length,
+        maxItems: elements.length
+      };
+    }
+
+    const literal = text.match(/^(['"`])(.*)\1$/);
+    if (literal) return { type: 'string', enum: [literal[2]] };
+    if (/^-?\d+(\.\d+)?$/.test(text)) return { type: 'number', enum: [Number(text)] };
+    if (text === 'true' || text === 'false') return { type: 'boolean', enum: [text === 'true'] };
+
+    // @nestjs/mapped-types: PartialType(CreateUserDto), PickType(CreateUserDto, ['name'] as const)
+    const mapped = text.match(/^(PartialType|PickType|OmitType|IntersectionType)\s*\(([\s\S]*)\)$/);
+    if (mapped) {
+      const args = this.splitTopLevel(mapped[2], ',', true);
+      if (mapped[1] === 'IntersectionType') return { allOf: args.map(arg => this.typeToSchema(arg, generics)) };
+      const keys = (args[1] || '').replace(/\s+as\s+const$/, '').replace(/^\[|\]$/g, '');
+      return this.genericTypeToSchema(mapped[1].replace(/Type$/, ''), [args[0], this.splitTopLevel(keys, ',').join(' | ')], generics);
+    }
+
+    const applied = text.match(/^([\w$.]+)\s*<([\s\S]*)>$/);
+    if (applied) {
+      const name = applied[1].split('.').pop();
+      const args = this.splitTopLevel(applied[2], ',', true);
+      return this.genericTypeToSchema(name, args, generics);
+    }
+
+    if (generics[text]) return generics[text];
+
+    const primitives = {
+      string: { type: 'string' },
+      number: { type: 'number' },
+      bigint: { type: 'integer', format: 'int64' },
+      boolean: { type: 'boolean' },
+      Date: { type: 'string', format: 'date-time' },
+      Buffer: { type: 'string', format: 'binary' },
+      Blob: { type: 'string', format: 'binary' },
+      File: { type: 'string', format: 'binary' },
+      object: { type: 'object' },
+      Object: { type: 'object' },
+      any: {},
+      unknown: {},
+      null: { nullable: true },
+      undefined: {}
+    };
+    if (primitives[text]) return { ...primitives[text] };
+
+    if (/^[\w$.]+$/.test(text)) {
+      return this.namedTypeToSchema(text.split('.').pop(), [], generics);
+    }
+
+    return { type: 'object' };
+  }
+
+  unionToSchema(parts, generics) {
+    const nullable = parts.some(part => part === 'null' || part === 'undefined');
+    const rest = parts.filter(part => part !== 'null' && part !== 'undefined');
+    const literals = rest.map(part => part.match(/^(['"`])(.*)\1$/));
+
+    let schema;
+    if (rest.length === 0) {
+      schema = {};
+    } else if (literals.every(Boolean)) {
+      schema = { type: 'string', enum: literals.map(literal => literal[2]) };
+    } else if (rest.every(part => /^-?\d+(\.\d+)?$/.test(part))) {
+      const values = rest.map(Number);
+      schema = { type: values.every(Number.isInteger) ? 'integer' : 'number', enum: values };
+    } else if (rest.every(part => part === 'true' || part === 'false')) {
+      schema = { type: 'boolean' };
+    } else if (rest.length === 1) {
+      schema = this.typeToSchema(rest[0], generics);
+    } else {
+      schema = { oneOf: rest.map(part => this.typeToSchema(part, generics)) };
+    }
+
+    if (nullable) {
+      schema = schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true };
+    }
+    return schema;
+  }
+
+  genericTypeToSchema(name, args, generics) {
+    const first = args[0] || 'unknown';
+
+    if (['Array', 'ReadonlyArray', 'Set'].includes(name)) {
+      return { type: 'array', items: this.typeToSchema(first, generics) };
+    }
+    if (['Promise', 'Readonly', 'Required', 'NonNullable'].includes(name)) {
+      return this.typeToSchema(first, generics);
+    }
+    if (name === 'Record' || name === 'Map') {
+      return { type: 'object', additionalProperties: this.typeToSchema(args[1] || 'unknown', generics) };
+    }
+    if (['Partial', 'Pick', 'Omit'].includes(name)) {
+      const target = this.dereferenceSchema(this.typeToSchema(first, generics));
+      if (!target.properties) return target;
+
+      const keys = (args[1] || '').split('|').map(key => key.trim().replace(/^['"`]|['"`]$/g, '')).filter(Boolean);
+      const schema = { ...target, properties: { ...target.properties } };
+      Object.keys(schema.properties).forEach(key => {
+        if ((name === 'Pick' && !keys.includes(key)) || (name === 'Omit' && keys.includes(key))) {
+          delete schema.properties[key];
+        }
+      });
+      if (name === 'Partial') {
+        delete schema.required;
+      } else if (schema.required) {
+        schema.required = schema.required.filter(key => schema.properties[key]);
+        if (schema.required.length === 0) delete schema.required;
+      }
+      return schema;
+    }
+
+    return this.namedTypeToSchema(name, args, generics);
+  }
+
+  dereferenceSchema(schema) {
+    if (!schema.$ref) return schema;
+    const name = schema.$ref.split('/').pop();
+    return this.schemas[name] || schema;
+  }
+
+  namedTypeToSchema(name, args, generics) {
+    const declaration = this.getTypeIndex().get(name);
+    if (!declaration) return { type: 'object' };
+
+    if (!this.schemas) this.schemas = {};
+    if (!this.genericArgumentNames) this.genericArgumentNames = new WeakMap();
+
+    // Type parameters in the arguments are named by what they are bound to, so Page<T> inside Page<TreeNode> is PageTreeNode
+    const bound = this.genericArgumentNames.get(generics) || {};
+    const resolvedArgs = args.map(arg => arg.replace(/[A-Za-z_$][\w$]*/g, word => bound[word] || word));
+    const componentName = name + resolvedArgs.map(arg => arg.replace(/\[\]/g, 'Array').replace(/[^\w]/g, '')).join('');
+    const ref = { $ref: `#/components/schemas/${componentName}` };
+    if (this.schemas[componentName]) return ref;
+
+    // Placeholder first so self-referencing types terminate
+    this.schemas[componentName] = { type: 'object' };
+
+    const typeArguments = {};
+    const argumentNames = {};
+    declaration.generics.forEach((param, index) => {
+      typeArguments[param] = args[index] ? this.typeToSchema(args[index], generics) : {};
+      if (resolvedArgs[index]) argumentNames[param] = resolvedArgs[index];
+    });
+    this.genericArgumentNames.set(typeArguments, argumentNames);
+    this.schemas[componentName] = this.declarationToSchema(declaration, typeArguments);
+    return ref;
+  }
+
+  declarationToSchema(declaration, generics) {
+    if (declaration.kind === 'type') {
+      return this.typeToSchema(declaration.text, generics);
+    }
+
+    if (declaration.kind === 'enum') {
+      let next = 0;
+      const values = this.splitTopLevel(declaration.body, ',').map(member => {
+        const [, initializer] = member.split('=').map(part => part.trim());
+        if (initializer === undefined) return next++;
+        const literal = initializer.match(/^(['"`])(.*)\1$/);
+        if (literal) return literal[2];
+        next = Number(initializer) + 1;
+        return Number(initializer);
+      });
+      const isString = values.every(value => typeof value === 'string');
+      return { type: isString ? 'string' : 'integer', enum: values };
+    }
+
+    const body = declaration.kind === 'class' ? this.stripMethodBodies(declaration.body) : declaration.body;
+    const own = this.objectTypeToSchema(body, generics);
+    if (declaration.heritage.length === 0) return own;
+    return {
+      allOf: [...declaration.heritage.map(parent => this.typeToSchema(parent, generics)), own]
+    };
+  }
+
+  objectTypeToSchema(body, generics) {
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+
+    this.splitTypeMembers(body).forEach(text => {
+      const { decorators, rest: member } = this.readDecorators(text);
+      if (!member) return;
+
+      const indexSignature = member.match(/^\[\s*\w+\s*:\s*(?:string|number)\s*\]\s*:\s*([\s\S]+)$/);
+      if (indexSignature) {
+        schema.additionalProperties = this.typeToSchema(indexSignature[1], generics);
+        return;
+      }
+
+      const property = member.match(/^(?:(?:public|protected|readonly|declare)\s+)*(['"]?)([\w$-]+)\1\s*([?!])?\s*:\s*([\s\S]+?)(?:\s*=\s*[^>][\s\S]*)?$/);
+      if (!property) return;
+
+      const [, , name, modifier, type] = property;
+      const validated = this.applyClassValidators(this.typeToSchema(type, generics), decorators);
+      if (validated.hidden) return;
+      schema.properties[name] = validated.schema;
+      if (modifier !== '?' && !validated.optional) required.push(name);
+    });
+
+    if (required.length > 0) schema.required = required;
+    return schema;
+  }
+
+  splitTypeMembers(body) {
+    const members = [];
+    this.splitTopLevel(this.stripComments(body), ';', true).forEach(statement => {
+      this.splitTopLevel(statement, ',', true).forEach(part => {
+        let current = '';
+        this.splitTopLevel(part, '\n', true).forEach(line => {
+          // Decorators on their own line belong to the member below them
+          const decoratorsOnly = current && !this.readDecorators(current).rest;
+          if (current && (decoratorsOnly || /^[|&]/.test(line) || /[|&:=(<,]$/.test(current))) {
+            current += ' ' + line;
+          } else {
+            if (current) members.push(current);
+            current = line;
+          }
+        });
+        if (current) members.push(current);
+      });
+    });
+    return members.filter(member => this.readDecorators(member).rest);
+  }
+
+  // Leading @Decorator(args) calls of a member or parameter and the declaration after them
+  readDecorators(text) {
+    const decorators = [];
+    let result = text.trim();
+    let match;
+    while ((match = result.match(/^@([\w$.]+)\s*/))) {
+      result = result.substring(match[0].length);
+      let args = [];
+      if (result.startsWith('(')) {
+        const inner = this.extractBalanced(result, 0);
+        args = this.splitTopLevel(inner, ',');
+        result = result.substring(inner.length + 2);
+      }
+      decorators.push({ name: match[1].split('.').pop(), args });
+      result = result.trim();
+    }
+    return { decorators, rest: result };
+  }
+
+  // class-validator and @nestjs/swagger property decorators: @IsEmail(), @MinLength(8), @IsOptional(), @ApiProperty({ example })
+  applyClassValidators(schema, decorators) {
+    const state = { schema, optional: false, hidden: false };
+    decorators.forEach(({ name, args }) => {
+      const first = this.parseLiteral(args[0]);
+      const options = args.map(arg => this.parseLiteral(arg)).find(arg => arg && typeof arg === 'object' && !Array.isArray(arg)) || {};
+      // { each: true } validates the items of an array property
+      const target = options.each && state.schema.type === 'array' ? state.schema.items : null;
+      const set = (key, value) => {
+        if (target) {
+          target[key] = value;
+          return;
+        }
+        if (state.schema.$ref) state.schema = { allOf: [state.schema] };
+        state.schema[key] = value;
+      };
+      const setType = (type, format) => {
+        const current = target || state.schema;
+        if (current.$ref || current.allOf || current.type === 'array') return;
+        set('type', type);
+        if (format) set('format', format);
+      };
+
+      switch (name) {
+        case 'IsOptional':
+          state.optional = true;
+          break;
+        case 'ApiHideProperty':
+        case 'Exclude':
+          state.hidden = true;
+          break;
+        case 'IsString':
+          setType('string');
+          break;
+        case 'IsInt':
+          setType('integer');
+          break;
+        case 'IsNumber':
+          setType('number');
+          break;
+        case 'IsBoolean':
+          setType('boolean');
+          break;
+        case 'IsDate':
+        case 'IsDateString':
+        case 'IsISO8601':
+          setType('string', 'date-time');
+          break;
+        case 'IsEmail':
+          set('format', 'email');
+          break;
+        case 'IsUrl':
+          set('format', 'uri');
+          break;
+        case 'IsUUID':
+          set('format', 'uuid');
+          break;
+        case 'IsEnum':
+          if (!args[0]) break;
+          if (target) state.schema.items = this.typeToSchema(args[0]);
+          else state.schema = this.typeToSchema(args[0]);
+          break;
+        case 'IsIn':
+          if (Array.isArray(first)) set('enum', first);
+          break;
+        case 'IsNotEmpty':
+          if ((target || state.schema).type === 'string') set('minLength', 1);
+          break;
+        case 'MinLength':
+        case 'MaxLength':
+          if (typeof first === 'number') set(name === 'MinLength' ? 'minLength' : 'maxLength', first);
+          break;
+        case 'Length': {
+          const max = this.parseLiteral(args[1]);
+          if (typeof first === 'number') set('minLength', first);
+          if (typeof max === 'number') set('maxLength', max);
+          break;
+        }
+        case 'Min':
+        case 'Max':
+          if (typeof first === 'number') set(name === 'Min' ? 'minimum' : 'maximum', first);
+          break;
+        case 'IsPositive':
+          set('minimum', 0);
+          set('exclusiveMinimum', true);
+          break;
+        case 'IsNegative':
+          set('maximum', 0);
+          set('exclusiveMaximum', true);
+          break;
+        case 'Matches': {
+          const regex = (args[0] || '').match(/^\/(.+)\/[a-z]*$/);
+          if (regex) set('pattern', regex[1]);
+          break;
+        }
+        case 'IsArray':
+          if (!state.schema.$ref && state.schema.type !== 'array') state.schema = { type: 'array', items: {} };
+          break;
+        case 'ArrayMinSize':
+        case 'ArrayMaxSize':
+          if (typeof first === 'number') set(name === 'ArrayMinSize' ? 'minItems' : 'maxItems', first);
+          break;
+        case 'ArrayNotEmpty':
+          set('minItems', 1);
+          break;
+        case 'ApiProperty':
+        case 'ApiPropertyOptional':
+          if (name === 'ApiPropertyOptional' || options.required === false) state.optional = true;
+          ['description', 'example', 'default', 'format'].forEach(key => {
+            if (options[key] !== undefined) set(key, options[key]);
+          });
+          if (Array.isArray(options.enum)) set('enum', options.enum);
+          break;
+      }
+    });
+    return state;
+  }
+
+  // Drops constructor and method bodies so only property declarations remain
+  stripMethodBodies(body) {
+    let result = '';
+    let cursor = 0;
+    const methodRegex = /\)\s*(?::\s*[^{;=]+)?\{/g;
+    let match;
+    while ((match = methodRegex.exec(body)) !== null) {
+      const openIndex = match.index + match[0].length - 1;
+      result += body.substring(cursor, match.index + 1) + ';';
+      cursor = openIndex + this.extractBalanced(body, openIndex).length + 2;
+      methodRegex.lastIndex = cursor;
+    }
+    return result + body.substring(cursor);
+  }
+
+  readSource(filePath) {
+    if (!this.sourceCache) this.sourceCache = new Map();
+    const key = path.resolve(filePath);
+    if (!this.sourceCache.has(key)) {
+      try {
+        this.sourceCache.set(key, fs.readFileSync(key, 'utf8'));
+      } catch (e) {
+        this.sourceCache.set(key, null);
+      }
+    }
+    return this.sourceCache.get(key);
+  }
+
+  // Links Zod / Joi / Yup schemas used by a handler to its requestBody, query and path parameters
+  applyValidationSchemas(operation, source, filePath) {
+    if (!source || !filePath) return;
+    const parameters = operation.parameters;
+
+    this.findValidationUsages(source, filePath).forEach(usage => {
+      if (usage.location === 'body') {
+        operation.requestBody = { required: true, content: { 'application/json': { schema: usage.schema } } };
+        return;
+      }
+
+      const target = this.dereferenceSchema(usage.schema);
+      const required = target.required || [];
+      Object.entries(target.properties || {}).forEach(([name, schema]) => {
+        const existing = parameters.find(param => param.name === name && param.in === usage.location);
+        if (existing) {
+          existing.schema = schema;
+          if (usage.location === 'query') existing.required = required.includes(name);
+        } else if (usage.location === 'query') {
+          parameters.push({ name, in: 'query', required: required.includes(name), schema });
+        }
+      });
+    });
+  }
+
+  findValidationUsages(source, filePath) {
+    const usages = [];
+    const locate = (text, fallback) => {
+      if (/query|searchParams/i.test(text)) return 'query';
+      if (/params/i.test(text)) return 'path';
+      if (/body|json|payload|form/i.test(text)) return 'body';
+      return fallback;
+    };
+    let match;
+
+    // createUserSchema.parse(req.body) / schema.validate(req.query)
+    const callRegex = /([A-Za-z_$][\w$]*)\s*\.\s*(?:parse|safeParse|parseAsync|safeParseAsync|validate|validateAsync|validateSync|cast)\s*\(/g;
+    while ((match = callRegex.exec(source)) !== null) {
+      const converted = this.resolveValidationReference(match[1], filePath);
+      if (!converted) continue;
+      const args = this.extractBalanced(source, match.index + match[0].length - 1);
+      usages.push({ location: locate(args, 'body'), schema: converted.schema });
+    }
+
+    // Middleware: validate(createUserSchema) / validateQuery(listSchema) / zValidator('query', schema)
+    const middlewareRegex = /\b(\w*[Vv]alidat\w*|celebrate|checkSchema)\s*\(/g;
+    while ((match = middlewareRegex.exec(source)) !== null) {
+      const args = this.splitTopLevel(this.extractBalanced(source, match.index + match[0].length - 1), ',');
+
+      if (args[0] && args[0].startsWith('{')) {
+        // celebrate({ [Segments.BODY]: Joi.object({...}), query: querySchema })
+        this.splitTopLevel(args[0].slice(1, -1), ',').forEach(entry => {
+          const [key, ...value] = this.splitTopLevel(entry, ':');
+          const location = locate(key || '', null);
+          const converted = location && value.length && this.convertValidationChain(value.join(':'), filePath);
+          if (converted) usages.push({ location, schema: converted.schema });
+        });
+        continue;
+      }
+
+      const hint = args.find(arg => /^['"`]/.test(arg)) || '';
+      args.forEach(arg => {
+        if (!/^[A-Za-z_$][\w$]*$/.test(arg)) return;
+        const converted = this.resolveValidationReference(arg, filePath);
+        if (converted) usages.push({ location: locate(hint || match[1], 'body'), schema: converted.schema });
+      });
+    }
+
+    return usages;
+  }
+
+  // Schema definitions in a file: const createUserSchema = z.object({...})
+  getValidationDefinitions(filePath) {
+    if (!this.validationDefinitions) this.validationDefinitions = new Map();
+    const key = path.resolve(filePath);
+    if (this.validationDefinitions.has(key)) return this.validationDefinitions.get(key);
+
+    const definitions = new Map();
+    this.validationDefinitions.set(key, definitions);
+    const content = this.readSource(key);
+    if (!content) return definitions;
+
+    const source = this.stripComments(content);
+    const add = (name, expression) => {
+      const isSchema = /^(z|zod|Joi|joi|yup|Yup)\s*\./.test(expression) ||
+        /^[A-Za-z_$][\w$]*\s*\.\s*(extend|merge|partial|pick|omit|keys|shape|concat|append|required)\s*\(/.test(expression);
+      if (isSchema) definitions.set(name, { name, expression, file: key });
+    };
+
+    // const CreateUser = z.object(...) / exports.CreateUser = ... / module.exports.CreateUser = ...
+    const definitionRegex = /(?:(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::\s*[^=]+?)?|\b(?:module\.)?exports\.([A-Za-z_$][\w$]*))\s*=\s*/g;
+    let match;
+    while ((match = definitionRegex.exec(source)) !== null) {
+      add(match[1] || match[2], this.readExpression(source, match.index + match[0].length).trim());
+    }
+
+    // module.exports = { CreateUser: z.object(...) }
+    const objectExport = source.match(/module\.exports\s*=\s*\{/);
+    if (objectExport) {
+      const body = this.extractBalanced(source, objectExport.index + objectExport[0].length - 1);
+      this.splitTopLevel(body, ',').forEach(entry => {
+        const property = entry.match(/^(['"]?)([A-Za-z_$][\w$]*)\1\s*:\s*([\s\S]+)$/);
+        if (property) add(property[2], property[3].trim());
+      });
+    }
+    return definitions;
+  }
+
+  findValidationDefinition(name, filePath) {
+    const local = this.getValidationDefinitions(filePath).get(name);
+    if (local) return local;
+
+    const content = this.readSource(filePath);
+    const imported = content && this.parseImports(content).get(name);
+    if (!imported) return null;
+
+    const resolved = this.resolveModulePath(path.resolve(filePath), imported.source);
+    if (!resolved) return null;
+    const exported = this.parseExports(this.readSource(resolved) || '').get(imported.name);
+    const definitions = this.getValidationDefinitions(resolved);
+    return definitions.get(exported) || definitions.get(imported.name) || null;
+  }
+
+  // Named schemas become components and are referenced with $ref
+  resolveValidationReference(name, filePath) {
+    const definition = this.findValidationDefinition(name, filePath);
+    if (!definition) return null;
+
+    if (!this.schemas) this.schemas = {};
+    if (!this.validationComponents) this.validationComponents = new Map();
+    const key = `${definition.file}#${definition.name}`;
+
+    if (!this.validationComponents.has(key)) {
+      const baseName = definition.name.charAt(0).toUpperCase() + definition.name.slice(1);
+      let componentName = baseName;
+      for (let i = 2; this.schemas[componentName]; i++) componentName = `${baseName}${i}`;
+
+      this.validationComponents.set(key, { componentName, library: null });
+      this.schemas[componentName] = { type: 'object' };
+      const converted = this.convertValidationChain(definition.expression, definition.file);
+      this.schemas[componentName] = converted ? converted.schema : {};
+      this.validationComponents.get(key).library = converted && converted.library;
+    }
+
+    const { componentName, library } = this.validationComponents.get(key);
+    return { schema: { $ref: `#/components/schemas/${componentName}` }, library, required: library === 'zod' };
+  }
+
+  // Validation schemas only used for req.query / req.params were expanded into parameters, so nothing refers to them
+  pruneValidationComponents(spec) {
+    if (!this.validationComponents) return;
+    const schemas = spec.components.schemas;
+    const names = [...this.validationComponents.values()].map(component => component.componentName);
+
+    let removed = true;
+    while (removed) {
+      removed = false;
+      names.filter(name => schemas[name]).forEach(name => {
+        const { [name]: own, ...others } = schemas;
+        const text = JSON.stringify([spec.paths, { ...spec.components, schemas: others }]);
+        if (!text.includes(`"#/components/schemas/${name}"`)) {
+          delete schemas[name];
+          removed = true;
+        }
+      });
+    }
+  }
+
+  parseCallChain(text) {
+    const head = text.match(/^([A-Za-z_$][\w$]*)/);
+    if (!head) return null;
+
+    const calls = [];
+    let cursor = head[0].length;
+    while (cursor < text.length) {
+      const member = text.substring(cursor).match(/^\s*\??\.\s*([A-Za-z_$][\w$]*)\s*/);
+      if (!member) break;
+      cursor += member[0].length;
+
+      let args = null;
+      if (text[cursor] === '(') {
+        args = this.extractBalanced(text, cursor);
+        cursor += args.length + 2;
+      }
+      calls.push({ name: member[1], args });
+    }
+    return { head: head[1], calls };
+  }
+
+  convertValidationChain(expression, filePath) {
+    const chain = this.parseCallChain(expression.trim());
+    if (!chain) return null;
+
+    const libraries = { z: 'zod', zod: 'zod', Joi: 'joi', joi: 'joi', yup: 'yup', Yup: 'yup' };
+    let library = libraries[chain.head];
+    const calls = chain.calls.slice();
+    let state;
+
+    if (library) {
+      // z.coerce.number() - skip namespace accessors
+      while (calls.length && calls[0].args === null) calls.shift();
+      const base = calls.shift();
+      if (!base) return null;
+      state = {
+        schema: this.validationBaseSchema(library, base, filePath),
+        required: library === 'zod'
+      };
+    } else {
+      const reference = this.resolveValidationReference(chain.head, filePath);
+      if (!reference) return null;
+      library = reference.library;
+      state = { schema: reference.schema, required: reference.required };
+    }
+
+    calls.forEach(call => this.applyValidationModifier(library, state, call, filePath));
+    return { ...state, library };
+  }
+
+  validationBaseSchema(library, call, filePath) {
+    const args = call.args ? this.splitTopLevel(call.args, ',') : [];
+    const convert = text => {
+      const converted = text && this.convertValidationChain(text, filePath);
+      return converted ? converted.schema : {};
+    };
+
+    switch (call.name) {
+      case 'object':
+        return args[0] && args[0].startsWith('{')
+          ? this.validationObjectSchema(args[0], filePath)
+          : { type: 'object' };
+      case 'string':
+        return { type: 'string' };
+      case 'number':
+        return { type: 'number' };
+      case 'bigint':
+        return { type: 'integer', format: 'int64' };
+      case 'boolean':
+      case 'bool':
+        return { type: 'boolean' };
+      case 'date':
+        return { type: 'string', format: 'date-time' };
+      case 'array':
+        return { type: 'array', items: convert(args[0]) };
+      case 'enum': {
+        const values = this.parseLiteral(args[0]);
+        return Array.isArray(values) ? { type: 'string', enum: values } : { type: 'string' };
+      }
+      case 'nativeEnum':
+        return this.typeToSchema(args[0] || 'unknown');
+      case 'literal': {
+        const value = this.parseLiteral(args[0]);
+        return { type: typeof value === 'number' ? 'number' : typeof value === 'boolean' ? 'boolean' : 'string', enum: [value] };
+      }
+      case 'union':
+      case 'discriminatedUnion': {
+        const options = this.splitTopLevel((args[args.length - 1] || '').replace(/^\[|\]$/g, ''), ',');
+        return { oneOf: options.map(convert) };
+      }
+      case 'alternatives':
+        return {};
+      case 'record':
+        return { type: 'object', additionalProperties: convert(args[args.length - 1]) };
+      case 'tuple': {
+        const items = this.splitTopLevel((args[0] || '').replace(/^\[|\]$/g, ''), ',');
+        return { type: 'array', items: { oneOf: items.map(convert) }, minItems: items.length, maxItems: items.length };
+      }
+      case 'lazy':
+        return convert((args[0] || '').replace(/^\(\s*\)\s*=>\s*/, ''));
+      case 'optional':
+      case 'nullable':
+        return convert(args[0]);
+      case 'valid': {
+        const values = args.map(arg => this.parseLiteral(arg));
+        return { type: typeof values[0] === 'number' ? 'number' : 'string', enum: values };
+      }
+      default:
+        return {};
+    }
+  }
+
+  validationObjectSchema(shapeText, filePath) {
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+
+    this.splitTopLevel(this.stripComments(shapeText.trim()).slice(1, -1), ',').forEach(entry => {
+      const property = entry.match(/^(['"]?)([\w$-]+)\1\s*(?::\s*([\s\S]+))?$/);
+      if (!property) return;
+
+      const converted = this.convertValidationChain(property[3] || property[2], filePath);
+      schema.properties[property[2]] = converted ? converted.schema : {};
+      if (converted && converted.required) required.push(property[2]);
+    });
+
+    if (required.length > 0) schema.required = required;
+    return schema;
+  }
+
+  applyValidationModifier(library, state, call, filePath) {
+    const args = call.args ? this.splitTopLevel(call.args, ',') : [];
+    const first = this.parseLiteral(args[0]);
+    const set = (key, value) => {
+      // $ref cannot carry sibling keywords in OpenAPI 3.0
+      if (state.schema.$ref) state.schema = { allOf: [state.schema] };
+      state.schema[key] = value;
+    };
+    const type = state.schema.type;
+    const bound = (kind) => {
+      if (typeof first !== 'number') return;
+      if (type === 'string') set(kind === 'min' ? 'minLength' : 'maxLength', first);
+      else if (type === 'array') set(kind === 'min' ? 'minItems' : 'maxItems', first);
+      else if (type === 'object') set(kind === 'min' ? 'minProperties' : 'maxProperties', first);
+      else set(kind === 'min' ? 'minimum' : 'maximum', first);
+    };
+    const convert = text => {
+      const converted = text && this.convertValidationChain(text, filePath);
+      return converted ? converted.schema : {};
+    };
+
+    switch (call.name) {
+      case 'optional':
+      case 'notRequired':
+        state.required = false;
+        break;
+      case 'required':
+      case 'defined':
+      case 'exist':
+        if (library === 'zod' && type === 'object' && state.schema.properties) {
+          state.schema.required = Object.keys(state.schema.properties);
+        } else {
+          state.required = true;
+        }
+        break;
+      case 'nullable':
+        set('nullable', true);
+        break;
+      case 'nullish':
+        set('nullable', true);
+        state.required = false;
+        break;
+      case 'allow':
+        if (args.includes('null')) set('nullable', true);
+        break;
+      case 'default':
+        if (first !== undefined) set('default', first);
+        if (library === 'zod') state.required = false;
+        break;
+      case 'min':
+      case 'gte':
+      case 'greater':
+      case 'moreThan':
+        bound('min');
+        if (['greater', 'moreThan'].includes(call.name)) set('exclusiveMinimum', true);
+        break;
+      case 'gt':
+        bound('min');
+        set('exclusiveMinimum', true);
+        break;
+      case 'max':
+      case 'lte':
+      case 'less':
+      case 'lessThan':
+        bound('max');
+        if (['less', 'lessThan'].includes(call.name)) set('exclusiveMaximum', true);
+        break;
+      case 'lt':
+        bound('max');
+        set('exclusiveMaximum', true);
+        break;
+      case 'length':
+        bound('min');
+        bound('max');
+        break;
+      case 'int':
+      case 'integer':
+        set('type', 'integer');
+        break;
+      case 'positive':
+        set('minimum', 0);
+        set('exclusiveMinimum', true);
+        break;
+      case 'nonnegative':
+        set('minimum', 0);
+        break;
+      case 'negative':
+        set('maximum', 0);
+        set('exclusiveMaximum', true);
+        break;
+      case 'email':
+        set('format', 'email');
+        break;
+      case 'url':
+      case 'uri':
+        set('format', 'uri');
+        break;
+      case 'uuid':
+      case 'guid':
+        set('format', 'uuid');
+        break;
+      case 'datetime':
+      case 'isoDate':
+      case 'iso':
+        set('format', 'date-time');
+        break;
+      case 'date':
+        set('format', 'date');
+        break;
+      case 'ip':
+        set('format', 'ipv4');
+        break;
+      case 'regex':
+      case 'pattern':
+      case 'matches': {
+        const regex = (args[0] || '').match(/^\/(.+)\/[a-z]*$/);
+        if (regex) set('pattern', regex[1]);
+        break;
+      }
+      case 'valid':
+      case 'oneOf': {
+        const values = call.name === 'oneOf' ? this.parseLiteral(args[0]) : args.map(arg => this.parseLiteral(arg));
+        if (Array.isArray(values)) set('enum', values.filter(value => value !== undefined && value !== null));
+        break;
+      }
+      case 'describe':
+      case 'description':
+        if (typeof first === 'string') set('description', first);
+        break;
+      case 'example':
+        if (first !== undefined) set('example', first);
+        break;
+      case 'array':
+        state.schema = { type: 'array', items: state.schema };
+        break;
+      case 'items':
+      case 'of':
+        set('items', convert(args[0]));
+        break;
+      case 'keys':
+      case 'shape':
+      case 'extend': {
+        if (!args[0] || !args[0].startsWith('{')) break;
+        const extension = this.validationObjectSchema(args[0], filePath);
+        if (state.schema.$ref) {
+          state.schema = { allOf: [state.schema, extension] };
+        } else {
+          state.schema.type = 'object';
+          state.schema.properties = { ...(state.schema.properties || {}), ...extension.properties };
+          const required = [...(state.schema.required || []), ...(extension.required || [])];
+          if (required.length > 0) state.schema.required = required;
+        }
+        break;
+      }
+      case 'merge':
+      case 'concat':
+        state.schema = { allOf: [state.schema, convert(args[0])] };
+        break;
+      case 'partial':
+      case 'pick':
+      case 'omit': {
+        const target = this.dereferenceSchema(state.schema);
+        if (!target.properties) break;
+        // zod: pick({ name: true }), yup: pick(['name'])
+        const keys = Array.isArray(first) ? first : Object.keys(first || {});
+        const schema = { ...target, properties: { ...target.properties } };
+        Object.keys(schema.properties).forEach(key => {
+          const inList = keys.includes(key);
+          if ((call.name === 'pick' && !inList) || (call.name === 'omit' && inList)) delete schema.properties[key];
+        });
+        if (call.name === 'partial') delete schema.required;
+        else if (schema.required) schema.required = schema.required.filter(key => schema.properties[key]);
+        if (schema.required && schema.required.length === 0) delete schema.required;
+        state.schema = schema;
+        break;
+      }
+      case 'strict':
+        set('additionalProperties', false);
+        break;
+      case 'passthrough':
+      case 'unknown':
+        set('additionalProperties', true);
+        break;
+      case 'or':
+        state.schema = { oneOf: [state.schema, convert(args[0])] };
+        break;
+      case 'try':
+        state.schema = { oneOf: args.map(convert) };
+        break;
+      default:
+        // trim(), toLowerCase(), refine(), transform(), label()... carry no schema information
+        break;
+    }
+  }
+
+  // Evaluates simple JavaScript literals: strings, numbers, booleans, arrays and objects
+  // resolve(name) looks up identifiers (constants, imported schemas); without it they stay undefined
+  parseLiteral(text, resolve = null) {
+    if (text === undefined) return undefined;
+    const value = text.trim().replace(/\s+(?:as\s+const|satisfies\s+[\w.<>[\]]+)$/, '');
+
+    const string = value.match(/^(['"`])([\s\S]*)\1$/);
+    if (string) return string[2];
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (value === 'null') return null;
+
+    if (value.startsWith('[') && value.endsWith(']')) {
+      return this.splitTopLevel(value.slice(1, -1), ',').map(item => this.parseLiteral(item, resolve));
+    }
+    if (value.startsWith('{') && value.endsWith('}')) {
+      const result = {};
+      this.splitTopLevel(value.slice(1, -1), ',').forEach(entry => {
+        if (resolve && entry.startsWith('...')) {
+          const spread = this.parseLiteral(entry.substring(3), resolve);
+          if (spread && typeof spread === 'object') Object.assign(result, spread);
+          return;
+        }
+        const [key, ...rest] = this.splitTopLevel(entry, ':');
+        if (!key) return;
+        const name = key.replace(/^['"`]|['"`]$/g, '');
+        if (rest.length) result[name] = this.parseLiteral(rest.join(':'), resolve);
+        else result[name] = resolve && /^[\w$]+$/.test(key) ? resolve(key) : true;
+      });
+      return result;
+    }
+    if (resolve && /^[A-Za-z_$][\w$]*(?:\.[\w$]+)*$/.test(value)) return resolve(value);
+    return undefined;
+  }
+
+
+  // swagger-jsdoc style blocks: /** @openapi\n * /users:\n *   get: ... */
+  parseAnnotations(content, filePath) {
+    const annotations = { paths: {}, components: {}, tags: [] };
+    const commentRegex = /\/\*\*([\s\S]*?)\*\//g;
+    let match;
+
+    while ((match = commentRegex.exec(content)) !== null) {
+      const lines = match[1].split('\n').map(line => line.replace(/^\s*\*\s?/, ''));
+      const tagIndex = lines.findIndex(line => /^\s*@(openapi|swagger)\b/.test(line));
+      if (tagIndex === -1) continue;
+
+      let document;
+      try {
+        document = this.parseYaml(lines.slice(tagIndex + 1).join('\n'));
+      } catch (error) {
+        console.warn(`⚠️  Could not parse @openapi block in ${filePath}: ${error.message}`);
+        continue;
+      }
+      if (!document || typeof document !== 'object') continue;
+
+      Object.entries(document).forEach(([key, value]) => {
+        if (key.startsWith('/')) {
+          annotations.paths[key] = this.deepMerge(annotations.paths[key] || {}, value || {});
+        } else if (key === 'components') {
+          annotations.components = this.deepMerge(annotations.components, value || {});
+        } else if (key === 'definitions') {
+          annotations.components = this.deepMerge(annotations.components, { schemas: value || {} });
+        } else if (key === 'tags' && Array.isArray(value)) {
+          annotations.tags.push(...value);
+        }
+      });
+    }
+
+    return annotations;
+  }
+
+  applyAnnotations(paths, annotations, deferUnmatched = false, routePrefixes = []) {
+    // The server URL already carries basePath: /api/users and /users name the same operation
+    const basePath = (this.config.basePath || '').replace(/\/$/, '');
+    const normalize = routePath => {
+      const clean = routePath.replace(/:(\w+)/g, '{$1}').replace(/\/$/, '') || '/';
+      if (!basePath || (clean !== basePath && !clean.startsWith(`${basePath}/`))) return clean;
+      return clean.substring(basePath.length) || '/';
+    };
+
+    // Annotations in a mounted router may be written relative to any level of its mount prefix
+    const prefixes = [...new Set(routePrefixes.reduce((all, prefix) => {
+      const segments = prefix.split('/').filter(Boolean);
+      return all.concat(segments.map((segment, i) => `/${segments.slice(0, i + 1).join('/')}`));
+    }, []))];
+
+    Object.entries(annotations.paths || {}).forEach(([annotatedPath, item]) => {
+      const target = normalize(annotatedPath);
+      let existing = Object.keys(paths).find(routePath => normalize(routePath) === target);
+      if (!existing) {
+        const prefixed = prefixes.map(prefix => normalize(this.joinUrlPaths(prefix, annotatedPath)));
+        existing = Object.keys(paths).find(routePath => prefixed.includes(normalize(routePath)));
+      }
+      if (!existing) {
+        // Routers whose mount point could not be resolved only know their local path,
+        // the annotated path is the authoritative one; resolved mount paths are kept
+        const candidates = Object.keys(paths)
+          .filter(routePath => this.unmountedPaths && this.unmountedPaths.has(routePath))
+          .filter(routePath => normalize(routePath).endsWith(target));
+        if (candidates.length === 1) {
+          paths[annotatedPath] = this.deepMerge(paths[annotatedPath] || {}, paths[candidates[0]]);
+          delete paths[candidates[0]];
+          existing = annotatedPath;
+        }
+      }
+      if (!existing && deferUnmatched) {
+        this.pendingAnnotations.push({ paths: { [annotatedPath]: item }, routePrefixes });
+        return;
+      }
+
+      const key = existing || annotatedPath;
+      // An annotated requestBody replaces the inferred one instead of merging into its schema, and
+      // annotated success responses replace the inferred 2xx defaults (a documented 201 drops the 200)
+      Object.entries(item || {}).forEach(([method, operation]) => {
+        const inferred = paths[key] && paths[key][method];
+        if (!inferred || !operation) return;
+        if (operation.requestBody) delete inferred.requestBody;
+        const declared = Object.keys(operation.responses || {}).filter(code => /^2/.test(code));
+        if (declared.length > 0 && inferred.responses) {
+          Object.keys(inferred.responses)
+            .filter(code => /^2/.test(code) && !declared.includes(code))
+            .forEach(code => delete inferred.responses[code]);
+        }
+      });
+      paths[key] = this.deepMerge(paths[key] || {}, item);
+    });
+
+    if (annotations.components && this.components) {
+      Object.assign(this.components, this.deepMerge(this.components, annotations.components));
+    }
+    (annotations.tags || []).forEach(tag => {
+      if (this.annotationTags && !this.annotationTags.some(existing => existing.name === tag.name)) {
+        this.annotationTags.push(tag);
+      }
+    });
+  }
+
+  deepMerge(target, source) {
+    if (Array.isArray(target) && Array.isArray(source)) {
+      // Parameters are matched by name and location, other arrays are replaced
+      if (source.every(item => item && item.name && item.in)) {
+        const merged = target.slice();
+        source.forEach(item => {
+          const index = merged.findIndex(existing => existing && existing.name === item.name && existing.in === item.in);
+          if (index === -1) merged.push(item);
+          else merged[index] = this.deepMerge(merged[index], item);
+        });
+        return merged;
+      }
+      return source.slice();
+    }
+
+    if (!target || !source || typeof target !== 'object' || typeof source !== 'object' ||
+        Array.isArray(target) || Array.isArray(source)) {
+      return source;
+    }
+
+    const result = { ...target };
+    Object.entries(source).forEach(([key, value]) => {
+      result[key] = key in target ? this.deepMerge(target[key], value) : value;
+    });
+    return result;
+  }
+
+  // Minimal YAML reader covering what swagger-jsdoc blocks use: block mappings and
+  // sequences, flow collections, quoted/plain scalars and | / > block scalars
+  parseYaml(text) {
+    const lines = text.replace(/\t/g, '  ').replace(/\r/g, '').split('\n');
+    let index = 0;
+
+    const indentOf = line => line.match(/^ */)[0].length;
+    const isBlank = line => !line.trim() || line.trim().startsWith('#');
+    const isSequenceItem = line => /^-(\s|$)/.test(line.trim());
+    const skipBlank = () => {
+      while (index < lines.length && isBlank(lines[index])) index++;
+    };
+
+    const stripComment = value => {
+      let quote = null;
+      for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+        if (quote) {
+          if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+          quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(value[i - 1]))) {
+          return value.substring(0, i).trim();
+        }
+      }
+      return value.trim();
+    };
+
+    const splitKey = text => {
+      const quoted = text.match(/^(['"])(.*?)\1\s*:(?:\s+|$)(.*)$/);
+      if (quoted) return [quoted[2], stripComment(quoted[3])];
+      const plain = text.match(/^([^\s#'"{[][^#]*?)\s*:(?:\s+|$)(.*)$/);
+      if (plain) return [plain[1], stripComment(plain[2])];
+      return null;
+    };
+
+    const parseScalar = value => {
+      if (value === '' || value === '~' || value === 'null') return null;
+      if (value === 'true' || value === 'false') return value === 'true';
+      if (/^-?\d+$/.test(value)) return parseInt(value, 10);
+      if (/^-?\d*\.\d+([eE][-+]?\d+)?$/.test(value)) return parseFloat(value);
+      if (value.startsWith('"') && value.endsWith('"')) return JSON.parse(value);
+      if (value.startsWith("'") && value.endsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+      if (value.startsWith('[') && value.endsWith(']')) {
+        return this.splitTopLevel(value.slice(1, -1), ',').map(parseScalar);
+      }
+      if (value.startsWith('{') && value.endsWith('}')) {
+        const result = {};
+        this.splitTopLevel(value.slice(1, -1), ',').forEach(entry => {
+          const pair = splitKey(entry) || [entry, ''];
+          result[pair[0]] = parseScalar(pair[1]);
+        });
+        return result;
+      }
+      return value;
+    };
+
+    const parseBlockScalar = (indicator, parentIndent) => {
+      const collected = [];
+      while (index < lines.length && (!lines[index].trim() || indentOf(lines[index]) > parentIndent)) {
+        collected.push(lines[index]);
+        index++;
+      }
+      while (collected.length && !collected[collected.length - 1].trim()) collected.pop();
+
+      const blockIndent = Math.min(...collected.filter(line => line.trim()).map(indentOf));
+      const content = collected.map(line => line.substring(blockIndent));
+      const text = indicator.startsWith('>')
+        ? content.join('\n').replace(/([^\n])\n(?=[^\n ])/g, '$1 ')
+        : content.join('\n');
+      return indicator.includes('-') ? text : `${text}\n`;
+    };
+
+    const parseValue = (value, parentIndent) => {
+      if (/^[|>][+-]?\d*$/.test(value)) return parseBlockScalar(value, parentIndent);
+
+      // Plain scalars may continue on more indented lines
+      let text = value;
+      while (!/^[[{'"]/.test(value) && index < lines.length && !isBlank(lines[index]) &&
+             indentOf(lines[index]) > parentIndent) {
+        text += ' ' + lines[index].trim();
+        index++;
+      }
+      return parseScalar(text);
+    };
+
+    const parseNested = parentIndent => {
+      skipBlank();
+      if (index >= lines.length) return null;
+      const line = lines[index];
+      const indent = indentOf(line);
+      if (indent > parentIndent || (indent === parentIndent && isSequenceItem(line))) {
+        return parseBlock(indent);
+      }
+      return null;
+    };
+
+    const parseMapping = indent => {
+      const result = {};
+      while (true) {
+        skipBlank();
+        if (index >= lines.length || indentOf(lines[index]) !== indent || isSequenceItem(lines[index])) break;
+        const entry = splitKey(lines[index].trim());
+        if (!entry) throw new Error(`Unexpected line: ${lines[index].trim()}`);
+        index++;
+
+        const [key, value] = entry;
+        result[key] = value === '' ? parseNested(indent) : parseValue(value, indent);
+      }
+      return result;
+    };
+
+    const parseSequence = indent => {
+      const result = [];
+      while (true) {
+        skipBlank();
+        if (index >= lines.length || indentOf(lines[index]) !== indent || !isSequenceItem(lines[index])) break;
+
+        const trimmed = lines[index].trim();
+        const rest = trimmed.substring(1).trim();
+        if (!rest) {
+          index++;
+          result.push(parseNested(indent + 1));
+        } else if (splitKey(rest) && !/^[[{'"]/.test(rest)) {
+          // "- name: id" starts a mapping aligned with the text after the dash
+          const itemIndent = indent + trimmed.indexOf(rest);
+          lines[index] = ' '.repeat(itemIndent) + rest;
+          result.push(parseMapping(itemIndent));
+        } else {
+          index++;
+          result.push(parseValue(rest, indent));
+        }
+      }
+      return result;
+    };
+
+    const parseBlock = indent => (isSequenceItem(lines[index]) ? parseSequence(indent) : parseMapping(indent));
+
+    skipBlank();
+    if (index >= lines.length) return null;
+    return parseBlock(indentOf(lines[index]));
+  }
+
+  parseDjangoUrls(content, filePath) {
+    const paths = {};
+    const source = this.stripPythonComments(content);
+    const prefixes = (this.djangoIncludes && this.djangoIncludes.get(path.normalize(filePath))) || [{ path: '', params: {} }];
+    const entries = this.findDjangoPatterns(source);
+
+    prefixes.forEach(prefix => {
+      entries.forEach(entry => {
+        // include() targets are parsed from their own module; admin.site.urls is not part of the API
+        if (entry.include || /\.site\.urls$/.test(entry.view)) return;
+
+        const route = this.joinDjangoRoutes(prefix, entry.route);
+        const cleanPath = route.path;
+        const view = this.resolveDjangoView(entry.view, filePath);
+        const methods = view ? view.methods : ['get', 'post', 'put', 'patch', 'delete'];
+
+        methods.forEach(method => {
+          if (!paths[cleanPath]) {
+            paths[cleanPath] = {};
+          }
+          paths[cleanPath][method] = this.djangoOperation(method, cleanPath, {
+            params: route.params,
+            docstring: view && view.docs[method],
+            ...this.serializerSchemas(view && view.serializers && view.serializers[method], method)
+          });
+        });
+      });
+
+      this.findDjangoRouters(source, entries).forEach(router => {
+        router.mounts.forEach(mount => {
+          router.registrations.forEach(registration => {
+            const route = this.joinDjangoRoutes(prefix, mount, this.djangoRoute(registration.prefix, true));
+            this.addViewSetRoutes(paths, route, registration);
+          });
+        });
+      });
+    });
+
+    return paths;
+  }
+
+  djangoOperation(method, cleanPath, { params, docstring, description, operationId, requestSchema, responseSchema } = {}) {
+    // The first docstring line is the summary, the rest becomes the description
+    const [summary, ...details] = (docstring || '').split('\n');
+    const operation = {
+      summary: summary ? summary.trim() : `${method.toUpperCase()} ${cleanPath}`,
+      parameters: this.extractDjangoParameters(cleanPath, params),
+      responses: {
+        '200': { description: 'Success' },
+        '400': { description: 'Bad Request' },
+        '401': { description: 'Unauthorized' },
+        '403': { description: 'Forbidden' },
+        '404': { description: 'Not Found' },
+        '500': { description: 'Internal Server Error' }
+      }
+    };
+    const detail = details.join('\n').trim();
+    if (detail || description) operation.description = [detail, description].filter(Boolean).join('\n\n');
+    if (operationId) operation.operationId = operationId;
+    if (requestSchema) {
+      operation.requestBody = { required: true, content: { 'application/json': { schema: requestSchema } } };
+    }
+    if (responseSchema) {
+      operation.responses['200'].content = { 'application/json': { schema: responseSchema } };
+    }
+    return operation;
+  }
+
+  // Django route pattern -> { path, params } with converters and named groups as {name}
+  djangoRoute(pattern, isRegex = false) {
+    const params = {};
+    let routePath;
+
+    if (isRegex) {
+      routePath = this.djangoRegexToTemplate(pattern, params);
+    } else {
+      routePath = pattern.replace(/<(?:(\w+):)?(\w+)>/g, (match, converter, name) => {
+        params[name] = this.djangoConverterSchema(converter || 'str');
+        return `{${name}}`;
+      });
+    }
+    return { path: routePath, params };
+  }
+
+  joinDjangoRoutes(...routes) {
+    return {
+      path: this.joinUrlPaths(...routes.map(route => route.path)),
+      params: Object.assign({}, ...routes.map(route => route.params))
+    };
+  }
+
+  djangoConverterSchema(converter) {
+    const builtIn = {
+      str: { type: 'string' },
+      int: { type: 'integer', minimum: 0 },
+      slug: { type: 'string', pattern: '^[-a-zA-Z0-9_]+$' },
+      uuid: { type: 'string', format: 'uuid' },
+      path: { type: 'string' }
+    };
+    if (builtIn[converter]) return { ...builtIn[converter] };
+
+    const custom = this.getDjangoConverters().get(converter);
+    return custom ? { ...custom } : { type: 'string' };
+  }
+
+  // register_converter(FourDigitYearConverter, 'yyyy') -> schema from the converter's regex / to_python
+  getDjangoConverters() {
+    if (this.djangoConverters) return this.djangoConverters;
+    this.djangoConverters = new Map();
+
+    this.findPythonFiles(this.djangoRoot || '.').forEach(file => {
+      const content = this.stripPythonComments(this.readSource(file) || '');
+      const registerRegex = /register_converter\s*\(\s*([\w.]+)\s*,\s*['"](\w+)['"]/g;
+      let match;
+
+      while ((match = registerRegex.exec(content)) !== null) {
+        const declaration = this.getPythonClassIndex().get(match[1].split('.').pop());
+        const schema = { type: 'string' };
+        if (declaration) {
+          const regex = declaration.body.match(/^[ \t]+regex\s*=\s*([^\n]+)/m);
+          const toPython = this.findPythonDefinitionInSource(declaration.body, 'to_python');
+          const returns = toPython ? toPython.body : '';
+          if (/\breturn\s+int\s*\(/.test(returns)) schema.type = 'integer';
+          else if (/\breturn\s+(float|Decimal)\s*\(/.test(returns)) schema.type = 'number';
+          else if (/\breturn\s+(uuid\.)?UUID\s*\(/.test(returns)) schema.format = 'uuid';
+          if (regex && this.pythonString(regex[1]) && schema.type === 'string' && !schema.format) {
+            schema.pattern = this.anchoredRegex(this.pythonString(regex[1]));
+          }
+        }
+        this.djangoConverters.set(match[2], schema);
+      }
+    });
+    return this.djangoConverters;
+  }
+
+  // re_path(r'^users/(?P<pk>[0-9]+)/$') -> 'users/{pk}/' with a schema per named group;
+  // unnamed groups and matching tokens outside groups (\d+, [a-z]+, .) become {paramN}
+  djangoRegexToTemplate(regex, params, counter = { unnamed: 0 }) {
+    let template = '';
+    let position = 0;
+    const source = regex.replace(/^\^/, '').replace(/(\$|\\Z)$/, '');
+    const addParam = pattern => {
+      const name = `param${++counter.unnamed}`;
+      params[name] = this.regexParamSchema(pattern);
+      template += `{${name}}`;
+    };
+
+    while (position < source.length) {
+      const char = source[position];
+      let token = null;
+
+      if (char === '\\' && /[dDwWsS]/.test(source[position + 1] || '')) {
+        token = source.substring(position, position + 2);
+      } else if (char === '\\') {
+        const literal = source[position + 1] || '';
+        position += 2;
+        const quantifier = this.regexQuantifierAt(source, position);
+        position += quantifier.length;
+        template += this.repeatRegexLiteral(literal, quantifier);
+        continue;
+      } else if (char === '[') {
+        token = source.substring(position, this.findRegexClassEnd(source, position) + 1);
+      } else if (char === '.') {
+        token = char;
+      } else if (char === '(') {
+        const end = this.findRegexGroupEnd(source, position);
+        const group = source.substring(position + 1, end);
+        const named = group.match(/^\?P<(\w+)>([\s\S]*)$/);
+        position = end + 1;
+        position += this.regexQuantifierAt(source, position).length;
+
+        if (named) {
+          params[named[1]] = this.regexParamSchema(named[2]);
+          template += `{${named[1]}}`;
+        } else if (group.startsWith('?:')) {
+          template += this.djangoRegexToTemplate(group.substring(2), params, counter);
+        } else if (!group.startsWith('?')) {
+          addParam(group);
+        }
+        continue;
+      } else if ('^$?*+|'.includes(char)) {
+        position++;
+        continue;
+      } else {
+        position++;
+        const quantifier = this.regexQuantifierAt(source, position);
+        position += quantifier.length;
+        template += this.repeatRegexLiteral(char, quantifier);
+        continue;
+      }
+
+      position += token.length;
+      const quantifier = this.regexQuantifierAt(source, position);
+      position += quantifier.length;
+      addParam(token + quantifier);
+    }
+    return template;
+  }
+
+  // ?, *, +, {4} or {2,5} (optionally lazy) at a position, '' when there is none
+  regexQuantifierAt(source, position) {
+    const match = source.substring(position).match(/^(?:[?*+]|\{\d+(?:,\d*)?\})\??/);
+    return match ? match[0] : '';
+  }
+
+  // A literal keeps its {n} repetitions; optional or open-ended repeats collapse to one occurrence
+  repeatRegexLiteral(literal, quantifier) {
+    const exact = quantifier.match(/^\{(\d+)\}/);
+    return exact ? literal.repeat(Number(exact[1])) : literal;
+  }
+
+  findRegexClassEnd(source, start) {
+    for (let i = start + 1; i < source.length; i++) {
+      if (source[i] === '\\') i++;
+      else if (source[i] === ']' && i > start + 1) return i;
+    }
+    return source.length - 1;
+  }
+
+  findRegexGroupEnd(source, start) {
+    let depth = 0;
+    let inClass = false;
+    for (let i = start; i < source.length; i++) {
+      const char = source[i];
+      if (char === '\\') {
+        i++;
+      } else if (inClass) {
+        if (char === ']') inClass = false;
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')' && --depth === 0) {
+        return i;
+      }
+    }
+    return source.length;
+  }
+
+  regexParamSchema(pattern) {
+    if (/^(\\d|\[0-9\])(\+|\{\d+(,\d*)?\})$/.test(pattern)) return { type: 'integer' };
+    if (/^\[0-9a-fA-F-\]\{36\}$|^\[0-9a-f-\]\+$/.test(pattern)) return { type: 'string', format: 'uuid' };
+    return { type: 'string', pattern: this.anchoredRegex(pattern) };
+  }
+
+  // An alternation is grouped so the anchors apply to every branch: 1|2 -> ^(?:1|2)$
+  anchoredRegex(pattern) {
+    return pattern.includes('|') ? `^(?:${pattern})$` : `^${pattern}$`;
+  }
+
+  // path() / re_path() / url() entries, with include() targets split out
+  findDjangoPatterns(source) {
+    const entries = [];
+    const pathRegex = /(?<![\w.])(path|re_path|url)\s*\(/g;
+    let match;
+
+    while ((match = pathRegex.exec(source)) !== null) {
+      const args = this.splitTopLevel(this.extractBalanced(source, match.index + match[0].length - 1), ',');
+      const pattern = this.pythonString(args[0]);
+      if (pattern === null || !args[1]) continue;
+
+      const entry = { pattern, route: this.djangoRoute(pattern, match[1] !== 'path'), view: args[1] };
+      const include = args[1].match(/^include\s*\(/);
+      if (include) {
+        const target = this.splitTopLevel(this.extractBalanced(args[1], include[0].length - 1), ',')[0] || '';
+        const tuple = target.match(/^\(\s*([\s\S]*)\)$/);
+        const first = tuple ? this.splitTopLevel(tuple[1], ',')[0] : target;
+        const router = first.match(/^(\w+)\.urls$/);
+        entry.include = router ? { router: router[1] } : { module: this.pythonString(first) };
+      }
+      entries.push(entry);
+    }
+    return entries;
+  }
+
+  findDjangoRouters(source, entries) {
+    const routers = [];
+    const routerRegex = /^[ \t]*(\w+)\s*=\s*(?:[\w.]+\.)?(\w*Router)\s*\(/gm;
+    let match;
+
+    while ((match = routerRegex.exec(source)) !== null) {
+      const name = match[1];
+      const registrations = [];
+      const registerRegex = new RegExp(`\\b${name}\\.register\\s*\\(`, 'g');
+      let register;
+
+      while ((register = registerRegex.exec(source)) !== null) {
+        const args = this.splitTopLevel(this.extractBalanced(source, register.index + register[0].length - 1), ',');
+        const prefix = this.pythonString(args[0]);
+        const viewSet = (args[1] || '').split('.').pop().trim();
+        if (prefix === null || !viewSet) continue;
+
+        const basenameArg = args.find(arg => /^(basename|base_name)\s*=/.test(arg));
+        const basename = basenameArg ? this.pythonString(basenameArg.split('=')[1]) : null;
+        registrations.push({ prefix, viewSet, basename: basename || prefix.replace(/\W+/g, '_') || viewSet });
+      }
+
+      // router.urls mounted through include(), or appended to urlpatterns directly
+      const included = entries.filter(entry => entry.include && entry.include.router === name);
+      const references = (source.match(new RegExp(`\\b${name}\\.urls\\b`, 'g')) || []).length;
+      const mounts = included.map(entry => entry.route);
+      if (references > included.length || mounts.length === 0) mounts.push({ path: '', params: {} });
+
+      routers.push({ name, registrations, mounts });
+    }
+    return routers;
+  }
+
+  addViewSetRoutes(paths, route, registration) {
+    const viewSet = this.resolveViewSet(registration.viewSet);
+    const basePath = route.path;
+    const detailPath = `${basePath}/{${viewSet.lookup}}`;
+    const params = { ...route.params, [viewSet.lookup]: viewSet.lookupRegex ? this.regexParamSchema(viewSet.lookupRegex) : { type: 'string' } };
+    const allowed = method => !viewSet.httpMethods || viewSet.httpMethods.includes(method);
+
+    const add = (routePath, method, action, operationName = action) => {
+      if (!allowed(method)) return;
+      if (!paths[routePath]) paths[routePath] = {};
+      paths[routePath][method] = this.djangoOperation(method, routePath, {
+        params,
+        docstring: viewSet.docs[action] || viewSet.docstring,
+        description: `ViewSet: ${registration.viewSet}.${action}`,
+        operationId: `${registration.basename}_${operationName}`,
+        ...this.serializerSchemas(this.viewSetSerializer(viewSet, action), method)
+      });
+    };
+
+    const routes = {
+      list: [basePath, 'get'],
+      create: [basePath, 'post'],
+      retrieve: [detailPath, 'get'],
+      update: [detailPath, 'put'],
+      partial_update: [detailPath, 'patch'],
+      destroy: [detailPath, 'delete']
+    };
+    Object.entries(routes).forEach(([action, [routePath, method]]) => {
+      if (viewSet.actions.has(action)) add(routePath, method, action);
+    });
+
+    viewSet.extraActions.forEach(extra => {
+      const routePath = this.joinUrlPaths(extra.detail ? detailPath : basePath, extra.urlPath);
+      extra.methods.forEach(method => add(routePath, method, extra.name, extra.methods.length > 1 ? `${extra.name}_${method}` : extra.name));
+    });
+  }
+
+  // Resolves the view passed to path() and reads which HTTP methods it handles
+  resolveDjangoView(view, filePath) {
+    const asView = view.match(/^([\w.]+)\.as_view\s*\(([\s\S]*)\)$/);
+    if (asView) {
+      const declaration = this.findPythonDefinition(asView[1], filePath);
+      const mapping = asView[2].trim().match(/^\{([\s\S]*)\}/);
+      if (mapping) {
+        // ViewSet.as_view({'get': 'list'}) binds methods to actions explicitly
+        const handlers = {};
+        this.splitTopLevel(mapping[1], ',').forEach(pair => {
+          const [method, action] = this.splitTopLevel(pair, ':').map(part => this.pythonString(part));
+          if (method && action) handlers[method.toLowerCase()] = action;
+        });
+        const docs = {};
+        const serializers = {};
+        const viewSet = declaration && this.resolveViewSet(declaration.name);
+        Object.entries(handlers).forEach(([method, action]) => {
+          const handler = declaration && this.findPythonDefinition(action, null, declaration.body);
+          docs[method] = (handler && handler.docstring) || (declaration && declaration.docstring);
+          if (viewSet) serializers[method] = this.viewSetSerializer(viewSet, action);
+        });
+        return { methods: Object.keys(handlers), docs, serializers };
+      }
+      if (!declaration) {
+        // Generic views imported from Django / DRF packages are only known by name
+        const name = asView[1].split('.').pop();
+        return this.classViewMethods({ name, bases: [name], body: '', docstring: null });
+      }
+      return declaration.kind === 'class' ? this.classViewMethods(declaration) : null;
+    }
+
+    // Wrapped views such as csrf_exempt(views.upload) or login_required(views.home)
+    const wrapped = view.match(/^[\w.]+\s*\(([\s\S]*)\)$/);
+    if (wrapped) return this.resolveDjangoView(this.splitTopLevel(wrapped[1], ',')[0] || '', filePath);
+
+    if (!/^[\w.]+$/.test(view)) return null;
+    const declaration = this.findPythonDefinition(view, filePath);
+    if (!declaration) return null;
+    return declaration.kind === 'class' ? this.classViewMethods(declaration) : this.functionViewMethods(declaration);
+  }
+
+  functionViewMethods(declaration) {
+    const decorators = declaration.decorators;
+    let methods = null;
+
+    const apiView = decorators.match(/@api_view\b\s*(?:\(([\s\S]*?)\))?/);
+    const requireMethods = decorators.match(/@require_http_methods\s*\(([\s\S]*?)\)/);
+    const shortcut = decorators.match(/@require_(GET|POST|safe)\b/);
+    if (apiView) {
+      methods = this.pythonStringList(apiView[1] || '');
+      if (methods.length === 0) methods = ['get'];
+    } else if (requireMethods) {
+      methods = this.pythonStringList(requireMethods[1]);
+    } else if (shortcut) {
+      methods = [shortcut[1] === 'POST' ? 'post' : 'get'];
+    } else {
+      // Plain function views: GET plus whatever request.method branches or body access reveal
+      methods = ['get'];
+      const branches = declaration.body.match(/request\.method\s*(?:==|!=|in)\s*(\[[^\]]*\]|\([^)]*\)|['"]\w+['"])/g) || [];
+      branches.forEach(branch => methods.push(...this.pythonStringList(branch.replace(/^[^'"([]+/, ''))));
+      if (branches.length === 0 && /request\.(POST|FILES|body|data)\b/.test(declaration.body)) methods.push('post');
+    }
+
+    methods = [...new Set(methods.filter(method => method !== 'head' && method !== 'options'))];
+    const docs = {};
+    methods.forEach(method => {
+      docs[method] = declaration.docstring;
+    });
+    return { methods, docs };
+  }
+
+  classViewMethods(declaration, seen = new Set()) {
+    const genericMethods = {
+      ListAPIView: ['get'],
+      CreateAPIView: ['post'],
+      RetrieveAPIView: ['get'],
+      DestroyAPIView: ['delete'],
+      UpdateAPIView: ['put', 'patch'],
+      ListCreateAPIView: ['get', 'post'],
+      RetrieveUpdateAPIView: ['get', 'put', 'patch'],
+      RetrieveDestroyAPIView: ['get', 'delete'],
+      RetrieveUpdateDestroyAPIView: ['get', 'put', 'patch', 'delete'],
+      TemplateView: ['get'],
+      ListView: ['get'],
+      DetailView: ['get'],
+      RedirectView: ['get'],
+      FormView: ['get', 'post'],
+      CreateView: ['get', 'post'],
+      UpdateView: ['get', 'post'],
+      DeleteView: ['get', 'post'],
+      LoginView: ['get', 'post'],
+      LogoutView: ['post'],
+      ObtainAuthToken: ['post'],
+      TokenObtainPairView: ['post'],
+      TokenRefreshView: ['post'],
+      TokenVerifyView: ['post'],
+      View: [],
+      APIView: [],
+      GenericAPIView: []
+    };
+    const httpMethods = ['get', 'post', 'put', 'patch', 'delete'];
+    const listViews = ['ListAPIView', 'ListCreateAPIView', 'ListView'];
+    const result = { methods: [], docs: {}, known: false, serializer: null, list: false };
+    seen.add(declaration.name);
+
+    declaration.bases.forEach(base => {
+      const baseName = base.split('.').pop();
+      const inherited = this.getPythonClassIndex().get(baseName);
+      if (genericMethods[baseName]) {
+        result.methods.push(...genericMethods[baseName]);
+        result.list = result.list || listViews.includes(baseName);
+        result.known = true;
+      } else if (inherited && !seen.has(baseName)) {
+        const parent = this.classViewMethods(inherited, seen);
+        if (parent) {
+          result.methods.push(...parent.methods);
+          Object.assign(result.docs, parent.docs);
+          result.serializer = result.serializer || parent.serializer;
+          result.list = result.list || parent.list;
+          result.known = true;
+        }
+      }
+    });
+
+    httpMethods.forEach(method => {
+      const handler = this.findPythonDefinition(method, null, declaration.body);
+      if (handler) {
+        result.methods.push(method);
+        result.docs[method] = handler.docstring;
+        result.known = true;
+      }
+    });
+    if (!result.known) return null;
+
+    const allowed = declaration.body.match(/^[ \t]+http_method_names\s*=\s*([^\n]+)/m);
+    result.methods = [...new Set(result.methods)];
+    if (allowed) {
+      const names = this.pythonStringList(allowed[1]);
+      result.methods = result.methods.filter(method => names.includes(method));
+    }
+    const serializer = declaration.body.match(/^[ \t]+serializer_class\s*=\s*([\w.]+)/m);
+    if (serializer) result.serializer = serializer[1].split('.').pop();
+
+    result.serializers = {};
+    result.methods.forEach(method => {
+      result.docs[method] = result.docs[method] || declaration.docstring;
+      if (result.serializer && method !== 'delete') result.serializers[method] = { name: result.serializer, many: result.list && method === 'get' };
+    });
+    return result;
+  }
+
+  // Finds a def/class by (optionally module-qualified) name, following the file's imports
+  findPythonDefinition(name, filePath, source = null) {
+    if (source !== null) return this.findPythonDefinitionInSource(source, name);
+
+    const content = this.stripPythonComments(this.readSource(filePath) || '');
+    const parts = name.split('.');
+    const local = parts.pop();
+    const imports = this.parsePythonImports(content);
+
+    let moduleName = null;
+    if (parts.length > 0) {
+      const imported = imports.get(parts[0]);
+      const rest = parts.slice(1).join('.');
+      if (imported) {
+        moduleName = imported.name ? this.joinPythonModule(imported.module, imported.name) : imported.module;
+        if (rest) moduleName = this.joinPythonModule(moduleName, rest);
+      }
+    } else {
+      const imported = imports.get(local);
+      if (imported && imported.name) {
+        const moduleFile = this.resolvePythonModule(filePath, imported.module);
+        const found = moduleFile && this.findPythonDefinitionInSource(this.stripPythonComments(this.readSource(moduleFile) || ''), imported.name);
+        if (found) return found;
+      }
+      const found = this.findPythonDefinitionInSource(content, local);
+      if (found) return found;
+    }
+
+    if (moduleName) {
+      const moduleFile = this.resolvePythonModule(filePath, moduleName);
+      const found = moduleFile && this.findPythonDefinitionInSource(this.stripPythonComments(this.readSource(moduleFile) || ''), local);
+      if (found) return found;
+    }
+
+    const declaration = this.getPythonClassIndex().get(local);
+    return declaration || null;
+  }
+
+  findPythonDefinitionInSource(source, name) {
+    const match = new RegExp(`^([ \\t]*)(?:async[ \\t]+)?(def|class)[ \\t]+${name}\\b`, 'm').exec(source);
+    if (!match) return null;
+
+    const indent = match[1];
+    let headerEnd = match.index + match[0].length;
+    let bases = [];
+    const paren = source.substring(headerEnd).match(/^\s*\(/);
+    if (paren) {
+      const args = this.extractBalanced(source, headerEnd + paren[0].length - 1);
+      if (match[2] === 'class') bases = args.split(',').map(base => base.trim()).filter(base => base && !base.includes('='));
+      headerEnd += paren[0].length + args.length + 1;
+    }
+    const colon = source.indexOf(':', headerEnd);
+    if (colon === -1) return null;
+
+    const escapedIndent = indent.replace(/\t/g, '\\t');
+    const before = source.substring(0, match.index);
+    const decorators = before.match(new RegExp(`(?:^${escapedIndent}@[^\\n]*\\n(?:${escapedIndent}[ \\t]+[^\\n]*\\n|${escapedIndent}[)\\]}][^\\n]*\\n)*)+$`, 'm'));
+    const body = this.pythonBlockBody(source, colon + 1, indent.length);
+
+    return {
+      kind: match[2],
+      name,
+      bases,
+      decorators: decorators ? decorators[0] : '',
+      body,
+      docstring: this.pythonDocstring(body)
+    };
+  }
+
+  pythonBlockBody(source, start, indent) {
+    const lines = source.substring(start).split('\n');
+    const bodyLines = [lines[0]];
+    for (let i = 1; i < lines.length; i++) {
+      const line = lines[i];
+      if (line.trim() && line.match(/^[ \t]*/)[0].length <= indent) break;
+      bodyLines.push(line);
+    }
+    return bodyLines.join('\n');
+  }
+
+  pythonDocstring(body) {
+    const match = body.match(/^\s*[rRuU]?("""|'''|"|')([\s\S]*?)\1/);
+    if (!match) return null;
+
+    const lines = match[2].split('\n');
+    const indents = lines.slice(1).filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length);
+    const strip = indents.length > 0 ? Math.min(...indents) : 0;
+    return [lines[0].trim(), ...lines.slice(1).map(line => line.substring(strip).trimEnd())].join('\n').trim() || null;
+  }
+
+  parsePythonImports(source) {
+    const imports = new Map();
+    const fromRegex = /^[ \t]*from\s+([\w.]+)\s+import\s+(\([^)]*\)|[^\n]+)/gm;
+    let match;
+
+    while ((match = fromRegex.exec(source)) !== null) {
+      match[2].replace(/[()\\]/g, '').split(',').forEach(item => {
+        const [name, alias] = item.trim().split(/\s+as\s+/);
+        if (name && name !== '*') imports.set((alias || name).trim(), { module: match[1], name: name.trim() });
+      });
+    }
+
+    const importRegex = /^[ \t]*import\s+([^\n]+)/gm;
+    while ((match = importRegex.exec(source)) !== null) {
+      match[1].split(',').forEach(item => {
+        const [moduleName, alias] = item.trim().split(/\s+as\s+/);
+        if (moduleName) imports.set((alias || moduleName.split('.')[0]).trim(), { module: alias ? moduleName.trim() : moduleName.split('.')[0] });
+      });
+    }
+    return imports;
+  }
+
+  joinPythonModule(base, name) {
+    return /\.$/.test(base) ? `${base}${name}` : `${base}.${name}`;
+  }
+
+  pythonStringList(text) {
+    return (text.match(/['"](\w+)['"]/g) || []).map(item => item.slice(1, -1).toLowerCase());
+  }
+
+  // Collects the CRUD actions a ViewSet exposes through its bases, mixins and own methods
+  resolveViewSet(className, seen = new Set()) {
+    const baseActions = {
+      ModelViewSet: ['list', 'create', 'retrieve', 'update', 'partial_update', 'destroy'],
+      ReadOnlyModelViewSet: ['list', 'retrieve'],
+      ListModelMixin: ['list'],
+      CreateModelMixin: ['create'],
+      RetrieveModelMixin: ['retrieve'],
+      UpdateModelMixin: ['update', 'partial_update'],
+      DestroyModelMixin: ['destroy']
+    };
+    const result = {
+      actions: new Set(),
+      extraActions: [],
+      lookup: null,
+      httpMethods: null,
+      docs: {},
+      docstring: null,
+      serializer: null,
+      lookupRegex: null
+    };
+
+    const declaration = this.getPythonClassIndex().get(className);
+    if (!declaration || seen.has(className)) {
+      // ViewSets from third-party packages are assumed to be full model ViewSets
+      if (!declaration && !['ViewSet', 'GenericViewSet'].includes(className)) {
+        baseActions.ModelViewSet.forEach(action => result.actions.add(action));
+      }
+      result.lookup = 'pk';
+      return result;
+    }
+    seen.add(className);
+
+    declaration.bases.forEach(base => {
+      const baseName = base.split('.').pop();
+      if (baseActions[baseName]) {
+        baseActions[baseName].forEach(action => result.actions.add(action));
+      } else if (this.getPythonClassIndex().has(baseName)) {
+        const inherited = this.resolveViewSet(baseName, seen);
+        inherited.actions.forEach(action => result.actions.add(action));
+        result.extraActions.push(...inherited.extraActions);
+        Object.assign(result.docs, inherited.docs);
+        result.docstring = result.docstring || inherited.docstring;
+        result.serializer = result.serializer || inherited.serializer;
+        result.lookupRegex = result.lookupRegex || inherited.lookupRegex;
+        result.lookup = result.lookup || inherited.lookup;
+        result.httpMethods = result.httpMethods || inherited.httpMethods;
+      }
+    });
+
+    const body = declaration.body;
+    const ownActions = body.match(/^[ \t]+def\s+(list|create|retrieve|update|partial_update|destroy)\s*\(/gm) || [];
+    ownActions.forEach(definition => result.actions.add(definition.match(/def\s+(\w+)/)[1]));
+    if (declaration.docstring) result.docstring = declaration.docstring;
+
+    const actionRegex = /@action\s*\(/g;
+    let match;
+    while ((match = actionRegex.exec(body)) !== null) {
+      const argsText = this.extractBalanced(body, match.index + match[0].length - 1);
+      const definition = body.substring(match.index).match(/\bdef\s+(\w+)\s*\(/);
+      if (!definition) continue;
+
+      const kwargs = {};
+      this.splitTopLevel(argsText, ',').forEach(arg => {
+        const [key, ...value] = arg.split('=');
+        kwargs[key.trim()] = value.join('=').trim();
+      });
+      const methods = kwargs.methods
+        ? this.splitTopLevel(kwargs.methods.replace(/^[[(]|[\])]$/g, ''), ',').map(item => (this.pythonString(item) || '').toLowerCase()).filter(Boolean)
+        : ['get'];
+
+      result.extraActions = result.extraActions.filter(extra => extra.name !== definition[1]);
+      result.docs[definition[1]] = this.findPythonDefinitionInSource(body, definition[1]).docstring;
+      result.extraActions.push({
+        name: definition[1],
+        detail: kwargs.detail === 'True',
+        methods,
+        urlPath: (kwargs.url_path && this.pythonString(kwargs.url_path)) || definition[1],
+        serializer: kwargs.serializer_class ? kwargs.serializer_class.split('.').pop() : null
+      });
+    }
+
+    result.actions.forEach(action => {
+      const handler = this.findPythonDefinitionInSource(body, action);
+      if (handler && handler.docstring) result.docs[action] = handler.docstring;
+    });
+
+    const attribute = name => {
+      const assignment = body.match(new RegExp(`^[ \\t]+${name}\\s*=\\s*([^\\n]+)`, 'm'));
+      return assignment ? assignment[1].trim() : null;
+    };
+    const serializer = attribute('serializer_class');
+    if (serializer) result.serializer = serializer.split('.').pop();
+    const lookup = attribute('lookup_url_kwarg') || attribute('lookup_field');
+    if (lookup && this.pythonString(lookup)) result.lookup = this.pythonString(lookup);
+    const lookupRegex = attribute('lookup_value_regex');
+    if (lookupRegex && this.pythonString(lookupRegex)) result.lookupRegex = this.pythonString(lookupRegex);
+    const httpMethods = attribute('http_method_names');
+    if (httpMethods) {
+      result.httpMethods = this.splitTopLevel(httpMethods.replace(/^[[(]|[\])]$/g, ''), ',').map(item => this.pythonString(item)).filter(Boolean);
+    }
+
+    result.lookup = result.lookup || 'pk';
+    return result;
+  }
+
+  viewSetSerializer(viewSet, action) {
+    const extra = viewSet.extraActions.find(item => item.name === action);
+    const name = (extra && extra.serializer) || viewSet.serializer;
+    if (!name || action === 'destroy') return null;
+    return { name, many: action === 'list', request: ['create', 'update', 'partial_update'].includes(action) || !!extra };
+  }
+
+  // requestBody / 200 response schemas for an operation backed by a serializer
+  serializerSchemas(serializer, method) {
+    const ref = serializer && this.serializerSchemaRef(serializer.name);
+    if (!ref) return {};
+
+    const hasBody = ['post', 'put', 'patch'].includes(method) && serializer.request !== false;
+    return {
+      requestSchema: hasBody ? ref : null,
+      responseSchema: serializer.many ? { type: 'array', items: ref } : ref
+    };
+  }
+
+  // DRF serializer class -> components.schemas entry, returned as a $ref
+  serializerSchemaRef(className) {
+    const declaration = this.getPythonClassIndex().get(className);
+    if (!declaration) return null;
+
+    const name = className.replace(/Serializer$/, '') || className;
+    if (!this.schemas[name]) {
+      this.schemas[name] = { type: 'object' };
+      this.schemas[name] = this.serializerToSchema(declaration);
+    }
+    return { $ref: `#/components/schemas/${name}` };
+  }
+
+  serializerToSchema(declaration, seen = new Set()) {
+    const schema = { type: 'object', properties: {} };
+    const required = new Set();
+    const source = this.stripPythonComments(this.readSource(declaration.filePath) || '');
+    seen.add(declaration.name);
+
+    // Fields declared on serializer base classes in the project
+    declaration.bases.forEach(base => {
+      const parent = this.getPythonClassIndex().get(base.split('.').pop());
+      if (!parent || seen.has(parent.name)) return;
+      const inherited = this.serializerToSchema(parent, seen);
+      Object.assign(schema.properties, inherited.properties);
+      (inherited.required || []).forEach(field => required.add(field));
+    });
+
+    const meta = this.findPythonDefinitionInSource(declaration.body, 'Meta');
+    if (meta) {
+      const attribute = name => {
+        const assignment = meta.body.match(new RegExp(`^[ \\t]+${name}\\s*=\\s*`, 'm'));
+        if (!assignment) return null;
+        const start = meta.body.indexOf(assignment[0]) + assignment[0].length;
+        const close = { '[': ']', '(': ')', '{': '}' }[meta.body[start]];
+        return close
+          ? meta.body[start] + this.extractBalanced(meta.body, start) + close
+          : meta.body.substring(start).split('\n')[0].trim();
+      };
+
+      const modelName = (attribute('model') || '').split('.').pop();
+      const modelFields = this.modelFields(modelName);
+      const fields = attribute('fields');
+      const exclude = this.pythonStringList(attribute('exclude') || '');
+      const readOnly = this.pythonStringList(attribute('read_only_fields') || '');
+      const extraKwargs = this.pythonLiteral(attribute('extra_kwargs') || '{}') || {};
+
+      let names = fields && this.pythonString(fields) === '__all__'
+        ? Object.keys(modelFields || {})
+        : (fields ? (fields.match(/['"](\w+)['"]/g) || []).map(item => item.slice(1, -1)) : Object.keys(modelFields || {}));
+      names = names.filter(field => !exclude.includes(field));
+
+      names.forEach(field => {
+        const modelField = modelFields && modelFields[field];
+        const property = modelField ? { ...modelField.schema } : (modelFields ? { readOnly: true } : { type: 'string' });
+        const options = extraKwargs[field] || {};
+        if (readOnly.includes(field) || options.read_only) property.readOnly = true;
+        if (options.write_only) property.writeOnly = true;
+
+        schema.properties[field] = property;
+        const isRequired = options.required !== undefined ? options.required : modelField && modelField.required;
+        if (isRequired && !property.readOnly) required.add(field);
+        else required.delete(field);
+      });
+    }
+
+    // Explicitly declared fields override the model-derived ones
+    const fieldRegex = /^[ \t]+(\w+)\s*=\s*(?:serializers\.)?(\w+)\s*\(/gm;
+    let match;
+    while ((match = fieldRegex.exec(declaration.body)) !== null) {
+      const args = this.parsePythonArgs(this.extractBalanced(declaration.body, match.index + match[0].length - 1));
+      const field = this.serializerFieldSchema(match[2], args, source, seen);
+      if (!field) continue;
+
+      schema.properties[match[1]] = field.schema;
+      if (field.required) required.add(match[1]);
+      else required.delete(match[1]);
+    }
+
+    if (required.size > 0) schema.required = [...required];
+    if (declaration.docstring) schema.description = declaration.docstring;
+    return schema;
+  }
+
+  serializerFieldSchema(fieldClass, args, source, seen) {
+    const { kwargs, raw } = args;
+    let schema;
+
+    const nested = this.getPythonClassIndex().get(fieldClass);
+    if (nested && /Serializer$/.test(fieldClass)) {
+      schema = seen.has(fieldClass) ? { type: 'object' } : this.serializerSchemaRef(fieldClass);
+      if (kwargs.many === true) schema = { type: 'array', items: schema };
+    } else {
+      const types = {
+        CharField: { type: 'string' },
+        EmailField: { type: 'string', format: 'email' },
+        URLField: { type: 'string', format: 'uri' },
+        SlugField: { type: 'string' },
+        RegexField: { type: 'string' },
+        UUIDField: { type: 'string', format: 'uuid' },
+        IPAddressField: { type: 'string' },
+        FilePathField: { type: 'string' },
+        IntegerField: { type: 'integer' },
+        FloatField: { type: 'number', format: 'float' },
+        DecimalField: { type: 'string', format: 'decimal' },
+        BooleanField: { type: 'boolean' },
+        NullBooleanField: { type: 'boolean', nullable: true },
+        DateTimeField: { type: 'string', format: 'date-time' },
+        DateField: { type: 'string', format: 'date' },
+        TimeField: { type: 'string', format: 'time' },
+        DurationField: { type: 'string' },
+        ChoiceField: { type: 'string' },
+        MultipleChoiceField: { type: 'array', items: { type: 'string' } },
+        FileField: { type: 'string', format: 'binary' },
+        ImageField: { type: 'string', format: 'binary' },
+        ListField: { type: 'array', items: {} },
+        DictField: { type: 'object', additionalProperties: {} },
+        HStoreField: { type: 'object', additionalProperties: { type: 'string' } },
+        JSONField: {},
+        ReadOnlyField: { readOnly: true },
+        SerializerMethodField: { readOnly: true },
+        HiddenField: null,
+        PrimaryKeyRelatedField: { type: 'integer' },
+        SlugRelatedField: { type: 'string' },
+        StringRelatedField: { type: 'string', readOnly: true },
+        HyperlinkedRelatedField: { type: 'string', format: 'uri' },
+        HyperlinkedIdentityField: { type: 'string', format: 'uri', readOnly: true }
+      };
+      if (!(fieldClass in types)) return null;
+      if (types[fieldClass] === null) return null;
+      schema = JSON.parse(JSON.stringify(types[fieldClass]));
+
+      if (fieldClass === 'ListField' && raw.child) {
+        const child = raw.child.match(/^(?:serializers\.)?(\w+)\s*\(([\s\S]*)\)$/);
+        const childField = child && this.serializerFieldSchema(child[1], this.parsePythonArgs(child[2]), source, seen);
+        if (childField) schema.items = childField.schema;
+      }
+      if (/ChoiceField$/.test(fieldClass)) {
+        const choices = this.pythonChoices(kwargs.choices !== undefined ? kwargs.choices : raw.choices || args.positional[0], source);
+        if (choices) (schema.items || schema).enum = choices;
+      }
+      if (fieldClass === 'RegexField' && args.positional[0]) {
+        const pattern = this.pythonString(args.positional[0]);
+        if (pattern) schema.pattern = pattern;
+      }
+      if (/RelatedField$/.test(fieldClass) && kwargs.many === true) schema = { type: 'array', items: schema };
+    }
+
+    this.applyPythonFieldOptions(schema, kwargs);
+    const required = kwargs.required !== undefined
+      ? kwargs.required === true
+      : raw.default === undefined && !schema.readOnly;
+    return { schema, required };
+  }
+
+  applyPythonFieldOptions(schema, kwargs) {
+    if (kwargs.read_only === true) schema.readOnly = true;
+    if (kwargs.write_only === true) schema.writeOnly = true;
+    if (kwargs.allow_null === true || kwargs.null === true) schema.nullable = true;
+    if (typeof kwargs.help_text === 'string') schema.description = kwargs.help_text;
+    if (schema.$ref) return;
+
+    const limits = { max_length: 'maxLength', min_length: 'minLength', max_value: 'maximum', min_value: 'minimum' };
+    Object.entries(limits).forEach(([kwarg, keyword]) => {
+      if (typeof kwargs[kwarg] === 'number') schema[keyword] = kwargs[kwarg];
+    });
+    if (kwargs.default !== undefined) schema.default = kwargs.default;
+  }
+
+  // Django model fields -> { name: { schema, required } } in declaration order
+  modelFields(modelName, seen = new Set()) {
+    const declaration = modelName && this.getPythonClassIndex().get(modelName);
+    if (!declaration || seen.has(modelName)) return null;
+    seen.add(modelName);
+
+    const fields = {};
+    const source = this.stripPythonComments(this.readSource(declaration.filePath) || '');
+    declaration.bases.forEach(base => {
+      Object.assign(fields, this.modelFields(base.split('.').pop(), seen) || {});
+    });
+
+    const types = {
+      CharField: { type: 'string' },
+      TextField: { type: 'string' },
+      SlugField: { type: 'string' },
+      EmailField: { type: 'string', format: 'email' },
+      URLField: { type: 'string', format: 'uri' },
+      UUIDField: { type: 'string', format: 'uuid' },
+      GenericIPAddressField: { type: 'string' },
+      FilePathField: { type: 'string' },
+      IntegerField: { type: 'integer' },
+      SmallIntegerField: { type: 'integer' },
+      BigIntegerField: { type: 'integer', format: 'int64' },
+      PositiveIntegerField: { type: 'integer', minimum: 0 },
+      PositiveSmallIntegerField: { type: 'integer', minimum: 0 },
+      PositiveBigIntegerField: { type: 'integer', format: 'int64', minimum: 0 },
+      AutoField: { type: 'integer', readOnly: true },
+      BigAutoField: { type: 'integer', format: 'int64', readOnly: true },
+      FloatField: { type: 'number', format: 'float' },
+      DecimalField: { type: 'string', format: 'decimal' },
+      BooleanField: { type: 'boolean' },
+      NullBooleanField: { type: 'boolean', nullable: true },
+      DateField: { type: 'string', format: 'date' },
+      DateTimeField: { type: 'string', format: 'date-time' },
+      TimeField: { type: 'string', format: 'time' },
+      DurationField: { type: 'string' },
+      BinaryField: { type: 'string', format: 'byte' },
+      JSONField: {},
+      FileField: { type: 'string', format: 'uri' },
+      ImageField: { type: 'string', format: 'uri' },
+      ForeignKey: { type: 'integer' },
+      OneToOneField: { type: 'integer' },
+      ManyToManyField: { type: 'array', items: { type: 'integer' } }
+    };
+
+    const fieldRegex = /^[ \t]+(\w+)\s*=\s*(?:models\.)?(\w+)\s*\(/gm;
+    const declared = {};
+    let match;
+    while ((match = fieldRegex.exec(declaration.body)) !== null) {
+      if (!types[match[2]]) continue;
+      const { kwargs, raw } = this.parsePythonArgs(this.extractBalanced(declaration.body, match.index + match[0].length - 1));
+      const schema = JSON.parse(JSON.stringify(types[match[2]]));
+
+      const choices = raw.choices && this.pythonChoices(kwargs.choices !== undefined ? kwargs.choices : raw.choices, source);
+      if (choices) schema.enum = choices;
+      if (kwargs.auto_now === true || kwargs.auto_now_add === true || kwargs.editable === false || kwargs.primary_key === true && /AutoField/.test(match[2])) {
+        schema.readOnly = true;
+      }
+      this.applyPythonFieldOptions(schema, kwargs);
+
+      const optional = kwargs.blank === true || kwargs.null === true || raw.default !== undefined || schema.readOnly || match[2] === 'ManyToManyField';
+      declared[match[1]] = { schema, required: !optional, primaryKey: kwargs.primary_key === true };
+    }
+
+    // Django adds an auto-incrementing id unless a field is the primary key
+    if (!Object.values({ ...fields, ...declared }).some(field => field.primaryKey) && !fields.id && !declared.id) {
+      fields.id = { schema: { type: 'integer', readOnly: true }, required: false };
+    }
+    return Object.assign(fields, declared);
+  }
+
+  // kwargs holds literal values only; raw keeps the source text of every keyword argument
+  parsePythonArgs(text) {
+    const positional = [];
+    const kwargs = {};
+    const raw = {};
+    this.splitTopLevel(text || '', ',').forEach(arg => {
+      const keyword = arg.match(/^(\w+)\s*=\s*([\s\S]+)$/);
+      if (keyword) {
+        raw[keyword[1]] = keyword[2].trim();
+        const value = this.pythonLiteral(keyword[2]);
+        if (value !== undefined) kwargs[keyword[1]] = value;
+      } else {
+        positional.push(arg);
+      }
+    });
+    return { positional, kwargs, raw };
+  }
+
+  pythonLiteral(text) {
+    const value = (text || '').trim();
+    if (value === 'True' || value === 'False') return value === 'True';
+    if (value === 'None') return null;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (this.pythonString(value) !== null) return this.pythonString(value);
+
+    if (/^[[(][\s\S]*[\])]$/.test(value)) {
+      return this.splitTopLevel(value.slice(1, -1), ',').map(item => this.pythonLiteral(item));
+    }
+    if (/^\{[\s\S]*\}$/.test(value)) {
+      const result = {};
+      this.splitTopLevel(value.slice(1, -1), ',').forEach(entry => {
+        const [key, ...rest] = this.splitTopLevel(entry, ':');
+        const name = this.pythonLiteral(key);
+        if (typeof name === 'string') result[name] = this.pythonLiteral(rest.join(':'));
+      });
+      return result;
+    }
+    return undefined;
+  }
+
+  // choices=[('a', 'A')], a module-level CHOICES constant, or a TextChoices/IntegerChoices class
+  pythonChoices(text, source) {
+    if (text === undefined || text === null) return null;
+    if (Array.isArray(text)) {
+      const values = text.map(choice => (Array.isArray(choice) ? choice[0] : choice)).filter(value => value !== undefined);
+      return values.length > 0 ? values : null;
+    }
+
+    const reference = String(text).trim();
+    const enumClass = reference.match(/^(\w+)\.choices$/);
+    if (enumClass) {
+      const declaration = this.findPythonDefinitionInSource(source, enumClass[1]) || this.getPythonClassIndex().get(enumClass[1]);
+      if (!declaration) return null;
+      const members = declaration.body.match(/^[ \t]+[A-Z_0-9]+\s*=\s*[^\n]+/gm) || [];
+      const values = members.map(member => {
+        const value = this.splitTopLevel(member.split('=').slice(1).join('=').trim(), ',')[0];
+        return this.pythonLiteral(value.replace(/^\(|\)$/g, ''));
+      }).filter(value => value !== undefined);
+      return values.length > 0 ? values : null;
+    }
+
+    const constant = source.match(new RegExp(`^${reference}\\s*=\\s*([[(])`, 'm'));
+    if (constant) {
+      const start = source.indexOf(constant[0]) + constant[0].length - 1;
+      return this.pythonChoices(this.pythonLiteral(source[start] + this.extractBalanced(source, start) + (constant[1] === '[' ? ']' : ')')), source);
+    }
+    return null;
+  }
+
+  // class Name(Bases): -> { bases, body } for every class in the project's Python sources
+  getPythonClassIndex() {
+    if (this.pythonClassIndex) return this.pythonClassIndex;
+    this.pythonClassIndex = new Map();
+
+    this.findPythonFiles(this.djangoRoot || '.').forEach(file => {
+      const content = this.stripPythonComments(this.readSource(file) || '');
+      const classRegex = /^([ \t]*)class\s+(\w+)\s*(?:\(([^)]*)\))?\s*:/gm;
+      let match;
+
+      while ((match = classRegex.exec(content)) !== null) {
+        const body = this.pythonBlockBody(content, match.index + match[0].length, match[1].length);
+        const bases = (match[3] || '').split(',').map(base => base.trim()).filter(base => base && !base.includes('='));
+        this.pythonClassIndex.set(match[2], {
+          kind: 'class',
+          name: match[2],
+          bases,
+          body,
+          docstring: this.pythonDocstring(body),
+          filePath: file
+        });
+      }
+    });
+    return this.pythonClassIndex;
+  }
+
+  findPythonFiles(dir) {
+    const files = [];
+    const skip = ['__pycache__', 'node_modules', 'venv', 'env', 'site-packages', 'migrations'];
+
+    const traverse = (current) => {
+      try {
+        const items = fs.readdirSync(current, { withFileTypes: true });
+        for (const item of items) {
+          const fullPath = path.join(current, item.name);
+          if (item.isDirectory() && !item.name.startsWith('.') && !skip.includes(item.name)) {
+            traverse(fullPath);
+          } else if (item.isFile() && item.name.endsWith('.py')) {
+            files.push(fullPath);
+          }
+        }
+      } catch (e) {
+        // Skip directories we can't read
+      }
+    };
+
+    traverse(dir);
+    return files;
+  }
+
+  // urls module -> every URL prefix it is reachable under through include()
+  buildDjangoIncludeGraph(urlFiles) {
+    const modules = new Set(urlFiles.map(file => path.normalize(file)));
+    const queue = [...modules];
+    const edges = new Map();
+
+    while (queue.length > 0) {
+      const file = queue.shift();
+      const source = this.stripPythonComments(this.readSource(file) || '');
+
+      this.findDjangoPatterns(source).forEach(entry => {
+        if (!entry.include || !entry.include.module) return;
+        const child = this.resolvePythonModule(file, entry.include.module);
+        if (!child || child === file) return;
+
+        if (!edges.has(child)) edges.set(child, []);
+        edges.get(child).push({ parent: file, prefix: entry.route });
+        if (!modules.has(child)) {
+          modules.add(child);
+          queue.push(child);
+        }
+      });
+    }
+
+    const prefixes = new Map();
+    const resolvePrefixes = (node, visiting) => {
+      if (prefixes.has(node)) return prefixes.get(node);
+      const incoming = edges.get(node);
+      if (!incoming) return [{ path: '', params: {} }];
+      if (visiting.has(node)) return [];
+
+      visiting.add(node);
+      const result = [];
+      incoming.forEach(edge => {
+        resolvePrefixes(edge.parent, visiting).forEach(parentPrefix => {
+          const prefix = this.joinDjangoRoutes(parentPrefix, edge.prefix);
+          if (!result.some(existing => existing.path === prefix.path)) result.push(prefix);
+        });
+      });
+      visiting.delete(node);
+
+      prefixes.set(node, result);
+      return result;
+    };
+
+    modules.forEach(module => prefixes.set(module, resolvePrefixes(module, new Set())));
+    return prefixes;
+  }
+
+  // 'accounts.urls' / '.urls' -> file path, relative to the Django root
+  resolvePythonModule(fromFile, moduleName) {
+    if (!moduleName) return null;
+
+    let base;
+    if (moduleName.startsWith('.')) {
+      const dots = moduleName.match(/^\.+/)[0].length;
+      base = path.dirname(fromFile);
+      for (let i = 1; i < dots; i++) base = path.dirname(base);
+      base = path.join(base, moduleName.slice(dots).replace(/\./g, '/'));
+    } else {
+      base = path.join(this.djangoRoot || '.', moduleName.replace(/\./g, '/'));
+    }
+
+    const candidates = [`${base}.py`, path.join(base, '__init__.py')];
+    const found = candidates.find(candidate => fs.existsSync(candidate));
+    return found ? path.normalize(found) : null;
+  }
+
+  pythonString(text) {
+    const match = (text || '').trim().match(/^[rRuUbB]{0,2}(['"])([\s\S]*)\1$/);
+    return match ? match[2] : null;
+  }
+
+  stripPythonComments(content) {
+    // Triple-quoted strings span lines, so the quote state carries over newlines
+    let result = '';
+    let quote = null;
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (quote) {
+        if (char === '\\') {
+          result += content.substring(i, i + 2);
+          i++;
+          continue;
+        }
+        if (content.startsWith(quote, i)) {
+          result += quote;
+          i += quote.length - 1;
+          quote = null;
+          continue;
+        }
+        if (char === '\n' && quote.length === 1) quote = null;
+        result += char;
+      } else if (char === '"' || char === "'") {
+        quote = content.startsWith(char.repeat(3), i) ? char.repeat(3) : char;
+        result += quote;
+        i += quote.length - 1;
+      } else if (char === '#') {
+        const end = content.indexOf('\n', i);
+        if (end === -1) break;
+        i = end - 1;
+      } else {
+        result += char;
+      }
+    }
+    return result;
+  }
+  
+  extractDjangoParameters(cleanPath, params = {}) {
+    const parameters = [];
+    
+    const pathParams = cleanPath.match(/\{([^}]+)\}/g) || [];
+    pathParams.forEach(param => {
+      const name = param.slice(1, -1);
+      parameters.push({
+        name,
+        in: 'path',
+        required: true,
+        schema: params[name] ? { ...params[name] } : { type: 'string' }
+      });
+    });
+    
+    return parameters;
+  }
+
+  findPlayFrameworkRouters() {
+    const routerFiles = [];
+    
     const findRouters = (dir) => {
       try {
         const items = fs.readdirSync(dir, { withFileTypes: true });
         for (const item of items) {
           const fullPath = path.join(dir, item.name);
           if (item.isDirectory() && !item.name.startsWith('.') && item.name !== 'node_modules') {
-            findRouters(fullPath);
-          } else if (item.name.endsWith('Router.scala')) {
-            routerFiles.push(fullPath);
+            findRouters(fullPath);
+          } else if (item.name.endsWith('Router.scala')) {
+            routerFiles.push(fullPath);
+          }
+        }
+      } catch (e) {
+        // Skip directories we can't read
+      }
+    };
+    
+    findRouters('.');
+    return routerFiles;
+  }
+
+  findPlayRoutesFiles() {
+    const routesFiles = [];
+    
+    const findRoutes = (dir) => {
+      try {
+        const items = fs.readdirSync(dir, { withFileTypes: true });
+        for (const item of items) {
+          const fullPath = path.join(dir, item.name);
+          if (item.isDirectory() && !item.name.startsWith('.') && !['node_modules', 'target'].includes(item.name)) {
+            findRoutes(fullPath);
+          } else if (path.basename(dir) === 'conf' && (item.name === 'routes' || item.name.endsWith('.routes'))) {
+            routesFiles.push(fullPath);
+          }
+        }
+      } catch (e) {
+        // Skip directories we can't read
+      }
+    };
+    
+    findRoutes('.');
+    return routesFiles;
+  }
+
+  isPlayRoutesFile(filePath) {
+    return path.basename(path.dirname(filePath)) === 'conf' && /(^|\.)routes$/.test(path.basename(filePath));
+  }
+
+  // conf/routes '->' includes: routes file or SIRD router -> every prefix it is mounted under
+  buildPlayRouteGraph(files) {
+    const edges = new Map();
+    files.filter(file => this.isPlayRoutesFile(file)).forEach(file => {
+      const content = this.readSource(file) || '';
+      content.split('\n').forEach(line => {
+        const include = line.replace(/#.*$/, '').match(/^\s*->\s+(\S+)\s+(\S+)/);
+        if (!include) return;
+
+        const child = this.resolvePlayRouter(include[2], files);
+        if (!child) {
+          console.warn(`⚠️  Could not resolve Play router ${include[2]} included from ${file}`);
+          return;
+        }
+        if (!edges.has(child)) edges.set(child, []);
+        edges.get(child).push({ parent: path.normalize(file), prefix: include[1] });
+      });
+    });
+
+    const prefixes = new Map();
+    const resolvePrefixes = (node, visiting) => {
+      if (prefixes.has(node)) return prefixes.get(node);
+      const incoming = edges.get(node);
+      if (!incoming) return [''];
+      if (visiting.has(node)) return [];
+
+      visiting.add(node);
+      const result = [];
+      incoming.forEach(edge => {
+        resolvePrefixes(edge.parent, visiting).forEach(parentPrefix => {
+          const prefix = this.joinUrlPaths(parentPrefix, edge.prefix);
+          if (!result.includes(prefix)) result.push(prefix);
+        });
+      });
+      visiting.delete(node);
+
+      prefixes.set(node, result);
+      return result;
+    };
+
+    files.forEach(file => prefixes.set(path.normalize(file), resolvePrefixes(path.normalize(file), new Set())));
+    return prefixes;
+  }
+
+  // 'api.Routes' -> conf/api.routes, 'v1.posts.PostRouter' -> the Scala file declaring PostRouter
+  resolvePlayRouter(target, files) {
+    const name = target.replace(/^@/, '');
+    if (/(^|\.)Routes$/.test(name)) {
+      const fileName = name === 'Routes' ? 'routes' : `${name.replace(/\.Routes$/, '').split('.').pop()}.routes`;
+      const found = files.find(file => this.isPlayRoutesFile(file) && path.basename(file) === fileName);
+      return found ? path.normalize(found) : null;
+    }
+
+    const className = name.split('.').pop();
+    const found = files.find(file => file.endsWith('.scala') &&
+      new RegExp(`\\b(class|object)\\s+${className}\\b`).test(this.readSource(file) || ''));
+    return found ? path.normalize(found) : null;
+  }
+
+  parsePlayRoutesFile(content, filePath) {
+    const paths = {};
+    const prefixes = (this.playIncludes && this.playIncludes.get(path.normalize(filePath))) || [''];
+    const routeRegex = /^\s*(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)\s+(\S+)\s+(.+)$/;
+
+    content.split('\n').forEach(line => {
+      const match = line.replace(/\s#.*$|^\s*#.*$/, '').match(routeRegex);
+      if (!match) return;
+
+      const method = match[1].toLowerCase();
+      const action = match[3].trim().replace(/^@/, '');
+      const params = {};
+      const template = match[2].split('/').map(segment => segment
+        .replace(/^:(\w+)$/, (all, name) => this.playPathParam(params, name))
+        .replace(/^\*(\w+)$/, (all, name) => this.playPathParam(params, name))
+        .replace(/\$(\w+)<(.+)>/g, (all, name, regex) => this.playPathParam(params, name, regex))
+      ).join('/');
+
+      prefixes.forEach(prefix => {
+        const cleanPath = this.joinUrlPaths(prefix, template);
+        if (!paths[cleanPath]) {
+          paths[cleanPath] = {};
+        }
+        
+        paths[cleanPath][method] = {
+          summary: `${method.toUpperCase()} ${cleanPath}`,
+          description: `Action: ${action.replace(/\s*\([\s\S]*$/, '')}`,
+          parameters: this.extractPlayActionParameters(cleanPath, action, params),
+          responses: {
+            '200': { description: 'Success' },
+            '400': { description: 'Bad Request' },
+            '401': { description: 'Unauthorized' },
+            '403': { description: 'Forbidden' },
+            '404': { description: 'Not Found' },
+            '500': { description: 'Internal Server Error' }
+          }
+        };
+      });
+    });
+
+    return paths;
+  }
+
+  playPathParam(params, name, regex) {
+    params[name] = regex ? { pattern: `^${regex}$` } : {};
+    return `{${name}}`;
+  }
+
+  // controllers.Users.list(page: Int ?= 1, q: Option[String]) -> typed path and query parameters
+  extractPlayActionParameters(cleanPath, action, pathParams) {
+    const parameters = [];
+    const args = action.match(/\(([\s\S]*)\)\s*$/);
+    const declared = {};
+
+    this.splitTopLevel(args ? args[1] : '', ',').forEach(arg => {
+      const parsed = arg.match(/^(\w+)\s*(?::\s*([^?=]+))?(\?=|=)?\s*(.*)$/);
+      if (parsed) declared[parsed[1]] = { type: (parsed[2] || 'String').trim(), operator: parsed[3], value: parsed[4] };
+    });
+
+    const pathNames = (cleanPath.match(/\{([^}]+)\}/g) || []).map(param => param.slice(1, -1));
+    pathNames.forEach(name => {
+      const schema = declared[name] ? this.scalaTypeToSchema(declared[name].type) : { type: 'string' };
+      if (pathParams[name] && pathParams[name].pattern && schema.type === 'string') schema.pattern = pathParams[name].pattern;
+      parameters.push({
+        name,
+        in: 'path',
+        required: true,
+        schema
+      });
+    });
+
+    Object.entries(declared).forEach(([name, arg]) => {
+      // name = value pins a fixed argument that is not read from the request
+      if (pathNames.includes(name) || arg.operator === '=') return;
+
+      const optional = /^Option\[/.test(arg.type);
+      const schema = this.scalaTypeToSchema(arg.type);
+      if (arg.operator === '?=') {
+        const value = this.parseLiteral(arg.value);
+        if (value !== undefined && value !== null) schema.default = value;
+      }
+      parameters.push({
+        name,
+        in: 'query',
+        required: !optional && arg.operator !== '?=',
+        schema
+      });
+    });
+    
+    return parameters;
+  }
+
+  scalaTypeToSchema(type) {
+    const wrapped = type.match(/^(?:Option|java\.util\.Optional)\[(.+)\]$/);
+    if (wrapped) return this.scalaTypeToSchema(wrapped[1]);
+    const collection = type.match(/^(?:List|Seq|Set|Vector|Array)\[(.+)\]$/);
+    if (collection) return { type: 'array', items: this.scalaTypeToSchema(collection[1]) };
+
+    const types = {
+      String: { type: 'string' },
+      Int: { type: 'integer', format: 'int32' },
+      Integer: { type: 'integer', format: 'int32' },
+      Short: { type: 'integer', format: 'int32' },
+      Long: { type: 'integer', format: 'int64' },
+      Double: { type: 'number', format: 'double' },
+      Float: { type: 'number', format: 'float' },
+      BigDecimal: { type: 'number' },
+      Boolean: { type: 'boolean' },
+      Char: { type: 'string', maxLength: 1 },
+      UUID: { type: 'string', format: 'uuid' },
+      LocalDate: { type: 'string', format: 'date' },
+      LocalDateTime: { type: 'string', format: 'date-time' },
+      Instant: { type: 'string', format: 'date-time' }
+    };
+    return { ...(types[type.split('.').pop()] || { type: 'string' }) };
+  }
+
+  parsePlayFrameworkRoutes(content, filePath) {
+    const paths = {};
+    
+    const routeRegex = /case\s+(GET|POST|PUT|DELETE|PATCH)\s*\(\s*p"([^"]+)"\s*\)\s*=>\s*([^\n]+)/g;
+    let match;
+    
+    while ((match = routeRegex.exec(content)) !== null) {
+      const method = match[1].toLowerCase();
+      const pathPattern = match[2];
+      const controller = match[3].trim();
+      
+      let cleanPath = pathPattern
+        .replace(/\$([a-zA-Z_][a-zA-Z0-9_]*)/g, '{$1}')
+        .replace(/\/\$([a-zA-Z_][a-zA-Z0-9_]*)/g, '/{$1}');
+      
+      if (!cleanPath.startsWith('/')) {
+        cleanPath = '/' + cleanPath;
+      }
+      
+      // SIRD routers mounted with '->' in conf/routes
+      const prefixes = (this.playIncludes && this.playIncludes.get(path.normalize(filePath))) || [''];
+      prefixes.forEach(prefix => {
+        const mountedPath = prefix ? this.joinUrlPaths(prefix, cleanPath) : cleanPath;
+        if (!paths[mountedPath]) {
+          paths[mountedPath] = {};
+        }
+        
+        paths[mountedPath][method] = {
+          summary: `${method.toUpperCase()} ${mountedPath}`,
+          parameters: this.extractPlayFrameworkParameters(mountedPath, pathPattern),
+          responses: {
+            '200': { description: 'Success' },
+            '400': { description: 'Bad Request' },
+            '401': { description: 'Unauthorized' },
+            '403': { description: 'Forbidden' },
+            '404': { description: 'Not Found' },
+            '500': { description: 'Internal Server Error' }
+          }
+        };
+      });
+    }
+    
+    return paths;
+  }
+  
+  extractPlayFrameworkParameters(cleanPath, originalPattern) {
+    const parameters = [];
+    
+    const pathParams = cleanPath.match(/\{([^}]+)\}/g) || [];
+    pathParams.forEach(param => {
+      const name = param.slice(1, -1);
+      parameters.push({
+        name,
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+      });
+    });
+    
+    const queryParams = originalPattern.match(/\?\s*q_o"([^"]+)=\$([^"]+)"/g) || [];
+    queryParams.forEach(param => {
+      const matches = param.match(/q_o"([^"]+)=\$([^"]+)"/);
+      if (matches) {
+        const name = matches[1];
+        parameters.push({
+          name,
+          in: 'query',
+          required: false,
+          schema: { type: 'string' }
+        });
+      }
+    });
+    
+    return parameters;
+  }
+
+  findStrapiRoutes() {
+    const routeFiles = [];
+    
+    // Search in packages for server/routes directories
+    const searchPaths = [
+      './packages',
+      './src/api',
+      './api',
+      './server/routes',
+      './src/routes'
+    ];
+    
+    const findRoutes = (dir) => {
+      try {
+        const items = fs.readdirSync(dir, { withFileTypes: true });
+        for (const item of items) {
+          const fullPath = path.join(dir, item.name);
+          if (item.isDirectory()) {
+            // Look for server/routes (plugins) and src/api/*/routes (apps) directories
+            if (item.name === 'routes' && (dir.includes('server') || /(^|\/)api\/[^/]+$/.test(dir))) {
+              const routeItems = fs.readdirSync(fullPath, { withFileTypes: true });
+              for (const routeItem of routeItems) {
+                if (routeItem.name.endsWith('.js') || routeItem.name.endsWith('.ts')) {
+                  routeFiles.push(path.join(fullPath, routeItem.name));
+                }
+              }
+            } else if (!item.name.startsWith('.') && item.name !== 'node_modules') {
+              findRoutes(fullPath);
+            }
+          }
+        }
+      } catch (e) {
+        // Skip directories we can't read
+      }
+    };
+    
+    for (const searchPath of searchPaths) {
+      if (fs.existsSync(searchPath)) {
+        findRoutes(searchPath);
+      }
+    }
+    
+    return routeFiles;
+  }
+
+  parseStrapiRoutes(content, filePath) {
+    const paths = {};
+    const source = this.stripComments(content);
+    const addOperation = (method, routePath, operation) => {
+      const cleanPath = this.strapiPath(routePath);
+      if (!paths[cleanPath]) paths[cleanPath] = {};
+      operation.parameters = [...this.extractStrapiParameters(cleanPath, routePath), ...(operation.parameters || [])];
+      paths[cleanPath][method] = operation;
+    };
+
+    // factories.createCoreRouter('api::article.article', { prefix, only, except, config })
+    const coreRouterRegex = /createCoreRouter\s*\(/g;
+    let match;
+    while ((match = coreRouterRegex.exec(source)) !== null) {
+      const [uid, options] = this.splitTopLevel(this.extractBalanced(source, match.index + match[0].length - 1), ',');
+      this.strapiCoreRoutes(this.parseLiteral(uid), this.parseLiteral(options || '{}') || {}, filePath)
+        .forEach(route => addOperation(route.method, route.path, route.operation));
+    }
+
+    // Hand-written { method, path, handler, config } objects, in any key order
+    this.findStrapiRouteObjects(source).forEach(route => {
+      const method = route.method.toLowerCase();
+      if (!['get', 'post', 'put', 'patch', 'delete'].includes(method)) return;
+      addOperation(method, route.path, this.strapiOperation(method, route.path, {
+        handler: typeof route.handler === 'string' ? route.handler : undefined,
+        config: route.config
+      }));
+    });
+
+    return paths;
+  }
+
+  strapiPath(routePath) {
+    let cleanPath = routePath;
+    if (!cleanPath.startsWith('/')) {
+      cleanPath = '/' + cleanPath;
+    }
+
+    // Convert Strapi parameters :provider (and :id(\d+)) to OpenAPI {provider}
+    cleanPath = cleanPath.replace(/:([a-zA-Z_][a-zA-Z0-9_]*)(\([^)]*\))?/g, '{$1}');
+    // Handle regex patterns like /(.*)
+    cleanPath = cleanPath.replace(/\(\.[*+]\)/g, '{path}');
+    return cleanPath;
+  }
+
+  findStrapiRouteObjects(source) {
+    const routes = [];
+    const seen = new Set();
+    const arrayRegex = /\[/g;
+    let match;
+
+    while ((match = arrayRegex.exec(source)) !== null) {
+      this.splitTopLevel(this.extractBalanced(source, match.index), ',').forEach(entry => {
+        if (!entry.startsWith('{')) return;
+        const route = this.parseLiteral(entry);
+        if (!route || typeof route.method !== 'string' || typeof route.path !== 'string') return;
+
+        const key = `${route.method.toLowerCase()} ${route.path}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        routes.push(route);
+      });
+    }
+    return routes;
+  }
+
+  // The routes Strapi's core router generates for a content type
+  strapiCoreRoutes(uid, options, filePath) {
+    const model = this.getStrapiModels().contentTypes.get(uid);
+    if (!model) {
+      console.warn(`⚠️  Could not find content type ${uid} for core router in ${filePath}`);
+      return [];
+    }
+
+    const info = model.info || {};
+    const isSingle = model.kind === 'singleType';
+    const base = `${options.prefix || ''}/${isSingle ? info.singularName : info.pluralName}`;
+    const actions = isSingle
+      ? [['find', 'get', base], ['update', 'put', base], ['delete', 'delete', base]]
+      : [['find', 'get', base], ['findOne', 'get', `${base}/:id`], ['create', 'post', base],
+        ['update', 'put', `${base}/:id`], ['delete', 'delete', `${base}/:id`]];
+    const config = options.config || {};
+
+    return actions
+      .filter(([action]) => !Array.isArray(options.only) || options.only.includes(action))
+      .filter(([action]) => !Array.isArray(options.except) || !options.except.includes(action))
+      .map(([action, method, routePath]) => ({
+        method,
+        path: routePath,
+        operation: this.strapiOperation(method, routePath, {
+          handler: `${uid}.${action}`,
+          config: config[action],
+          model,
+          action,
+          isSingle
+        })
+      }));
+  }
+
+  strapiOperation(method, routePath, { handler, config, model, action, isSingle } = {}) {
+    const operation = {
+      summary: `${method.toUpperCase()} ${this.strapiPath(routePath)}`,
+      parameters: [],
+      responses: {
+        '200': { description: 'Success' },
+        '400': { description: 'Bad Request' },
+        '404': { description: 'Not Found' },
+        '500': { description: 'Internal Server Error' }
+      }
+    };
+    if (handler) operation.description = `Handler: ${handler}`;
+
+    if (model) {
+      const name = model.info.displayName || model.info.singularName;
+      const ref = this.strapiSchemaRef(model.uid);
+      const entry = this.strapiEntrySchema(ref);
+      const article = /^[aeiou]/i.test(name) ? 'an' : 'a';
+      operation.summary = {
+        find: isSingle ? `Get ${name}` : `List ${name} entries`,
+        findOne: `Get ${article} ${name} entry`,
+        create: `Create ${article} ${name} entry`,
+        update: isSingle ? `Update ${name}` : `Update ${article} ${name} entry`,
+        delete: isSingle ? `Delete ${name}` : `Delete ${article} ${name} entry`
+      }[action];
+      operation.tags = [name];
+      operation.operationId = `${action}${model.schemaName}`;
+
+      const list = action === 'find' && !isSingle;
+      if (list) {
+        operation.parameters.push(
+          { name: 'sort', in: 'query', required: false, schema: { type: 'string' } },
+          { name: 'pagination[page]', in: 'query', required: false, schema: { type: 'integer' } },
+          { name: 'pagination[pageSize]', in: 'query', required: false, schema: { type: 'integer' } },
+          { name: 'filters', in: 'query', required: false, style: 'deepObject', explode: true, schema: { type: 'object' } }
+        );
+      }
+      if (method === 'get') {
+        operation.parameters.push({ name: 'populate', in: 'query', required: false, schema: { type: 'string' } });
+      }
+      if (method === 'post' || method === 'put') {
+        operation.requestBody = {
+          required: true,
+          content: { 'application/json': { schema: { type: 'object', properties: { data: ref }, required: ['data'] } } }
+        };
+      }
+      operation.responses['200'].content = {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              data: list ? { type: 'array', items: entry } : entry,
+              meta: { type: 'object' }
+            }
+          }
+        }
+      };
+    }
+
+    // config.auth: false makes a route public, everything else needs a user JWT or an API token
+    const routeConfig = config && typeof config === 'object' ? config : {};
+    if (routeConfig.auth === false) {
+      operation.security = [];
+    } else {
+      this.applySecurity(operation, ['bearer']);
+    }
+
+    const policies = (Array.isArray(routeConfig.policies) ? routeConfig.policies : [])
+      .map(policy => (policy && typeof policy === 'object' ? policy.name : policy))
+      .filter(policy => typeof policy === 'string');
+    if (policies.length > 0) {
+      operation['x-policies'] = policies;
+      operation.description = [operation.description, `Policies: ${policies.join(', ')}`].filter(Boolean).join('\n\n');
+      operation.responses['403'] = { description: 'Forbidden' };
+    }
+
+    return operation;
+  }
+
+  // v4 nests attributes under data.attributes, v5 returns them flat next to documentId
+  strapiEntrySchema(ref) {
+    if (this.getStrapiMajorVersion() >= 5) {
+      return {
+        allOf: [
+          { type: 'object', properties: { id: { type: 'integer' }, documentId: { type: 'string' } } },
+          ref
+        ]
+      };
+    }
+    return { type: 'object', properties: { id: { type: 'integer' }, attributes: ref } };
+  }
+
+  getStrapiMajorVersion() {
+    if (this.strapiMajorVersion !== undefined) return this.strapiMajorVersion;
+    this.strapiMajorVersion = 4;
+    try {
+      const pkg = JSON.parse(fs.readFileSync('./package.json', 'utf8'));
+      const version = (pkg.dependencies || {})['@strapi/strapi'];
+      const major = version && version.match(/(\d+)/);
+      if (major) this.strapiMajorVersion = Number(major[1]);
+    } catch (e) {
+      // Assume v4 without a readable package.json
+    }
+    return this.strapiMajorVersion;
+  }
+
+  // content-types/*/schema.json -> api::<api>.<name> / plugin::<plugin>.<name>, components/<category>/<name>.json
+  getStrapiModels() {
+    if (this.strapiModelIndex) return this.strapiModelIndex;
+    const contentTypes = new Map();
+    const components = new Map();
+
+    const traverse = (dir, visit) => {
+      try {
+        const items = fs.readdirSync(dir, { withFileTypes: true });
+        for (const item of items) {
+          const fullPath = path.join(dir, item.name);
+          if (item.isDirectory() && !item.name.startsWith('.') && item.name !== 'node_modules') {
+            traverse(fullPath, visit);
+          } else if (item.isFile() && item.name.endsWith('.json')) {
+            visit(fullPath);
+          }
+        }
+      } catch (e) {
+        // Skip directories we can't read
+      }
+    };
+    const readJson = (file) => {
+      try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (e) {
+        console.warn(`⚠️  Could not parse ${file}: ${e.message}`);
+        return null;
+      }
+    };
+
+    ['./src', './packages'].filter(dir => fs.existsSync(dir)).forEach(root => traverse(root, file => {
+      const parts = file.split(path.sep);
+      const typeIndex = parts.lastIndexOf('content-types');
+      if (path.basename(file) === 'schema.json' && typeIndex > 0 && typeIndex === parts.length - 3) {
+        const schema = readJson(file);
+        if (!schema || !schema.attributes) return;
+
+        const name = parts[typeIndex + 1];
+        const apiIndex = parts.lastIndexOf('api');
+        const serverIndex = parts.lastIndexOf('server');
+        const uid = apiIndex !== -1 && apiIndex === typeIndex - 2
+          ? `api::${parts[apiIndex + 1]}.${name}`
+          : `plugin::${parts[(serverIndex > 0 ? serverIndex : typeIndex) - 1]}.${name}`;
+        const info = { singularName: name, pluralName: `${name}s`, ...(schema.info || {}) };
+        contentTypes.set(uid, { ...schema, uid, info, schemaName: this.strapiSchemaName(info.singularName) });
+        return;
+      }
+
+      const componentIndex = parts.lastIndexOf('components');
+      if (componentIndex !== -1 && componentIndex === parts.length - 3) {
+        const schema = readJson(file);
+        if (!schema || !schema.attributes) return;
+
+        const category = parts[componentIndex + 1];
+        const name = path.basename(file, '.json');
+        components.set(`${category}.${name}`, {
+          ...schema,
+          uid: `${category}.${name}`,
+          schemaName: `${this.strapiSchemaName(category)}${this.strapiSchemaName(name)}Component`
+        });
+      }
+    }));
+
+    this.strapiModelIndex = { contentTypes, components };
+    return this.strapiModelIndex;
+  }
+
+  strapiSchemaName(name) {
+    return String(name).split(/[-_.\s]+/).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+  }
+
+  strapiSchemaRef(uid, isComponent = false) {
+    const models = this.getStrapiModels();
+    const model = (isComponent ? models.components : models.contentTypes).get(uid);
+    if (!model) return null;
+
+    if (!this.schemas[model.schemaName]) {
+      // Placeholder first so self-referencing relations terminate
+      this.schemas[model.schemaName] = { type: 'object' };
+      this.schemas[model.schemaName] = this.strapiAttributesSchema(model.attributes, !isComponent && model.options);
+    }
+    return { $ref: `#/components/schemas/${model.schemaName}` };
+  }
+
+  strapiAttributesSchema(attributes, options) {
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+
+    Object.entries(attributes || {}).forEach(([name, attribute]) => {
+      if (!attribute || attribute.private || attribute.type === 'password') return;
+      schema.properties[name] = this.strapiAttributeSchema(attribute);
+      if (attribute.required) required.push(name);
+    });
+
+    // Timestamps Strapi adds to every content type
+    if (options) {
+      schema.properties.createdAt = { type: 'string', format: 'date-time' };
+      schema.properties.updatedAt = { type: 'string', format: 'date-time' };
+      if (options.draftAndPublish) {
+        schema.properties.publishedAt = { type: 'string', format: 'date-time', nullable: true };
+      }
+    }
+
+    if (required.length > 0) schema.required = required;
+    return schema;
+  }
+
+  strapiAttributeSchema(attribute) {
+    const many = (schema) => ({ type: 'array', items: schema });
+    let schema;
+
+    switch (attribute.type) {
+      case 'string':
+      case 'text':
+      case 'richtext':
+      case 'uid':
+        schema = { type: 'string' };
+        break;
+      case 'email':
+        schema = { type: 'string', format: 'email' };
+        break;
+      case 'enumeration':
+        schema = { type: 'string', enum: attribute.enum || [] };
+        break;
+      case 'integer':
+        schema = { type: 'integer' };
+        break;
+      case 'biginteger':
+        // Returned as a string to keep precision
+        schema = { type: 'string', pattern: '^-?\\d+$' };
+        break;
+      case 'float':
+        schema = { type: 'number', format: 'float' };
+        break;
+      case 'decimal':
+        schema = { type: 'number', format: 'double' };
+        break;
+      case 'boolean':
+        schema = { type: 'boolean' };
+        break;
+      case 'date':
+        schema = { type: 'string', format: 'date' };
+        break;
+      case 'datetime':
+      case 'timestamp':
+        schema = { type: 'string', format: 'date-time' };
+        break;
+      case 'time':
+        schema = { type: 'string', format: 'time' };
+        break;
+      case 'blocks':
+        schema = many({ type: 'object' });
+        break;
+      case 'media': {
+        const file = {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            url: { type: 'string' },
+            mime: { type: 'string' },
+            size: { type: 'number' }
+          }
+        };
+        schema = attribute.multiple ? many(file) : file;
+        break;
+      }
+      case 'relation': {
+        const target = attribute.target && this.strapiSchemaRef(attribute.target);
+        const related = target || { type: 'object', description: `Relation to ${attribute.target || 'any content type'}` };
+        schema = /Many$/.test(attribute.relation || '') ? many(related) : related;
+        break;
+      }
+      case 'component': {
+        const component = this.strapiSchemaRef(attribute.component, true) || { type: 'object' };
+        schema = attribute.repeatable ? many(component) : component;
+        break;
+      }
+      case 'dynamiczone': {
+        const refs = (attribute.components || []).map(uid => this.strapiSchemaRef(uid, true)).filter(Boolean);
+        schema = many(refs.length > 0 ? { oneOf: refs } : { type: 'object' });
+        break;
+      }
+      default:
+        schema = {};
+    }
+
+    if (schema.$ref) return schema;
+    if (attribute.minLength !== undefined) schema.minLength = attribute.minLength;
+    if (attribute.maxLength !== undefined) schema.maxLength = attribute.maxLength;
+    if (attribute.min !== undefined) schema.minimum = Number(attribute.min);
+    if (attribute.max !== undefined) schema.maximum = Number(attribute.max);
+    if (attribute.default !== undefined) schema.default = attribute.default;
+    return schema;
+  }
+
+  extractStrapiParameters(cleanPath, originalPath) {
+    const parameters = [];
+    
+    // Path parameters
+    const pathParams = cleanPath.match(/\{([^}]+)\}/g) || [];
+    pathParams.forEach(param => {
+      const name = param.slice(1, -1);
+      parameters.push({
+        name,
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+      });
+    });
+    
+    return parameters;
+  }
+
+  hasNestProject() {
+    if (fs.existsSync('./nest-cli.json')) return true;
+
+    if (fs.existsSync('./package.json')) {
+      try {
+        const pkg = JSON.parse(fs.readFileSync('./package.json', 'utf8'));
+        const dependencies = { ...pkg.dependencies, ...pkg.devDependencies };
+        if (dependencies['@nestjs/core']) return true;
+      } catch (e) {
+        // Skip invalid package.json
+      }
+    }
+    return false;
+  }
+
+  // Controllers reachable from the root module passed to NestFactory.create(), else every @Controller class
+  findNestControllers() {
+    const index = this.getNestIndex();
+    return [...new Set([...index.controllers.values()].map(controller => controller.file))];
+  }
+
+  getNestIndex() {
+    if (this.nestIndex) return this.nestIndex;
+    const index = {
+      controllers: new Map(),
+      modules: new Map(),
+      routerPrefixes: new Map(),
+      globalPrefix: '',
+      prefixExclusions: [],
+      uriVersioning: false,
+      versionPrefix: 'v',
+      defaultVersion: null,
+      globalGuards: [],
+      root: null
+    };
+    this.nestIndex = index;
+    const declared = new Map();
+
+    this.findJSFiles('.')
+      .filter(file => /\.(ts|js)$/.test(file) && !file.endsWith('.d.ts') && !/\.(spec|test|e2e-spec)\.[tj]s$/.test(file))
+      .forEach(file => {
+        const content = this.readSource(file);
+        if (!content) return;
+        const source = this.stripComments(content);
+
+        const decoratorRegex = /@(Controller|Module)\s*\(/g;
+        let match;
+        while ((match = decoratorRegex.exec(source)) !== null) {
+          const args = this.extractBalanced(source, match.index + match[0].length - 1);
+          const classMatch = source.substring(match.index).match(/\bclass\s+([\w$]+)/);
+          if (!classMatch) continue;
+
+          if (match[1] === 'Controller') {
+            declared.set(classMatch[1], { file, className: classMatch[1], prefix: '' });
+          } else {
+            const options = this.literalEntries(args);
+            const names = key => this.splitTopLevel((options[key] || '').replace(/^\[|\]$/g, ''), ',')
+              .map(entry => entry.replace(/^forwardRef\s*\(\s*\(\s*\)\s*=>\s*/, '').match(/^[\w$]+/))
+              .filter(Boolean)
+              .map(name => name[0]);
+            index.modules.set(classMatch[1], { controllers: names('controllers'), imports: names('imports') });
+
+            // RouterModule.register([{ path: 'admin', module: AdminModule, children: [...] }])
+            const routerMatch = (options.imports || '').match(/RouterModule\s*\.\s*(?:register|forRoutes)\s*\(/);
+            if (routerMatch) {
+              const imports = options.imports;
+              this.nestRouterPrefixes(this.extractBalanced(imports, routerMatch.index + routerMatch[0].length - 1), '', index.routerPrefixes);
+            }
+          }
+        }
+
+        // main.ts: NestFactory.create(AppModule), app.setGlobalPrefix('api'), app.enableVersioning(...)
+        const rootMatch = source.match(/NestFactory\s*\.\s*create\w*\s*(?:<[^>]*>)?\s*\(\s*([\w$]+)/);
+        if (rootMatch) index.root = rootMatch[1];
+
+        const prefixMatch = source.match(/\.\s*setGlobalPrefix\s*\(/);
+        if (prefixMatch) {
+          const [prefix, options] = this.splitTopLevel(this.extractBalanced(source, prefixMatch.index + prefixMatch[0].length - 1), ',');
+          index.globalPrefix = this.parseLiteral(prefix) || '';
+          const exclude = this.literalEntries(options || '').exclude;
+          if (exclude) {
+            index.prefixExclusions = this.splitTopLevel(exclude.replace(/^\[|\]$/g, ''), ',')
+              .map(entry => this.parseLiteral(entry.startsWith('{') ? this.literalEntries(entry).path : entry))
+              .filter(entry => typeof entry === 'string')
+              .map(entry => entry.replace(/^\/+/, ''));
+          }
+        }
+
+        const versioningMatch = source.match(/\.\s*enableVersioning\s*\(/);
+        if (versioningMatch) {
+          const options = this.literalEntries(this.extractBalanced(source, versioningMatch.index + versioningMatch[0].length - 1));
+          index.uriVersioning = !options.type || /\bURI\b/.test(options.type);
+          if (options.prefix !== undefined) index.versionPrefix = this.parseLiteral(options.prefix) || '';
+          if (options.defaultVersion) index.defaultVersion = this.nestVersions(options.defaultVersion);
+        }
+
+        // app.useGlobalGuards(new JwtAuthGuard()) / { provide: APP_GUARD, useClass: JwtAuthGuard }
+        const guardsMatch = source.match(/\.\s*useGlobalGuards\s*\(/);
+        if (guardsMatch) {
+          this.splitTopLevel(this.extractBalanced(source, guardsMatch.index + guardsMatch[0].length - 1), ',')
+            .forEach(guard => index.globalGuards.push(guard.replace(/^new\s+/, '')));
+        }
+        const appGuardRegex = /provide\s*:\s*APP_GUARD\s*,\s*use(?:Class|Existing)\s*:\s*([\w$]+)/g;
+        while ((match = appGuardRegex.exec(source)) !== null) index.globalGuards.push(match[1]);
+      });
+
+    // Walk the module tree so only controllers the application registers are documented
+    const visited = new Set();
+    const visit = (moduleName, prefix) => {
+      const module = index.modules.get(moduleName);
+      if (!module || visited.has(moduleName)) return;
+      visited.add(moduleName);
+      const modulePrefix = index.routerPrefixes.has(moduleName) ? index.routerPrefixes.get(moduleName) : prefix;
+      module.controllers.forEach(name => {
+        if (declared.has(name) && !index.controllers.has(name)) {
+          index.controllers.set(name, { ...declared.get(name), prefix: modulePrefix });
+        }
+      });
+      module.imports.forEach(name => visit(name, modulePrefix));
+    };
+    if (index.root) visit(index.root, '');
+    if (index.controllers.size === 0) declared.forEach((controller, name) => index.controllers.set(name, controller));
+
+    if (index.controllers.size > 0) {
+      console.log(`🧱 Found ${index.controllers.size} NestJS controllers`);
+    }
+    return index;
+  }
+
+  nestRouterPrefixes(routesText, prefix, prefixes) {
+    this.splitTopLevel(routesText.replace(/^\s*\[|\]\s*$/g, ''), ',').forEach(entry => {
+      if (!entry.startsWith('{')) {
+        if (/^[\w$]+$/.test(entry) && !prefixes.has(entry)) prefixes.set(entry, prefix);
+        return;
+      }
+      const route = this.literalEntries(entry);
+      const routePath = this.joinUrlPaths(prefix, this.parseLiteral(route.path || "''") || '');
+      if (route.module) prefixes.set(route.module, routePath);
+      if (route.children) this.nestRouterPrefixes(route.children, routePath, prefixes);
+    });
+  }
+
+  // { path: 'users', module: UsersModule } -> raw source text per key
+  literalEntries(text) {
+    const entries = {};
+    const value = (text || '').trim();
+    if (!value.startsWith('{')) return entries;
+    this.splitTopLevel(value.slice(1, -1), ',').forEach(entry => {
+      const [key, ...rest] = this.splitTopLevel(entry, ':');
+      if (key) entries[key.replace(/^['"`]|['"`]$/g, '')] = rest.length ? rest.join(':').trim() : key;
+    });
+    return entries;
+  }
+
+  // '1' / ['1', '2'] / VERSION_NEUTRAL
+  nestVersions(text) {
+    const value = this.parseLiteral(text);
+    const versions = (Array.isArray(value) ? value : [value]).filter(version => typeof version === 'string');
+    return versions.length > 0 ? versions : null;
+  }
+
+  parseNestControllers(content, filePath) {
+    const paths = {};
+    const index = this.getNestIndex();
+    const source = this.stripComments(content);
+    const controllerRegex = /@Controller\s*\(/g;
+    let match;
+
+    while ((match = controllerRegex.exec(source)) !== null) {
+      const classMatch = source.substring(match.index).match(/\bclass\s+([\w$]+)[^{]*\{/);
+      if (!classMatch) continue;
+      const className = classMatch[1];
+      const registered = index.controllers.get(className);
+      if (!registered || path.resolve(registered.file) !== path.resolve(filePath)) continue;
+
+      const classIndex = match.index + classMatch.index;
+      const openIndex = classIndex + classMatch[0].length - 1;
+      const body = this.extractBalanced(source, openIndex);
+      const modifiers = source.substring(0, classIndex).match(/(?:\b(?:export|default|abstract)\s+)*$/)[0];
+      const classDecorators = this.precedingDecorators(source, classIndex - modifiers.length);
+      if (classDecorators.some(decorator => decorator.name === 'ApiExcludeController')) continue;
+
+      // @Controller('users') / @Controller(['users', 'people']) / @Controller({ path: 'users', version: '1' })
+      const controllerArg = (classDecorators.find(decorator => decorator.name === 'Controller') || { args: [] }).args[0] || '';
+      const controllerOptions = this.literalEntries(controllerArg);
+      const controllerPaths = this.nestPaths(controllerArg.startsWith('{') ? controllerOptions.path : controllerArg);
+      const controllerVersions = controllerOptions.version ? this.nestVersions(controllerOptions.version) : null;
+
+      this.nestRouteHandlers(body).forEach(handler => {
+        if (handler.decorators.some(decorator => decorator.name === 'ApiExcludeEndpoint')) return;
+        const versionDecorator = handler.decorators.find(decorator => decorator.name === 'Version');
+        const versions = (versionDecorator && this.nestVersions(versionDecorator.args[0])) || controllerVersions || index.defaultVersion;
+
+        controllerPaths.forEach(controllerPath => {
+          handler.routes.forEach(({ method, routePath }) => {
+            const local = this.joinUrlPaths(registered.prefix, controllerPath, routePath);
+            const excluded = index.prefixExclusions.includes(local.replace(/^\/+/, ''));
+            const versionSegments = index.uriVersioning && versions ? versions.map(version => `${index.versionPrefix}${version}`) : [''];
+
+            versionSegments.forEach(versionSegment => {
+              const fullPath = this.nestPath(this.joinUrlPaths(excluded ? '' : index.globalPrefix, versionSegment, local));
+              if (!paths[fullPath]) paths[fullPath] = {};
+              paths[fullPath][method] = this.nestOperation(method, fullPath, handler, { className, classDecorators });
+            });
+          });
+        });
+      });
+    }
+
+    return paths;
+  }
+
+  // Methods decorated with @Get(':id') / @Post() / @All() ... and their decorators, parameters and return type
+  nestRouteHandlers(body) {
+    const handlers = [];
+    const seen = new Set();
+    const verbRegex = /@(Get|Post|Put|Delete|Patch|Head|Options|All)\s*\(/g;
+    let match;
+
+    while ((match = verbRegex.exec(body)) !== null) {
+      // Skip the decorators that follow to reach the method name
+      let cursor = match.index;
+      let rest = body.substring(cursor);
+      let decorator;
+      while ((decorator = rest.match(/^\s*@[\w$.]+\s*/))) {
+        cursor += decorator[0].length;
+        if (body[cursor] === '(') cursor += this.extractBalanced(body, cursor).length + 2;
+        rest = body.substring(cursor);
+      }
+      const methodMatch = rest.match(/^\s*(?:(?:public|protected|private|async|override)\s+)*([\w$]+)\s*(?:<[^>(]*>)?\s*\(/);
+      if (!methodMatch) continue;
+
+      const startIndex = cursor + methodMatch[0].search(/\S/);
+      if (seen.has(startIndex)) continue;
+      seen.add(startIndex);
+
+      const paramsStart = cursor + methodMatch[0].length - 1;
+      const params = this.extractBalanced(body, paramsStart);
+      const returnMatch = body.substring(paramsStart + params.length + 2).match(/^\s*:\s*([^{;]+?)\s*\{/);
+      const decorators = this.precedingDecorators(body, startIndex);
+
+      const routes = [];
+      decorators.forEach(item => {
+        const verb = item.name === 'All' ? null : item.name.toLowerCase();
+        if (!['Get', 'Post', 'Put', 'Delete', 'Patch', 'Head', 'Options', 'All'].includes(item.name)) return;
+        this.nestPaths(item.args[0]).forEach(routePath => {
+          (verb ? [verb] : ['get', 'post', 'put', 'delete', 'patch']).forEach(method => routes.push({ method, routePath }));
+        });
+      });
+
+      handlers.push({
+        name: methodMatch[1],
+        decorators,
+        routes,
+        parameters: this.splitTopLevel(params, ',', true).map(param => this.readDecorators(param)),
+        returnType: returnMatch ? returnMatch[1] : null
+      });
+    }
+    return handlers;
+  }
+
+  // Decorators written directly before the declaration at index, in source order
+  precedingDecorators(source, index) {
+    let start = index;
+    for (;;) {
+      let end = start;
+      while (end > 0 && /\s/.test(source[end - 1])) end--;
+      let open = end;
+      if (source[end - 1] === ')') {
+        let depth = 0;
+        for (open = end - 1; open >= 0; open--) {
+          if (source[open] === ')') depth++;
+          else if (source[open] === '(' && --depth === 0) break;
+        }
+      }
+      const name = source.substring(0, open).match(/@[\w$.]+\s*$/);
+      if (!name) break;
+      start = open - name[0].length;
+    }
+    return this.readDecorators(source.substring(start, index)).decorators;
+  }
+
+  // undefined -> [''], 'users' -> ['users'], ['a', 'b'] -> ['a', 'b']
+  nestPaths(text) {
+    if (text === undefined || text === '') return [''];
+    const value = this.parseLiteral(text);
+    const routes = (Array.isArray(value) ? value : [value]).filter(route => typeof route === 'string');
+    return routes.length > 0 ? routes : [''];
+  }
+
+  // Express-style ':id' and '*' segments become OpenAPI templates
+  nestPath(routePath) {
+    return routePath
+      .replace(/:([a-zA-Z_][a-zA-Z0-9_]*)\??/g, '{$1}')
+      .replace(/\/\*(?:\w*)$/, '/{path}');
+  }
+
+  nestOperation(method, routePath, handler, { className, classDecorators }) {
+    const decorators = [...classDecorators, ...handler.decorators];
+    const find = name => handler.decorators.find(decorator => decorator.name === name);
+    const httpCode = find('HttpCode');
+    const successStatus = String((httpCode && this.nestStatus(httpCode.args[0])) || (method === 'post' ? 201 : 200));
+
+    const operation = {
+      summary: `${method.toUpperCase()} ${routePath}`,
+      description: `Handler: ${className}.${handler.name}`,
+      operationId: `${className}_${handler.name}`,
+      parameters: (routePath.match(/\{[^}]+\}/g) || []).map(param => ({
+        name: param.slice(1, -1),
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+      })),
+      responses: {
+        [successStatus]: { description: { 201: 'Created', 204: 'No Content' }[successStatus] || 'Success' },
+        '400': { description: 'Bad Request' },
+        '404': { description: 'Not Found' },
+        '500': { description: 'Internal Server Error' }
+      }
+    };
+
+    this.applyNestParameters(operation, method, handler.parameters);
+
+    // Promise<UserDto> / Observable<UserDto[]>; @Res() handlers write the response themselves
+    const returnType = (handler.returnType || '').replace(/^(?:Promise|Observable)\s*<([\s\S]*)>$/, '$1').trim();
+    const usesResponse = handler.parameters.some(param => param.decorators.some(decorator => decorator.name === 'Res'));
+    if (returnType && !usesResponse && !/^(void|any|unknown|undefined|never)$/.test(returnType) && successStatus !== '204') {
+      operation.responses[successStatus].content = { 'application/json': { schema: this.typeToSchema(returnType) } };
+    }
+
+    this.applyNestSwaggerDecorators(operation, decorators);
+    this.applyNestSecurity(operation, decorators);
+    return operation;
+  }
+
+  // @Param('id', ParseIntPipe) / @Query() filter: ListUsersDto / @Body() dto: CreateUserDto / @Headers('x-tenant') / @UploadedFile()
+  applyNestParameters(operation, method, parameters) {
+    const bodyProperties = {};
+    const bodyRequired = [];
+    let multipart = false;
+
+    parameters.forEach(({ decorators, rest }) => {
+      const declaration = rest.match(/^([\w$]+)\s*(\?)?\s*(?::\s*([\s\S]+?))?(?:\s*=\s*[\s\S]+)?$/);
+      if (!declaration || decorators.length === 0) return;
+      const [, , optional, typeText = 'any'] = declaration;
+      const decorator = decorators[0];
+      const name = this.parseLiteral(decorator.args[0]);
+      const pipes = decorator.args.slice(typeof name === 'string' ? 1 : 0);
+      const schema = () => this.applyNestPipes(this.typeToSchema(typeText), pipes);
+
+      switch (decorator.name) {
+        case 'Param':
+          if (typeof name === 'string') {
+            const parameter = operation.parameters.find(param => param.in === 'path' && param.name === name);
+            if (parameter) parameter.schema = schema();
+          } else {
+            const { properties } = this.nestTypeProperties(typeText);
+            operation.parameters.filter(param => param.in === 'path' && properties[param.name])
+              .forEach(param => { param.schema = properties[param.name]; });
+          }
+          break;
+        case 'Query':
+          if (typeof name === 'string') {
+            // Parse pipes reject a missing value unless it is optional or defaulted
+            const required = !optional && pipes.some(pipe => /Parse\w+Pipe/.test(pipe) && !/optional\s*:\s*true/.test(pipe)) &&
+              !pipes.some(pipe => /DefaultValuePipe/.test(pipe));
+            operation.parameters.push({ name, in: 'query', required, schema: schema() });
+          } else {
+            const { properties, required } = this.nestTypeProperties(typeText);
+            Object.entries(properties).forEach(([property, propertySchema]) => {
+              operation.parameters.push({ name: property, in: 'query', required: required.includes(property), schema: propertySchema });
+            });
+          }
+          break;
+        case 'Headers':
+          if (typeof name === 'string') operation.parameters.push({ name, in: 'header', required: false, schema: schema() });
+          break;
+        case 'Body':
+          if (!['post', 'put', 'patch', 'delete'].includes(method)) break;
+          if (typeof name === 'string') {
+            bodyProperties[name] = schema();
+            if (!optional) bodyRequired.push(name);
+          } else {
+            operation.requestBody = { required: !optional, content: { 'application/json': { schema: schema() } } };
+          }
+          break;
+        case 'UploadedFile':
+        case 'UploadedFiles': {
+          const file = { type: 'string', format: 'binary' };
+          bodyProperties[typeof name === 'string' ? name : (decorator.name === 'UploadedFile' ? 'file' : 'files')] =
+            decorator.name === 'UploadedFiles' ? { type: 'array', items: file } : file;
+          multipart = true;
+          break;
+        }
+      }
+    });
+
+    if (Object.keys(bodyProperties).length > 0) {
+      const schema = { type: 'object', properties: bodyProperties };
+      if (bodyRequired.length > 0) schema.required = bodyRequired;
+      const contentType = multipart ? 'multipart/form-data' : 'application/json';
+      if (operation.requestBody && multipart) {
+        // @Body() fields sent alongside an upload are form fields
+        const fields = this.nestTypeProperties(null, operation.requestBody.content['application/json'].schema);
+        Object.assign(schema.properties, fields.properties);
+      }
+      operation.requestBody = { required: true, content: { [contentType]: { schema } } };
+    }
+  }
+
+  // ParseIntPipe, ParseUUIDPipe, new ParseEnumPipe(Role) ... narrow the declared type
+  applyNestPipes(schema, pipes) {
+    let result = schema;
+    pipes.forEach(pipe => {
+      const name = (pipe.match(/^(?:new\s+)?([\w$]+)/) || [])[1];
+      const pipeSchemas = {
+        ParseIntPipe: { type: 'integer' },
+        ParseFloatPipe: { type: 'number' },
+        ParseBoolPipe: { type: 'boolean' },
+        ParseUUIDPipe: { type: 'string', format: 'uuid' },
+        ParseDatePipe: { type: 'string', format: 'date-time' }
+      };
+      if (pipeSchemas[name]) result = { ...pipeSchemas[name] };
+      if (name === 'ParseEnumPipe') {
+        const enumType = this.extractBalanced(pipe, pipe.indexOf('(')).split(',')[0].trim();
+        if (enumType) result = this.typeToSchema(enumType);
+      }
+      if (name === 'ParseArrayPipe') result = { type: 'array', items: result.type === 'array' ? result.items : { type: 'string' } };
+      if (name === 'DefaultValuePipe') {
+        const value = this.parseLiteral(this.extractBalanced(pipe, pipe.indexOf('(')));
+        if (value !== undefined && !result.$ref) result = { ...result, default: value };
+      }
+    });
+    return result;
+  }
+
+  // Properties of a DTO class, flattened through extends / PartialType(...) for query and path binding
+  nestTypeProperties(typeText, schema = null) {
+    let resolved = schema;
+    if (!resolved) {
+      const declaration = /^[\w$]+$/.test(typeText) && this.getTypeIndex().get(typeText);
+      resolved = declaration ? this.declarationToSchema(declaration, {}) : this.typeToSchema(typeText);
+    }
+    resolved = this.dereferenceSchema(resolved);
+    if (resolved.allOf) {
+      return resolved.allOf.reduce((all, part) => {
+        const own = this.nestTypeProperties(null, part);
+        return { properties: { ...all.properties, ...own.properties }, required: [...all.required, ...own.required] };
+      }, { properties: {}, required: [] });
+    }
+    return { properties: { ...(resolved.properties || {}) }, required: resolved.required || [] };
+  }
+
+  // HttpStatus.NO_CONTENT / 204
+  nestStatus(text) {
+    const value = this.parseLiteral(text);
+    if (typeof value === 'number') return value;
+    const statuses = {
+      OK: 200, CREATED: 201, ACCEPTED: 202, NO_CONTENT: 204, MOVED_PERMANENTLY: 301, FOUND: 302,
+      BAD_REQUEST: 400, UNAUTHORIZED: 401, FORBIDDEN: 403, NOT_FOUND: 404, CONFLICT: 409,
+      UNPROCESSABLE_ENTITY: 422, INTERNAL_SERVER_ERROR: 500
+    };
+    return statuses[(text || '').split('.').pop()] || null;
+  }
+
+  // @ApiTags, @ApiOperation({ summary }), @ApiResponse({ status, type }) / @ApiNotFoundResponse() from @nestjs/swagger
+  applyNestSwaggerDecorators(operation, decorators) {
+    const shorthands = {
+      ApiOkResponse: 200, ApiCreatedResponse: 201, ApiAcceptedResponse: 202, ApiNoContentResponse: 204,
+      ApiBadRequestResponse: 400, ApiUnauthorizedResponse: 401, ApiForbiddenResponse: 403,
+      ApiNotFoundResponse: 404, ApiConflictResponse: 409, ApiUnprocessableEntityResponse: 422,
+      ApiInternalServerErrorResponse: 500
+    };
+
+    decorators.forEach(({ name, args }) => {
+      const options = this.literalEntries(args[0]);
+      const text = key => (options[key] !== undefined ? this.parseLiteral(options[key]) : undefined);
+
+      if (name === 'ApiTags') {
+        operation.tags = [...new Set([...(operation.tags || []), ...args.map(arg => this.parseLiteral(arg)).filter(Boolean)])];
+      } else if (name === 'ApiOperation') {
+        ['summary', 'description', 'operationId'].forEach(key => {
+          if (typeof text(key) === 'string') operation[key] = text(key);
+        });
+        if (text('deprecated') === true) operation.deprecated = true;
+      } else if (name === 'ApiResponse' || shorthands[name]) {
+        const status = String(shorthands[name] || this.nestStatus(options.status) || 'default');
+        const response = { ...(operation.responses[status] || {}) };
+        response.description = text('description') || response.description || 'Response';
+        if (options.type) {
+          const type = options.type.replace(/^\[\s*([\s\S]*?)\s*\]$/, '$1[]');
+          const schema = this.typeToSchema(text('isArray') === true ? `${type}[]` : type);
+          response.content = { 'application/json': { schema } };
+        }
+        operation.responses[status] = response;
+      }
+    });
+  }
+
+  // @UseGuards(AuthGuard('jwt')) / @UseGuards(JwtAuthGuard) / global guards, @Public() opt-outs and @Roles('admin')
+  applyNestSecurity(operation, decorators) {
+    const index = this.getNestIndex();
+    const guards = [
+      ...index.globalGuards,
+      ...decorators.filter(decorator => decorator.name === 'UseGuards').flatMap(decorator => decorator.args)
+    ];
+    const schemes = guards.map(guard => this.classifyNestGuard(guard)).filter(Boolean);
+    decorators.filter(decorator => /^Api(BearerAuth|BasicAuth|OAuth2|CookieAuth)$/.test(decorator.name))
+      .forEach(decorator => schemes.push({ ApiBearerAuth: 'bearer', ApiBasicAuth: 'basic', ApiOAuth2: 'oauth2' }[decorator.name] || 'apiKey'));
+
+    const isPublic = decorators.some(decorator => ['Public', 'AllowAnonymous', 'SkipAuth', 'IsPublic'].includes(decorator.name) ||
+      (decorator.name === 'SetMetadata' && /public/i.test(decorator.args[0] || '') && decorator.args[1] === 'true'));
+    if (isPublic) {
+      if (schemes.length > 0) operation.security = [];
+      return;
+    }
+    this.applySecurity(operation, schemes);
+
+    const roles = decorators
+      .filter(decorator => decorator.name === 'Roles')
+      .flatMap(decorator => decorator.args.map(arg => this.parseLiteral(arg) || arg.split('.').pop()));
+    if (roles.length > 0) {
+      operation.description = [operation.description, `Roles: ${roles.join(', ')}`].filter(Boolean).join('\n\n');
+      operation.responses['403'] = { description: 'Forbidden' };
+    }
+  }
+
+  classifyNestGuard(guard) {
+    const text = guard.trim().replace(/^new\s+/, '');
+    const strategy = text.match(/^AuthGuard\s*\(\s*\[?\s*['"]([\w-]+)['"]/);
+    if (strategy) return this.classifyAuthMiddleware(`passport.authenticate('${strategy[1]}')`);
+    if (/^AuthGuard\s*\(\s*\)$/.test(text)) return 'bearer';
+
+    const name = (text.match(/^([\w$]+)/) || [])[1] || '';
+    const known = this.classifyAuthMiddleware(name.charAt(0).toLowerCase() + name.slice(1));
+    if (known) return known;
+    if (/api[-_]?key/i.test(name)) return 'apiKey';
+    if (/basic/i.test(name)) return 'basic';
+    if (/oauth/i.test(name)) return 'oauth2';
+    if (/jwt|auth|token|bearer|session/i.test(name) && !/role|permission|throttl|policy/i.test(name)) return 'bearer';
+    return null;
+  }
+
+  // Runtime dependencies only, a dev dependency on a framework says little about how the app serves requests
+  hasDependency(...names) {
+    if (!fs.existsSync('./package.json')) return false;
+    try {
+      const pkg = JSON.parse(fs.readFileSync('./package.json', 'utf8'));
+      return names.some(name => Boolean((pkg.dependencies || {})[name]));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  hasFastifyProject() {
+    return this.hasDependency('fastify');
+  }
+
+  findFastifyFiles() {
+    return this.getFastifyIndex().routeFiles;
+  }
+
+  // Plugin tree of a Fastify app: register() prefixes, auth hooks per encapsulation scope and addSchema() shared schemas
+  getFastifyIndex() {
+    if (this.fastifyIndex) return this.fastifyIndex;
+    const index = { modules: new Map(), mounts: new Map(), hooks: new Map(), sharedSchemas: new Map(), routeFiles: [] };
+    this.fastifyIndex = index;
+    const edges = new Map();
+    const sharedDefinitions = [];
+
+    this.findJSFiles('.')
+      .filter(file => /\.(js|ts)$/.test(file) && !file.endsWith('.d.ts') && !/\.(spec|test)\.[jt]s$/.test(file))
+      .forEach(file => {
+        const content = this.readSource(file);
+        if (!content) return;
+        try {
+          const mod = this.analyzeFastifyModule(content, file);
+          index.modules.set(mod.key, mod);
+          if (mod.hasRoutes) index.routeFiles.push(file);
+
+          mod.registrations.forEach(registration => {
+            registration.children.forEach(child => {
+              if (!edges.has(child.node)) edges.set(child.node, []);
+              edges.get(child.node).push({ parent: registration.parent, prefix: child.prefix });
+            });
+          });
+          mod.hooks.forEach(hook => {
+            if (!index.hooks.has(hook.node)) index.hooks.set(hook.node, []);
+            index.hooks.get(hook.node).push(hook.scheme);
+          });
+          sharedDefinitions.push(...mod.sharedSchemas);
+        } catch (e) {
+          console.warn(`⚠️  Could not analyze Fastify plugin ${file}: ${e.message}`);
+        }
+      });
+
+    // A plugin can be registered several times; its routes get every prefix and the hooks of every parent scope
+    const resolveMounts = (node, visiting) => {
+      if (index.mounts.has(node)) return index.mounts.get(node);
+      const incoming = edges.get(node);
+      if (!incoming) return [{ prefix: '', security: [] }];
+      if (visiting.has(node)) return [];
+      visiting.add(node);
+
+      const result = [];
+      incoming.forEach(edge => {
+        const inherited = index.hooks.get(edge.parent) || [];
+        resolveMounts(edge.parent, visiting).forEach(parentMount => {
+          const prefix = this.joinUrlPaths(parentMount.prefix, edge.prefix);
+          const security = [...new Set([...parentMount.security, ...inherited])].sort();
+          if (!result.some(existing => existing.prefix === prefix && existing.security.join() === security.join())) {
+            result.push({ prefix, security });
           }
+        });
+      });
+      visiting.delete(node);
+      index.mounts.set(node, result);
+      return result;
+    };
+    for (const node of edges.keys()) resolveMounts(node, new Set());
+
+    // Names first so shared schemas can reference each other
+    sharedDefinitions.forEach(definition => {
+      const name = definition.$id.replace(/#$/, '').split('/').pop().replace(/\.json$/, '').replace(/[^\w.-]/g, '_');
+      index.sharedSchemas.set(definition.$id.replace(/#$/, ''), name);
+    });
+    sharedDefinitions.forEach(definition => {
+      const name = index.sharedSchemas.get(definition.$id.replace(/#$/, ''));
+      this.schemas[name] = this.fastifySchema(definition, name);
+    });
+
+    if (index.modules.size > 0) {
+      console.log(`⚡ Found ${index.routeFiles.length} Fastify route files, ${edges.size} registered plugins, ${sharedDefinitions.length} shared schemas`);
+    }
+    return index;
+  }
+
+  analyzeFastifyModule(content, filePath) {
+    const key = path.resolve(filePath);
+    const source = this.stripComments(content);
+    const imports = this.parseImports(content);
+    const resolve = name => this.fastifyValue(filePath, name);
+    const mod = {
+      key,
+      source,
+      scopes: [],
+      registrations: [],
+      hooks: [],
+      sharedSchemas: [],
+      hasRoutes: /\.\s*(?:get|post|put|delete|patch|head|options|all)\s*\(\s*['"`](?:\/|['"`])|\.\s*route\s*\(\s*\{/.test(source)
+    };
+    const addScope = scope => {
+      if (!mod.scopes.some(existing => existing.key === scope.key)) mod.scopes.push(scope);
+      return scope.key;
+    };
+    let match;
+
+    // fastify.register(require('./routes/users'), { prefix: '/users' }) / register(fp(plugin)) / register(async (app) => {...})
+    const registerRegex = /(\w+)\s*\.\s*register\s*\(/g;
+    while ((match = registerRegex.exec(source)) !== null) {
+      const open = match.index + match[0].length - 1;
+      const inner = this.extractBalanced(source, open);
+      const [target = '', optionsText = ''] = this.splitTopLevel(inner, ',');
+      const options = this.parseLiteral(optionsText, resolve);
+      const prefix = options && typeof options.prefix === 'string' ? options.prefix : '';
+      const wrapped = target.match(/^(?:fp|fastifyPlugin)\s*\(([\s\S]*)\)$/);
+      const plugin = wrapped ? this.splitTopLevel(wrapped[1], ',')[0] || '' : target;
+      const registration = { index: match.index, children: [] };
+
+      const required = plugin.match(/^(?:await\s+)?(?:require|import)\s*\(\s*['"]([^'"]+)['"]\s*\)/);
+      if (required) {
+        const resolved = this.resolveModulePath(key, required[1]);
+        if (resolved) registration.children.push({ node: resolved, prefix });
+      } else if (/^(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[\w$]+\s*=>)/.test(plugin)) {
+        const start = source.indexOf(plugin, open);
+        registration.children.push({ node: addScope({ key: `${key}@${start}`, start, end: start + plugin.length }), prefix });
+      } else if (/^[\w$]+$/.test(plugin)) {
+        const imported = imports.get(plugin);
+        if (imported && /^(?:@fastify\/autoload|fastify-autoload)$/.test(imported.source)) {
+          registration.children.push(...this.fastifyAutoload(filePath, optionsText, options));
+        } else if (imported) {
+          const resolved = this.resolveModulePath(key, imported.source);
+          if (resolved) registration.children.push({ node: resolved, prefix });
+        } else {
+          const range = this.functionRange(source, plugin);
+          if (range) registration.children.push({ node: addScope({ key: `${key}#${plugin}`, ...range }), prefix });
         }
-      } catch (e) {
-        // Skip directories we can't read
       }
-    };
-    
-    findRouters('.');
-    return routerFiles;
+      mod.registrations.push(registration);
+    }
+    mod.registrations.forEach(registration => {
+      registration.parent = this.fastifyNode(mod, registration.index);
+    });
+
+    // fastify.addHook('onRequest', fastify.authenticate) guards the whole scope and its children
+    const hookRegex = /(\w+)\s*\.\s*addHook\s*\(\s*['"](?:onRequest|preHandler|preValidation|preParsing)['"]\s*,/g;
+    while ((match = hookRegex.exec(source)) !== null) {
+      const args = this.splitTopLevel(this.extractBalanced(source, source.indexOf('(', match.index)), ',');
+      const scheme = this.classifyFastifyHook(args[1] || '');
+      if (scheme) mod.hooks.push({ node: this.fastifyNode(mod, match.index), scheme });
+    }
+
+    // fastify.addSchema({ $id: 'User', type: 'object', ... })
+    const schemaRegex = /\.\s*addSchema\s*\(/g;
+    while ((match = schemaRegex.exec(source)) !== null) {
+      const definition = this.parseLiteral(this.extractBalanced(source, match.index + match[0].length - 1), resolve);
+      if (definition && typeof definition === 'object' && typeof definition.$id === 'string') {
+        mod.sharedSchemas.push(definition);
+      }
+    }
+    return mod;
   }
 
-  parsePlayFrameworkRoutes(content, filePath) {
+  // @fastify/autoload: every folder below dir becomes a prefix, options.prefix in front of it
+  fastifyAutoload(filePath, optionsText, options) {
+    const dir = optionsText.match(/\bdir\s*:\s*(?:path\s*\.\s*)?(?:join|resolve)\s*\(\s*__dirname\s*,([^)]*)\)/);
+    if (!dir) return [];
+    const segments = this.splitTopLevel(dir[1], ',').map(segment => this.parseLiteral(segment));
+    if (segments.some(segment => typeof segment !== 'string')) return [];
+
+    const root = path.resolve(path.dirname(filePath), ...segments);
+    const basePrefix = options && options.options && typeof options.options.prefix === 'string' ? options.options.prefix : '';
+    return this.findJSFiles(root)
+      .filter(file => /\.(js|ts)$/.test(file) && !file.endsWith('.d.ts') && !/\.(spec|test)\.[jt]s$/.test(file))
+      .map(file => ({
+        node: path.resolve(file),
+        prefix: this.joinUrlPaths(basePrefix, ...path.relative(root, path.dirname(path.resolve(file))).split(path.sep))
+      }));
+  }
+
+  // Span of a plugin declared in the same file: function users(app) {...} / const users = async (app) => {...}
+  functionRange(source, name) {
+    const escaped = name.replace(/\$/g, '\\$');
+    const definition = new RegExp(`function\\s*\\*?\\s*${escaped}\\s*\\(|(?:const|let|var)\\s+${escaped}\\s*(?::[^=]+)?=\\s*(?:async\\s+)?(?:function\\b[^(]*)?\\(?`).exec(source);
+    if (!definition) return null;
+    const braceIndex = source.indexOf('{', definition.index + definition[0].length);
+    if (braceIndex === -1) return null;
+    return { start: definition.index, end: braceIndex + this.extractBalanced(source, braceIndex).length + 2 };
+  }
+
+  // Innermost registered plugin function around index, else the file itself
+  fastifyNode(mod, index) {
+    const scope = mod.scopes
+      .filter(candidate => index >= candidate.start && index < candidate.end)
+      .sort((a, b) => (a.end - a.start) - (b.end - b.start))[0];
+    return scope ? scope.key : mod.key;
+  }
+
+  // fastify.authenticate / fastify.auth([...]) / async (request) => { await request.jwtVerify() }
+  classifyFastifyHook(handler) {
+    if (/\bjwtVerify\s*\(/.test(handler)) return 'bearer';
+    return this.classifyAuthMiddleware(handler);
+  }
+
+  // Resolves identifiers in schema literals: local constants, imported ones and member access (schemas.createUser)
+  fastifyValue(filePath, expression, seen = new Set()) {
+    const [name, ...members] = expression.split('.');
+    const key = `${path.resolve(filePath)}#${name}`;
+    if (seen.has(key)) return undefined;
+    seen.add(key);
+
+    const content = this.readSource(filePath);
+    if (!content) return undefined;
+    const source = this.stripComments(content);
+    let value;
+
+    const definition = new RegExp(`(?:const|let|var)\\s+${name.replace(/\$/g, '\\$')}\\s*(?::[^=]+)?=\\s*`).exec(source);
+    if (definition && !/^require\s*\(/.test(source.substring(definition.index + definition[0].length))) {
+      const expressionText = this.readExpression(source, definition.index + definition[0].length);
+      value = this.parseLiteral(expressionText, next => this.fastifyValue(filePath, next, new Set(seen)));
+    } else {
+      const imported = this.parseImports(content).get(name);
+      const resolved = imported && this.resolveModulePath(path.resolve(filePath), imported.source);
+      if (resolved) {
+        const exported = this.parseExports(this.readSource(resolved) || '');
+        if (exported.has(imported.name)) {
+          value = this.fastifyValue(resolved, exported.get(imported.name), seen);
+        } else if (imported.name === 'default') {
+          // const schemas = require('./schemas') with module.exports = { createUser, ... }
+          value = {};
+          exported.forEach((local, exportName) => {
+            value[exportName] = this.fastifyValue(resolved, local, new Set(seen));
+          });
+        }
+      }
+    }
+    return members.reduce((current, member) => (current && typeof current === 'object' ? current[member] : undefined), value);
+  }
+
+  parseFastifyRoutes(content, filePath) {
     const paths = {};
-    
-    const routeRegex = /case\s+(GET|POST|PUT|DELETE|PATCH)\s*\(\s*p"([^"]+)"\s*\)\s*=>\s*([^\n]+)/g;
+    const index = this.getFastifyIndex();
+    const mod = index.modules.get(path.resolve(filePath));
+    if (!mod) return paths;
+
+    const resolve = name => this.fastifyValue(filePath, name);
+    const allMethods = ['get', 'post', 'put', 'delete', 'patch', 'head', 'options'];
+    // fastify.get('/users/:id', { schema }, handler) / fastify.route({ method, url, schema, handler })
+    const routeRegex = /(\w+)\s*\.\s*(get|post|put|delete|patch|head|options|all|route)\s*\(/g;
     let match;
-    
-    while ((match = routeRegex.exec(content)) !== null) {
-      const method = match[1].toLowerCase();
-      const pathPattern = match[2];
-      const controller = match[3].trim();
-      
-      let cleanPath = pathPattern
-        .replace(/\$([a-zA-Z_][a-zA-Z0-9_]*)/g, '{$1}')
-        .replace(/\/\$([a-zA-Z_][a-zA-Z0-9_]*)/g, '/{$1}');
-      
-      if (!cleanPath.startsWith('/')) {
-        cleanPath = '/' + cleanPath;
-      }
-      
-      if (!paths[cleanPath]) {
-        paths[cleanPath] = {};
+
+    while ((match = routeRegex.exec(mod.source)) !== null) {
+      const args = this.splitTopLevel(this.extractBalanced(mod.source, match.index + match[0].length - 1), ',');
+      let url;
+      let methods;
+      let optionsText = '';
+
+      if (match[2] === 'route') {
+        optionsText = args[0] || '';
+        const routeOptions = this.parseLiteral(optionsText, resolve);
+        if (!routeOptions || typeof routeOptions !== 'object' || Array.isArray(routeOptions)) continue;
+        url = routeOptions.url !== undefined ? routeOptions.url : routeOptions.path;
+        methods = [].concat(routeOptions.method || []).map(method => String(method).toLowerCase());
+      } else {
+        url = this.parseLiteral(args[0]);
+        methods = match[2] === 'all' ? ['get', 'post', 'put', 'delete', 'patch'] : [match[2]];
+        if (args.length > 2 || (args.length === 2 && args[1].startsWith('{'))) optionsText = args[1];
       }
-      
-      paths[cleanPath][method] = {
-        summary: `${method.toUpperCase()} ${cleanPath}`,
-        parameters: this.extractPlayFrameworkParameters(cleanPath, pathPattern),
-        responses: {
-          '200': { description: 'Success' },
-          '400': { description: 'Bad Request' },
-          '401': { description: 'Unauthorized' },
-          '403': { description: 'Forbidden' },
-          '404': { description: 'Not Found' },
-          '500': { description: 'Internal Server Error' }
-        }
-      };
+      if (typeof url !== 'string' || !(url === '' || url.startsWith('/'))) continue;
+
+      const options = (optionsText && this.parseLiteral(optionsText, resolve)) || {};
+      const schema = options.schema && typeof options.schema === 'object' ? options.schema : {};
+      if (schema.hide === true) continue;
+
+      const node = this.fastifyNode(mod, match.index);
+      const mounts = index.mounts.get(node) || [{ prefix: '', security: [] }];
+      const security = [...(index.hooks.get(node) || []), ...this.fastifyRouteAuth(optionsText)];
+
+      mounts.forEach(mount => {
+        const routePath = this.fastifyPath(this.joinUrlPaths(mount.prefix, url));
+        methods.filter(method => allMethods.includes(method)).forEach(method => {
+          if (!paths[routePath]) paths[routePath] = {};
+          const operation = this.fastifyOperation(method, routePath, schema);
+          this.applySecurity(operation, [...mount.security, ...security]);
+          paths[routePath][method] = operation;
+        });
+      });
     }
-    
     return paths;
   }
-  
-  extractPlayFrameworkParameters(cleanPath, originalPattern) {
-    const parameters = [];
-    
-    const pathParams = cleanPath.match(/\{([^}]+)\}/g) || [];
-    pathParams.forEach(param => {
-      const name = param.slice(1, -1);
-      parameters.push({
-        name,
-        in: 'path',
-        required: true,
-        schema: { type: 'string' }
+
+  // /users/:id(^\\d+) -> /users/{id}, /files/* -> /files/{wildcard}, '::' is a literal colon
+  fastifyPath(routePath) {
+    return routePath
+      .replace(/::/g, '\u0000')
+      .replace(/:([A-Za-z_$][\w$]*)(?:\([^)]*\))?\??/g, '{$1}')
+      .replace(/\*$/, '{wildcard}')
+      .replace(/\u0000/g, ':');
+  }
+
+  // onRequest: fastify.authenticate / preHandler: [fastify.auth([fastify.verifyJWT])]
+  fastifyRouteAuth(optionsText) {
+    const entries = this.literalEntries(optionsText);
+    return ['onRequest', 'preHandler', 'preValidation']
+      .filter(hook => entries[hook] && entries[hook] !== hook)
+      .reduce((all, hook) => all.concat(this.flattenMiddleware([entries[hook]])), [])
+      .map(handler => this.classifyFastifyHook(handler))
+      .filter(Boolean);
+  }
+
+  fastifyOperation(method, routePath, schema) {
+    const operation = {
+      summary: typeof schema.summary === 'string' ? schema.summary : `${method.toUpperCase()} ${routePath}`,
+      parameters: [],
+      responses: {
+        '200': { description: 'Success' },
+        '400': { description: 'Bad Request' },
+        '404': { description: 'Not Found' },
+        '500': { description: 'Internal Server Error' }
+      }
+    };
+    if (typeof schema.description === 'string') operation.description = schema.description;
+    if (Array.isArray(schema.tags)) operation.tags = schema.tags.filter(tag => typeof tag === 'string');
+    if (typeof schema.operationId === 'string') operation.operationId = schema.operationId;
+    if (schema.deprecated === true) operation.deprecated = true;
+
+    // params / querystring / headers are object schemas with one property per parameter
+    const pathParams = (routePath.match(/\{[^}]+\}/g) || []).map(param => param.slice(1, -1));
+    [['path', schema.params], ['query', schema.querystring || schema.query], ['header', schema.headers]].forEach(([location, definition]) => {
+      const object = definition && typeof definition === 'object' ? this.dereferenceSchema(this.fastifySchema(definition)) : {};
+      const properties = object.properties || {};
+      const required = Array.isArray(object.required) ? object.required : [];
+      const names = location === 'path' ? pathParams : Object.keys(properties);
+
+      names.forEach(name => {
+        const { description, ...property } = properties[name] || { type: 'string' };
+        const parameter = { name, in: location, required: location === 'path' || required.includes(name), schema: property };
+        if (typeof description === 'string') parameter.description = description;
+        operation.parameters.push(parameter);
       });
     });
-    
-    const queryParams = originalPattern.match(/\?\s*q_o"([^"]+)=\$([^"]+)"/g) || [];
-    queryParams.forEach(param => {
-      const matches = param.match(/q_o"([^"]+)=\$([^"]+)"/);
-      if (matches) {
-        const name = matches[1];
-        parameters.push({
-          name,
-          in: 'query',
-          required: false,
-          schema: { type: 'string' }
+
+    if (schema.body && typeof schema.body === 'object' && !['get', 'head'].includes(method)) {
+      const contentTypes = Array.isArray(schema.consumes) && schema.consumes.length > 0 ? schema.consumes : ['application/json'];
+      const body = this.fastifySchema(schema.body);
+      operation.requestBody = { required: true, content: {} };
+      contentTypes.forEach(type => {
+        operation.requestBody.content[type] = { schema: body };
+      });
+    }
+
+    // response: { 200: {...}, '4xx': {...}, default: {...} }; a schema's description describes the response.
+    // Declared responses replace the generic ones entirely
+    const declared = Object.entries(schema.response && typeof schema.response === 'object' ? schema.response : {})
+      .filter(([, definition]) => definition && typeof definition === 'object');
+    if (declared.length > 0) operation.responses = {};
+    const statusDescriptions = {
+      '200': 'Success', '201': 'Created', '202': 'Accepted', '204': 'No Content', '2XX': 'Success',
+      '400': 'Bad Request', '401': 'Unauthorized', '403': 'Forbidden', '404': 'Not Found',
+      '409': 'Conflict', '4XX': 'Client Error', '500': 'Internal Server Error', '5XX': 'Server Error'
+    };
+
+    declared.forEach(([code, definition]) => {
+      const status = code === 'default' ? 'default' : code.toUpperCase();
+      const response = { description: typeof definition.description === 'string' ? definition.description : statusDescriptions[status] || 'Response' };
+      if (definition.content && typeof definition.content === 'object') {
+        response.content = {};
+        Object.entries(definition.content).forEach(([type, media]) => {
+          response.content[type] = { schema: this.fastifySchema((media && media.schema) || {}) };
         });
+      } else if (definition.type !== 'null') {
+        const converted = this.fastifySchema(definition);
+        delete converted.description;
+        response.content = { 'application/json': { schema: converted } };
       }
+      operation.responses[status] = response;
     });
-    
-    return parameters;
+
+    if (operation.parameters.length === 0) delete operation.parameters;
+    return operation;
   }
 
-  findStrapiRoutes() {
-    const routeFiles = [];
-    
-    // Search in packages for server/routes directories
-    const searchPaths = [
-      './packages',
-      './src/api',
-      './api',
-      './server/routes',
-      './src/routes'
-    ];
-    
-    const findRoutes = (dir) => {
-      try {
-        const items = fs.readdirSync(dir, { withFileTypes: true });
-        for (const item of items) {
-          const fullPath = path.join(dir, item.name);
-          if (item.isDirectory()) {
-            // Look for server/routes directories
-            if (item.name === 'routes' && dir.includes('server')) {
-              const routeItems = fs.readdirSync(fullPath, { withFileTypes: true });
-              for (const routeItem of routeItems) {
-                if (routeItem.name.endsWith('.js') || routeItem.name.endsWith('.ts')) {
-                  routeFiles.push(path.join(fullPath, routeItem.name));
-                }
-              }
-            } else if (!item.name.startsWith('.') && item.name !== 'node_modules') {
-              findRoutes(fullPath);
-            }
-          }
+  // Fastify schemas are plain JSON Schema: shared $ids become component refs, const becomes a one-value enum
+  fastifySchema(schema, base = null) {
+    if (Array.isArray(schema)) return schema.map(item => this.fastifySchema(item, base));
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const result = {};
+    Object.entries(schema).forEach(([key, value]) => {
+      if (key === '$id' || key === '$schema') return;
+      if (key === '$ref' && typeof value === 'string') result.$ref = this.fastifyRef(value, base);
+      else if (key === 'const') result.enum = [value];
+      else if (key === 'examples' && Array.isArray(value)) result.example = value[0];
+      else result[key] = this.fastifySchema(value, base);
+    });
+    return result;
+  }
+
+  // 'User#' / 'User#/properties/id' / 'http://example.com/user.json' -> #/components/schemas/User...
+  fastifyRef(ref, base) {
+    const [id, pointer = ''] = ref.split('#');
+    if (!id) return base ? `#/components/schemas/${base}${pointer}` : ref;
+    const name = this.getFastifyIndex().sharedSchemas.get(id);
+    return name ? `#/components/schemas/${name}${pointer}` : ref;
+  }
+
+  // @koa/router routes can live anywhere: router.get('/users/:id', ...) / router.get('user', '/users/:id', ...)
+  findKoaRouteFiles() {
+    return this.findJSFiles('.')
+      .filter(file => /\.(js|ts)$/.test(file) && !file.endsWith('.d.ts') && !/\.(spec|test)\.[jt]s$/.test(file))
+      .filter(file => /\b\w+\s*\.\s*(?:get|post|put|delete|del|patch)\s*\(\s*(?:['"][^'"]*['"]\s*,\s*)?['"]\//.test(this.readSource(file) || ''));
+  }
+
+  findHapiRouteFiles() {
+    return this.getHapiIndex().routeFiles;
+  }
+
+  // Route objects per file, plugin prefixes from server.register() and auth strategies
+  getHapiIndex() {
+    if (this.hapiIndex) return this.hapiIndex;
+    const index = { modules: new Map(), mounts: new Map(), strategies: {}, defaultStrategy: null, routeFiles: [] };
+    this.hapiIndex = index;
+    const edges = new Map();
+    const addEdge = (child, parent, prefix) => {
+      if (!child || child === parent) return;
+      if (!edges.has(child)) edges.set(child, []);
+      edges.get(child).push({ parent, prefix });
+    };
+
+    this.findJSFiles('.')
+      .filter(file => /\.(js|ts)$/.test(file) && !file.endsWith('.d.ts') && !/\.(spec|test)\.[jt]s$/.test(file))
+      .forEach(file => {
+        const content = this.readSource(file);
+        if (!content) return;
+        const key = path.resolve(file);
+        const source = this.stripComments(content);
+        const imports = this.parseImports(content);
+        const mod = { key, source, routes: this.findHapiRouteObjects(source) };
+        index.modules.set(key, mod);
+        if (mod.routes.length > 0) index.routeFiles.push(file);
+        let match;
+
+        // server.register({ plugin: require('./users'), routes: { prefix: '/users' } }) / server.register([a, b], { routes: { prefix } })
+        const registerRegex = /\.\s*register\s*\(/g;
+        while ((match = registerRegex.exec(source)) !== null) {
+          const args = this.splitTopLevel(this.extractBalanced(source, match.index + match[0].length - 1), ',');
+          if (!args[0]) continue;
+          const sharedPrefix = this.hapiPrefix(this.literalEntries(args[1] || '').routes);
+          const plugins = args[0].startsWith('[') ? this.splitTopLevel(args[0].slice(1, -1), ',') : [args[0]];
+          plugins.forEach(plugin => {
+            const entries = plugin.startsWith('{') ? this.literalEntries(plugin) : null;
+            const target = entries ? entries.plugin || '' : plugin;
+            const prefix = entries && entries.routes ? this.hapiPrefix(entries.routes) : sharedPrefix;
+            addEdge(this.hapiTarget(target, key, imports), key, prefix);
+          });
         }
-      } catch (e) {
-        // Skip directories we can't read
-      }
+
+        // server.route(require('./routes/users')) / server.route([...userRoutes, ...adminRoutes])
+        const routeRegex = /\.\s*route\s*\(/g;
+        while ((match = routeRegex.exec(source)) !== null) {
+          const arg = this.splitTopLevel(this.extractBalanced(source, match.index + match[0].length - 1), ',')[0] || '';
+          const items = arg.startsWith('[') ? this.splitTopLevel(arg.slice(1, -1), ',') : [arg];
+          items
+            .filter(item => !item.startsWith('{'))
+            .forEach(item => addEdge(this.hapiTarget(item.replace(/^\.\.\./, ''), key, imports), key, ''));
+        }
+
+        // server.auth.strategy('jwt', 'jwt', {...}) / server.auth.default('jwt')
+        const strategyRegex = /\.\s*auth\s*\.\s*strategy\s*\(\s*['"]([^'"]+)['"]\s*,\s*['"]([^'"]+)['"]/g;
+        while ((match = strategyRegex.exec(source)) !== null) {
+          index.strategies[match[1]] = match[2];
+        }
+        const defaultStrategy = source.match(/\.\s*auth\s*\.\s*default\s*\(\s*(?:\{[^}]*?\bstrategy\s*:\s*)?['"]([^'"]+)['"]/);
+        if (defaultStrategy) index.defaultStrategy = defaultStrategy[1];
+      });
+
+    const resolveMounts = (node, visiting) => {
+      if (index.mounts.has(node)) return index.mounts.get(node);
+      const incoming = edges.get(node);
+      if (!incoming) return [''];
+      if (visiting.has(node)) return [];
+      visiting.add(node);
+
+      const result = [];
+      incoming.forEach(edge => {
+        resolveMounts(edge.parent, visiting).forEach(parentPrefix => {
+          const prefix = this.joinUrlPaths(parentPrefix, edge.prefix);
+          if (!result.includes(prefix)) result.push(prefix);
+        });
+      });
+      visiting.delete(node);
+      index.mounts.set(node, result);
+      return result;
     };
-    
-    for (const searchPath of searchPaths) {
-      if (fs.existsSync(searchPath)) {
-        findRoutes(searchPath);
-      }
+    for (const node of edges.keys()) resolveMounts(node, new Set());
+
+    if (index.routeFiles.length > 0) {
+      console.log(`🧭 Found ${index.routeFiles.length} Hapi route files, ${edges.size} registered plugins`);
     }
-    
-    return routeFiles;
+    return index;
   }
 
-  parseStrapiRoutes(content, filePath) {
-    const paths = {};
-    
-    // Strapi route object patterns
-    const routeObjectRegex = /\{\s*method:\s*['"]([^'"]*)['"]\s*,\s*path:\s*['"]([^'"]*)['"]\s*,\s*handler:\s*['"]([^'"]*)['"][^}]*\}/g;
+  // { prefix: '/api' } -> '/api'
+  hapiPrefix(routesText) {
+    const prefix = this.parseLiteral(this.literalEntries(routesText || '').prefix);
+    return typeof prefix === 'string' ? prefix : '';
+  }
+
+  // require('./users') / await import('./users') / users / users.plugin -> plugin file
+  hapiTarget(target, filePath, imports) {
+    const text = target.trim();
+    const required = text.match(/^(?:await\s+)?(?:require|import)\s*\(\s*['"]([^'"]+)['"]\s*\)/);
+    const identifier = text.match(/^([\w$]+)(?:\.[\w$]+)*$/);
+    const source = required ? required[1] : identifier && imports.has(identifier[1]) ? imports.get(identifier[1]).source : null;
+    return source ? this.resolveModulePath(filePath, source) : null;
+  }
+
+  // Every object literal with top-level method and path keys: server.route({...}), server.route([...]) and exported route arrays
+  findHapiRouteObjects(source) {
+    const routes = [];
+    const methodRegex = /\bmethod\s*:/g;
     let match;
-    
-    while ((match = routeObjectRegex.exec(content)) !== null) {
-      const method = match[1].toLowerCase();
-      const routePath = match[2];
-      const handler = match[3];
-      
-      let cleanPath = routePath;
-      if (!cleanPath.startsWith('/')) {
-        cleanPath = '/' + cleanPath;
-      }
-      
-      // Convert Strapi parameters :provider to OpenAPI {provider}
-      cleanPath = cleanPath.replace(/:([a-zA-Z_][a-zA-Z0-9_]*)/g, '{$1}');
-      // Handle regex patterns like /(.*)
-      cleanPath = cleanPath.replace(/\(\.[*+]\)/g, '{path}');
-      
-      if (!paths[cleanPath]) {
-        paths[cleanPath] = {};
+    while ((match = methodRegex.exec(source)) !== null) {
+      const start = this.enclosingBrace(source, match.index);
+      if (start === -1 || routes.some(route => route.start === start)) continue;
+      const entries = this.literalEntries(`{${this.extractBalanced(source, start)}}`);
+      if (entries.method && entries.path) routes.push({ start, entries });
+    }
+    return routes;
+  }
+
+  // Index of the '{' opening the object literal around index, -1 when it sits in a call or array
+  enclosingBrace(source, index) {
+    let depth = 0;
+    for (let i = index - 1; i >= 0; i--) {
+      const char = source[i];
+      if (')]}'.includes(char)) {
+        depth++;
+      } else if ('([{'.includes(char)) {
+        if (depth === 0) return char === '{' ? i : -1;
+        depth--;
       }
-      
-      paths[cleanPath][method] = {
-        summary: `${method.toUpperCase()} ${cleanPath}`,
-        description: `Handler: ${handler}`,
-        parameters: this.extractStrapiParameters(cleanPath, routePath),
-        responses: {
-          '200': { description: 'Success' },
-          '400': { description: 'Bad Request' },
-          '401': { description: 'Unauthorized' },
-          '403': { description: 'Forbidden' },
-          '404': { description: 'Not Found' },
-          '500': { description: 'Internal Server Error' }
-        }
-      };
     }
-    
+    return -1;
+  }
+
+  parseHapiRoutes(content, filePath) {
+    const paths = {};
+    const index = this.getHapiIndex();
+    const mod = index.modules.get(path.resolve(filePath));
+    if (!mod) return paths;
+
+    const allMethods = ['get', 'post', 'put', 'delete', 'patch'];
+    mod.routes.forEach(route => {
+      const routePath = this.parseLiteral(route.entries.path);
+      if (typeof routePath !== 'string' || !routePath.startsWith('/')) return;
+
+      const methodValue = this.parseLiteral(route.entries.method);
+      const methods = [...new Set([].concat(methodValue)
+        .filter(method => typeof method === 'string')
+        .reduce((all, method) => all.concat(method === '*' ? allMethods : [method.toLowerCase()]), [])
+        .filter(method => [...allMethods, 'head', 'options'].includes(method)))];
+      const options = this.literalEntries(route.entries.options || route.entries.config || '');
+
+      (index.mounts.get(mod.key) || ['']).forEach(prefix => {
+        this.hapiPaths(this.joinUrlPaths(prefix, routePath)).forEach(fullPath => {
+          methods.forEach(method => {
+            if (!paths[fullPath]) paths[fullPath] = {};
+            paths[fullPath][method] = this.hapiOperation(method, fullPath, route.entries, options, content, filePath);
+          });
+        });
+      });
+    });
     return paths;
   }
-  
-  extractStrapiParameters(cleanPath, originalPath) {
-    const parameters = [];
-    
-    // Path parameters
-    const pathParams = cleanPath.match(/\{([^}]+)\}/g) || [];
-    pathParams.forEach(param => {
-      const name = param.slice(1, -1);
-      parameters.push({
-        name,
-        in: 'path',
-        required: true,
-        schema: { type: 'string' }
+
+  // /users/{id?} is served with and without its last segment; {path*} / {path*2} span several segments
+  hapiPaths(routePath) {
+    const normalized = routePath.replace(/\{(\w+)\*\d*\}/g, '{$1}');
+    const optional = normalized.match(/^(.*?)\/?\{(\w+)\?\}$/);
+    if (!optional) return [normalized];
+    return [optional[1] || '/', `${optional[1]}/{${optional[2]}}`];
+  }
+
+  hapiOperation(method, routePath, entries, options, content, filePath) {
+    const description = this.parseLiteral(options.description);
+    const notes = this.parseLiteral(options.notes);
+    const tags = this.parseLiteral(options.tags);
+    const source = this.resolveHandlerSource(content, options.handler || entries.handler || '');
+    const successStatus = this.handlerSuccessStatus(source);
+    const operation = {
+      summary: typeof description === 'string' ? description : `${method.toUpperCase()} ${routePath}`,
+      parameters: [],
+      responses: {
+        [successStatus]: { description: { 201: 'Created', 204: 'No Content' }[successStatus] || 'Success' },
+        '400': { description: 'Bad Request' },
+        '404': { description: 'Not Found' },
+        '500': { description: 'Internal Server Error' }
+      }
+    };
+    if (typeof notes === 'string' || Array.isArray(notes)) operation.description = [].concat(notes).join('\n\n');
+    // hapi-swagger marks documented routes with the 'api' tag
+    const visibleTags = Array.isArray(tags) ? tags.filter(tag => typeof tag === 'string' && tag !== 'api') : [];
+    if (visibleTags.length > 0) operation.tags = visibleTags;
+
+    // validate: { params, query, headers, payload } hold Joi schemas
+    const validate = this.literalEntries(options.validate || '');
+    const validated = {};
+    ['params', 'query', 'headers', 'payload'].forEach(key => {
+      const converted = this.hapiValidation(validate[key], filePath);
+      if (converted) validated[key] = converted.schema;
+    });
+
+    [['path', validated.params], ['query', validated.query], ['header', validated.headers]].forEach(([location, schema]) => {
+      const object = schema ? this.dereferenceSchema(schema) : {};
+      const properties = object.properties || {};
+      const required = object.required || [];
+      const names = location === 'path'
+        ? (routePath.match(/\{[^}]+\}/g) || []).map(param => param.slice(1, -1))
+        : Object.keys(properties);
+      names.forEach(name => {
+        operation.parameters.push({
+          name,
+          in: location,
+          required: location === 'path' || required.includes(name),
+          schema: properties[name] || { type: 'string' }
+        });
       });
     });
-    
-    return parameters;
+
+    // Without validate blocks fall back to what the handler reads: request.query.page / request.payload
+    if (!validated.query) {
+      (source.match(/request\.query\.([a-zA-Z_][a-zA-Z0-9_]*)/g) || []).forEach(param => {
+        const name = param.split('.').pop();
+        if (!operation.parameters.some(existing => existing.name === name && existing.in === 'query')) {
+          operation.parameters.push({ name, in: 'query', required: false, schema: { type: 'string' } });
+        }
+      });
+    }
+    if (['post', 'put', 'patch'].includes(method) && (validated.payload || source.includes('request.payload'))) {
+      operation.requestBody = { required: true, content: { 'application/json': { schema: validated.payload || { type: 'object' } } } };
+    }
+
+    // response: { schema: Joi..., status: { 201: Joi..., 404: Joi... } }
+    const response = this.literalEntries(options.response || '');
+    const success = this.hapiValidation(response.schema, filePath);
+    if (success) operation.responses[successStatus].content = { 'application/json': { schema: success.schema } };
+    Object.entries(this.literalEntries(response.status || '')).forEach(([code, text]) => {
+      const converted = this.hapiValidation(text, filePath);
+      if (!converted || !/^\d{3}$/.test(code)) return;
+      if (/^2/.test(code) && code !== successStatus && !success) delete operation.responses[successStatus];
+      operation.responses[code] = {
+        description: (operation.responses[code] || {}).description || (code === '201' ? 'Created' : code === '204' ? 'No Content' : 'Response'),
+        content: { 'application/json': { schema: converted.schema } }
+      };
+    });
+
+    const scheme = this.hapiAuth(options.auth);
+    if (scheme) this.applySecurity(operation, [scheme]);
+    return operation;
+  }
+
+  // validate.params / query / payload: a Joi schema, a reference to one, or a plain object of Joi fields
+  hapiValidation(text, filePath) {
+    const value = (text || '').trim();
+    if (!value || value === 'true' || value === 'false') return null;
+    if (/^[A-Za-z_$][\w$]*$/.test(value)) return this.resolveValidationReference(value, filePath);
+    if (value.startsWith('{')) return this.convertValidationChain(`Joi.object(${value})`, filePath);
+    return this.convertValidationChain(value, filePath);
+  }
+
+  // auth: false / 'jwt' / { strategy: 'jwt' } / { mode: 'optional' }, else server.auth.default()
+  hapiAuth(text) {
+    const index = this.getHapiIndex();
+    const value = (text || '').trim();
+    if (value === 'false') return null;
+
+    let strategy = index.defaultStrategy;
+    const literal = this.parseLiteral(value);
+    if (typeof literal === 'string') strategy = literal;
+    if (literal && typeof literal === 'object' && !Array.isArray(literal)) {
+      if (literal.mode === 'try' || literal.mode === 'optional') return null;
+      if (typeof literal.strategy === 'string') strategy = literal.strategy;
+      if (Array.isArray(literal.strategies) && typeof literal.strategies[0] === 'string') strategy = literal.strategies[0];
+    }
+    if (!strategy) return null;
+
+    const scheme = (index.strategies[strategy] || strategy).toLowerCase();
+    const schemes = { jwt: 'bearer', 'bearer-access-token': 'bearer', bearer: 'bearer', basic: 'basic', 'api-key': 'apiKey', apikey: 'apiKey' };
+    if (schemes[scheme]) return schemes[scheme];
+    if (/jwt|bearer|token/.test(scheme)) return 'bearer';
+    if (/key/.test(scheme)) return 'apiKey';
+    return null;
   }
 
   save(outputPath = './swagger-output.json') {
@@ -884,24 +5845,51 @@ class UniversalSwaggerGenerator {
       return null;
     }
     
-    fs.writeFileSync(outputPath, JSON.stringify(spec, null, 2));
-    console.log(`✅ OpenAPI spec generated: ${outputPath}`);
-    console.log(`📊 Found ${Object.keys(spec.paths).length} endpoints`);
-    return spec;
+    const { errors, warnings } = this.validation;
+    if (this.options.strict && errors.length + warnings.length > 0) {
+      console.error(`❌ Strict mode: ${errors.length} errors and ${warnings.length} warnings, spec not written`);
+      return null;
+    }
+    
+    // The spec is built and validated as OpenAPI 3.x; Swagger 2.0 is derived from it
+    const output = this.options.openapi === '2.0' ? this.output.convertToSwagger2(spec) : spec;
+    // An explicit --format wins; otherwise a *.yaml / *.yml output name selects YAML
+    const format = this.options.format || (/\.ya?ml$/i.test(outputPath) ? 'yaml' : 'json');
+    
+    fs.writeFileSync(outputPath, format === 'yaml' ? this.output.toYaml(output) : JSON.stringify(output, null, 2));
+    console.log(`✅ ${output.swagger ? 'Swagger ' + output.swagger : 'OpenAPI ' + output.openapi} spec generated: ${outputPath}`);
+    console.log(`📊 Found ${Object.keys(output.paths).length} endpoints`);
+    return output;
   }
 }
 
 // Run if called directly
 if (require.main === module) {
-  const projectPath = process.argv[2] || './';
-  let outputPath = process.argv[3];
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('--'));
+  const flag = name => {
+    const arg = args.find(item => item.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : undefined;
+  };
+  const options = {
+    strict: args.includes('--strict'),
+    format: flag('format'),
+    openapi: flag('openapi') || '3.0'
+  };
+  const projectPath = positional[0] || './';
+  let outputPath = positional[1];
   
   console.log('🚀 Universal OpenAPI Generator');
-  console.log('Usage: node universal-swagger-generator.js [project-path] [output-file]');
+  console.log('Usage: node universal-swagger-generator.js [project-path] [output-file] [--strict] [--format=json|yaml] [--openapi=2.0|3.0|3.1]');
   console.log('');
   
+  if ((options.format !== undefined && !['json', 'yaml'].includes(options.format)) || !['2.0', '3.0', '3.1'].includes(options.openapi)) {
+    console.error('❌ Error: --format must be json or yaml, --openapi must be 2.0, 3.0 or 3.1');
+    process.exit(1);
+  }
+  
   try {
-    const generator = new UniversalSwaggerGenerator(projectPath);
+    const generator = new UniversalSwaggerGenerator(projectPath, options);
     
     if (!outputPath) {
       const projectName = path.basename(path.resolve(projectPath));
@@ -917,12 +5905,14 @@ if (require.main === module) {
         folderType = 'api';
       } else if (generator.projectType === 'play-framework') {
         folderType = 'api';
+      } else if (['nestjs', 'fastify', 'koa', 'hapi'].includes(generator.projectType)) {
+        folderType = 'api';
       } else {
         folderType = 'unknown';
       }
       
       const today = new Date().toISOString().split('T')[0];
-      outputPath = `./swagger-output-${projectName}-${folderType}-${today}.json`;
+      outputPath = `./swagger-output-${projectName}-${folderType}-${today}.${options.format || 'json'}`;
     }
     
     const result = generator.save(outputPath);